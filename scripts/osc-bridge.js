@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Local bridge between OSC over UDP (TouchDesigner, Max, a phone app, ...) and the browser, which can only
+// speak WebSocket. Every UDP datagram goes to all connected pages as one binary WebSocket message, and binary
+// messages from a page go out over UDP to --send. Node built-ins only.
+//
+//   node scripts/osc-bridge.js [--udp 9000] [--ws 8081] [--send 127.0.0.1:9001] [--loopback]
+//
+// --loopback also sends test messages to the pages, to try mappings and MIDI-style learning without any OSC
+// source or hardware: /loopback/sine and /loopback/saw (0-1, one cycle every 4 s), /loopback/toggle (T / F)
+// and /loopback/step (0, 1/3, 2/3, 1, e.g. for preset selection), every 50 ms.
+
+import {createHash} from "node:crypto";
+import {createSocket} from "node:dgram";
+import {createServer} from "node:http";
+import {encodeOsc} from "../src/common/osc.js";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const parseArgs = (argv) => {
+    const options = { udp: 9000, ws: 8081, send: null, loopback: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--loopback") {
+            options.loopback = true;
+        } else if (arg === "--udp" || arg === "--ws") {
+            options[arg.slice(2)] = parseInt(argv[++i]);
+        } else if (arg === "--send") {
+            const [host, port] = argv[++i].split(":");
+            options.send = { host, port: parseInt(port) };
+        } else {
+            throw new Error("Unknown argument '" + arg + "', expected --udp, --ws, --send or --loopback");
+        }
+    }
+    return options;
+};
+
+const encodeFrame = (data, opcode = 0x2) => {
+    const length = data.length;
+    const header = length < 126 ? Buffer.from([0x80 | opcode, length])
+        : length < 65536 ? Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff])
+        : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(length)); return b; })()]);
+    return Buffer.concat([header, data]);
+};
+
+/**
+ * Splits complete frames off the front of `buffer`. Client frames are always masked.
+ * @returns {{frames: {opcode: number, payload: Buffer}[], rest: Buffer}}
+ */
+const decodeFrames = (buffer) => {
+    const frames = [];
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0f;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) { break; }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) { break; }
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        const masked = (buffer[1] & 0x80) !== 0;
+        const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+        offset += masked ? 4 : 0;
+        if (buffer.length < offset + length) { break; }
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) { payload[i] ^= mask[i & 3]; }
+        }
+        frames.push({ opcode, payload });
+        buffer = buffer.subarray(offset + length);
+    }
+    return { frames, rest: buffer };
+};
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+    const clients = new Set();
+    const udp = createSocket("udp4");
+
+    const broadcast = (data) => {
+        const frame = encodeFrame(Buffer.from(data));
+        clients.forEach(socket => socket.write(frame));
+    };
+
+    const server = createServer((request, response) => {
+        response.writeHead(426, { "Content-Type": "text/plain" });
+        response.end("WebSocket only\n");
+    });
+    server.on("upgrade", (request, socket) => {
+        const key = request.headers["sec-websocket-key"];
+        if (!key) {
+            socket.destroy();
+            return;
+        }
+        const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+        socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: " + accept + "\r\n\r\n");
+        clients.add(socket);
+        console.log("page connected, " + clients.size + " open");
+
+        let pending = Buffer.alloc(0);
+        socket.on("data", (chunk) => {
+            const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = rest;
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x8) {
+                    socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(payload, 0xa));
+                } else if (opcode === 0x2 && options.send) {
+                    udp.send(payload, options.send.port, options.send.host);
+                }
+            });
+        });
+        const close = () => {
+            if (clients.delete(socket)) {
+                console.log("page disconnected, " + clients.size + " open");
+            }
+        };
+        socket.on("close", close);
+        socket.on("error", close);
+    });
+
+    udp.on("message", (message) => broadcast(message));
+    // Port 0 picks a free port, so log the bound ones
+    udp.bind(options.udp, () => console.log("OSC in on udp://0.0.0.0:" + udp.address().port));
+    server.listen(options.ws, () => console.log("pages connect to ws://localhost:" + server.address().port));
+    if (options.send) {
+        console.log("OSC out to udp://" + options.send.host + ":" + options.send.port);
+    }
+
+    if (options.loopback) {
+        console.log("loopback test messages on /loopback/*");
+        const start = Date.now();
+        setInterval(() => {
+            const t = (Date.now() - start) / 1000;
+            const phase = (t / 4) % 1;
+            broadcast(encodeOsc("/loopback/sine", [0.5 - 0.5 * Math.cos(phase * 2 * Math.PI)]));
+            broadcast(encodeOsc("/loopback/saw", [phase]));
+            broadcast(encodeOsc("/loopback/toggle", [Math.floor(t / 2) % 2 === 0]));
+            broadcast(encodeOsc("/loopback/step", [(Math.floor(t) % 4) / 3]));
+        }, 50);
+    }
+};
+
+main();
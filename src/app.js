@@ -4,7 +4,7 @@ import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import {Lights} from "./lights";
 import hdri from "./assets/autumn_field_puresky_1k.hdr";
 
-import { float, Fn, mrt, output, pass, vec3, vec4, uv, uniform } from "three/tsl";
+import { float, Fn, mix, mrt, output, pass, vec3, vec4, uv, uniform, rand, fract } from "three/tsl";
 import {conf} from "./conf";
 import {Info} from "./info";
 import MlsMpmSimulator from "./mls-mpm/mlsMpmSimulator";
@@ -12,9 +12,18 @@ import ParticleRenderer from "./mls-mpm/particleRenderer";
 import BackgroundGeometry from "./backgroundGeometry";
 import { bloom } from 'three/examples/jsm/tsl/display/BloomNode.js';
 import { rgbShift } from 'three/examples/jsm/tsl/display/RGBShiftNode.js';
-import { film } from 'three/examples/jsm/tsl/display/FilmNode.js';
 import { dot } from 'three/tsl';
 import PointRenderer from "./mls-mpm/pointRenderer.js";
+import MarchingCubesRenderer from "./mls-mpm/marchingCubesRenderer.js";
+import FluidRenderer from "./mls-mpm/fluidRenderer.js";
+import {loadSnapshot, saveSnapshot} from "./mls-mpm/snapshot.js";
+import {downloadBlob} from "./common/download.js";
+import FrameExporter from "./mls-mpm/frameExporter.js";
+import OfflineRecorder from "./offlineRecorder.js";
+import AudioReactive from "./audioReactive.js";
+import ExternalControl from "./externalControl.js";
+import {presets} from "./presetManager.js";
+import Timeline, {addTimelineKey, timelineTargets} from "./timeline.js";
 
 const loadHdr = async (file) => {
     const texture = await new Promise(resolve => {
@@ -44,16 +53,15 @@ class App {
 
     async init(progressCallback) {
         this.info = new Info();
-        conf.init();
+        await presets.restoreStartup();
+        conf.init({ presets, timelineTargets, addTimelineKey });
 
         this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.01, 5);
-        this.camera.position.set(0, 0.5, -1);
         this.camera.updateProjectionMatrix()
 
         this.scene = new THREE.Scene();
 
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.target.set(0, 0.5, 0.2);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
         this.controls.enablePan = true;
@@ -89,10 +97,27 @@ class App {
 
         this.mlsMpmSim = new MlsMpmSimulator(this.renderer);
         await this.mlsMpmSim.init();
+
+        // Frame the simulation domain, whatever its shape
+        const { domain } = this.mlsMpmSim;
+        this.controls.target.copy(domain.center);
+        this.camera.position.copy(domain.center).add(new THREE.Vector3(0, 0, -1.2));
+        this.controls.update();
+        this.scene.add(this.mlsMpmSim.colliders.object);
+        this.scene.add(this.mlsMpmSim.forceFields.object);
+        this.scene.add(this.mlsMpmSim.brushes.object);
         this.particleRenderer = new ParticleRenderer(this.mlsMpmSim);
         this.scene.add(this.particleRenderer.object);
         this.pointRenderer = new PointRenderer(this.mlsMpmSim);
         this.scene.add(this.pointRenderer.object);
+        this.marchingCubesRenderer = new MarchingCubesRenderer(this.mlsMpmSim, this.renderer);
+        this.scene.add(this.marchingCubesRenderer.object);
+        this.fluidRenderer = new FluidRenderer(this.mlsMpmSim, this.camera);
+        this.frameExporter = new FrameExporter(this.mlsMpmSim);
+        this.offlineRecorder = new OfflineRecorder(this);
+        this.audioReactive = new AudioReactive(this);
+        this.externalControl = new ExternalControl(this);
+        this.timeline = new Timeline(this);
 
         // Simplified lighting for dark aesthetic
         this.lights = new Lights();
@@ -137,16 +162,17 @@ class App {
         postProcessing.outputColorTransform = false;
 
         // === Post-Processing Chain ===
-        // Order: Scene -> Bloom blend -> Film Grain -> Vignette
-        postProcessing.outputNode = Fn(() => {
+        // Order: Scene (+ screen-space fluid) -> Bloom blend -> Film Grain -> Vignette
+        const createOutputNode = (sceneColor) => Fn(() => {
             // Scene color with bloom
-            const a = outputPass.rgb.clamp(0,1).toVar();
+            const a = sceneColor.clamp(0,1).toVar();
             const b = bloomPass.rgb.clamp(0,1).mul(bloomIntensityPass.r.sign().oneMinus()).toVar();
             // Soft light blend for bloom
             const blended = vec3(1).sub(b).sub(b).mul(a).mul(a).add(b.mul(a).mul(2)).clamp(0,1);
 
-            // Apply film grain
-            const withGrain = film(vec4(blended, 1.0), this.filmGrainIntensity);
+            // Apply film grain, animated by simulation time so offline renders are reproducible
+            const grainNoise = rand(fract(uv().add(this.mlsMpmSim.uniforms.time)));
+            const withGrain = mix(blended, blended.add(blended.mul(grainNoise.add(0.1).clamp(0, 1))), this.filmGrainIntensity);
 
             // === Vignette Effect ===
             // Darken edges based on distance from screen center
@@ -154,9 +180,17 @@ class App {
             const dist = dot(uv2, uv2);                    // Squared distance from center
             const vig = float(1.0).sub(dist.mul(this.vignetteIntensity));  // Darken by distance
 
-            return vec4(withGrain.rgb.mul(vig.clamp(0, 1)), 1.0);
+            return vec4(withGrain.mul(vig.clamp(0, 1)), 1.0);
         })().renderOutput();
 
+        // The fluid passes only run while their output node is attached, see updateOutputNode()
+        const fluid = this.fluidRenderer.getCompositeNode();
+        this.outputNodes = {
+            default: createOutputNode(outputPass.rgb),
+            fluid: createOutputNode(mix(outputPass.rgb, fluid.rgb, fluid.a)),
+        };
+        postProcessing.outputNode = this.outputNodes.default;
+
         this.postProcessing = postProcessing;
         // Configure bloom parameters
         bloomPass.threshold.value = 0.1;   // Lower threshold for more glow
@@ -166,35 +200,103 @@ class App {
 
 
         this.raycaster = new THREE.Raycaster();
-        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0.2);
-        this.renderer.domElement.addEventListener("pointermove", (event) => { this.onMouseMove(event); });
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener("pointerdown", (event) => { this.onPointerDown(event); });
+        canvas.addEventListener("pointermove", (event) => { this.onPointerMove(event); });
+        canvas.addEventListener("pointerup", (event) => { this.onPointerUp(event); });
+        canvas.addEventListener("pointercancel", (event) => { this.onPointerUp(event); });
 
         await progressCallback(1.0, 100);
     }
 
+    updateOutputNode() {
+        const outputNode = conf.renderMode === "fluid" ? this.outputNodes.fluid : this.outputNodes.default;
+        if (this.postProcessing.outputNode !== outputNode) {
+            this.postProcessing.outputNode = outputNode;
+            this.postProcessing.needsUpdate = true;
+        }
+    }
+
     resize(width, height) {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
     }
 
-    onMouseMove(event) {
+    setBrushPointer(event) {
         const pointer = new THREE.Vector2();
         pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
         pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
         this.raycaster.setFromCamera(pointer, this.camera);
-        const intersect = new THREE.Vector3();
-        this.raycaster.ray.intersectPlane(this.plane, intersect);
-        if (intersect) {
-            this.mlsMpmSim.setMouseRay(this.raycaster.ray.origin, this.raycaster.ray.direction, intersect);
+        this.mlsMpmSim.brushes.setPointer(event.pointerId, this.raycaster.ray.origin, this.raycaster.ray.direction);
+    }
+
+    onPointerDown(event) {
+        // Pointers would make offline renders depend on user input
+        if (this.offlineRecorder.recording || conf.brushTool === "none") { return; }
+        if (event.pointerType === "mouse" && event.button !== 0) { return; }
+        this.setBrushPointer(event);
+    }
+
+    onPointerMove(event) {
+        if (this.mlsMpmSim.brushes.hasPointer(event.pointerId)) {
+            this.setBrushPointer(event);
         }
     }
 
+    onPointerUp(event) {
+        this.mlsMpmSim.brushes.removePointer(event.pointerId);
+    }
+
+    // With a brush tool the left button and all touches paint, the camera orbits with the right button
+    updateControls() {
+        const brushing = conf.brushTool !== "none";
+        this.controls.mouseButtons.LEFT = brushing ? null : THREE.MOUSE.ROTATE;
+        this.controls.mouseButtons.RIGHT = brushing ? THREE.MOUSE.ROTATE : THREE.MOUSE.PAN;
+        this.controls.touches.TWO = brushing ? null : THREE.TOUCH.DOLLY_ROTATE;
+    }
+
+
+    async updateSnapshots() {
+        if (conf.saveSnapshotRequested) {
+            conf.saveSnapshotRequested = false;
+            try {
+                const data = await saveSnapshot(this.mlsMpmSim);
+                const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+                downloadBlob(new Blob([data], { type: "application/octet-stream" }), "snapshot-" + stamp + ".mpms");
+            } catch (e) {
+                conf.reportError(e);
+            }
+        }
+        if (conf.snapshotToLoad) {
+            const data = conf.snapshotToLoad;
+            conf.snapshotToLoad = null;
+            try {
+                await loadSnapshot(this.mlsMpmSim, data);
+            } catch (e) {
+                conf.reportError(e);
+            }
+        }
+    }
 
     async update(delta, elapsed) {
         conf.begin();
 
-        this.particleRenderer.object.visible = !conf.points;
-        this.pointRenderer.object.visible = conf.points;
+        await this.updateSnapshots();
+        await this.offlineRecorder.update();
+        const offline = this.offlineRecorder.recording;
+        if (offline) {
+            this.mlsMpmSim.brushes.clear();
+        }
+        this.externalControl.update();
+        this.timeline.update();
+        await this.audioReactive.update(delta);
+        presets.update(elapsed);
+
+        this.particleRenderer.object.visible = conf.renderMode === "beads";
+        this.pointRenderer.object.visible = conf.renderMode === "points";
+        this.marchingCubesRenderer.object.visible = conf.renderMode === "surface";
+        this.fluidRenderer.setEnabled(conf.renderMode === "fluid");
+        this.updateOutputNode();
 
         // Update visual parameters from GUI
         this.scene.fog.near = conf.fogNear;
@@ -206,18 +308,33 @@ class App {
         this.filmGrainIntensity.value = conf.filmGrainIntensity;
         this.vignetteIntensity.value = conf.vignetteIntensity;
 
+        this.updateControls();
         this.controls.update(delta);
         this.lights.update(elapsed);
         this.particleRenderer.update();
         this.pointRenderer.update();
+        this.fluidRenderer.update();
 
-        await this.mlsMpmSim.update(delta,elapsed);
+        // Offline frames advance by a fixed interval, live frames by the wall clock
+        if (offline) {
+            await this.offlineRecorder.step();
+        } else {
+            await this.mlsMpmSim.update(delta,elapsed);
+        }
+        await this.frameExporter.update();
+        if (this.marchingCubesRenderer.object.visible) {
+            await this.marchingCubesRenderer.update();
+        }
 
-        if (conf.bloom) {
+        // The screen-space fluid is composited in the post-processing chain, so it always needs it
+        if (conf.bloom || conf.renderMode === "fluid") {
             await this.postProcessing.renderAsync();
         } else {
             await this.renderer.renderAsync(this.scene, this.camera);
         }
+        if (offline) {
+            await this.offlineRecorder.capture();
+        }
 
         conf.end();
     }
@@ -0,0 +1,135 @@
+import * as THREE from "three/webgpu";
+import {conf} from "./conf";
+import {analyzeBuffer, AudioFeatures, AUDIO_SIGNALS, signalsAt} from "./common/audioAnalysis.js";
+import {AUDIO_TARGETS} from "./audioTargets.js";
+
+const FFT_SIZE = 2048;
+
+/**
+ * Audio input for the audio-reactive mode: a local file or the microphone, analyzed every frame through an
+ * AnalyserNode into the signals of src/common/audioAnalysis.js. `conf.audioBindings` map signals onto conf
+ * parameters, each with a gain, a smoothing time constant in seconds and an output range.
+ *
+ * Offline renders don't listen to the live input: with a file loaded, the signals come from the decoded buffer
+ * at the simulated time, so a render follows the music from its start and is reproducible.
+ */
+class AudioReactive {
+    app = null;
+    context = null;
+    analyser = null;
+    source = null;
+    stream = null;
+    track = null;
+    features = null;
+    values = new Map(); // Smoothed value per binding
+
+    constructor(app) {
+        this.app = app;
+    }
+
+    async getContext() {
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            // The features apply their own smoothing, so the live input matches an offline analysis
+            this.analyser.smoothingTimeConstant = 0;
+            this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+            this.timeData = new Float32Array(FFT_SIZE);
+            this.magnitudes = new Float32Array(this.analyser.frequencyBinCount);
+        }
+        if (this.context.state === "suspended") {
+            await this.context.resume();
+        }
+        this.features = new AudioFeatures(this.context.sampleRate, FFT_SIZE);
+        return this.context;
+    }
+
+    stop() {
+        if (this.source) {
+            if (this.source.stop) { this.source.stop(); }
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.track = null;
+        conf.audioSource = "none";
+    }
+
+    async playFile(data) {
+        const context = await this.getContext();
+        const buffer = await context.decodeAudioData(data);
+        this.stop();
+        this.track = analyzeBuffer(buffer, { fftSize: FFT_SIZE });
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(this.analyser);
+        source.connect(context.destination);
+        source.start();
+        this.source = source;
+        conf.audioSource = "file";
+    }
+
+    async listen() {
+        const context = await this.getContext();
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.stop();
+        // Not routed to the speakers, that would feed back
+        this.source = context.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        this.stream = stream;
+        conf.audioSource = "microphone";
+    }
+
+    readSignals(delta) {
+        if (this.app.offlineRecorder.recording) {
+            return this.track ? signalsAt(this.track, this.app.mlsMpmSim.uniforms.time.value) : null;
+        }
+        if (!this.source) { return null; }
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        for (let k = 0; k < this.magnitudes.length; k++) {
+            this.magnitudes[k] = Math.pow(10, this.frequencyData[k] / 20);
+        }
+        return this.features.process(this.magnitudes, this.timeData, delta);
+    }
+
+    async update(delta) {
+        // Offline frames have a fixed length, so the smoothing doesn't depend on the wall clock either
+        if (this.app.offlineRecorder.recording) {
+            delta = 1 / conf.renderFps;
+        }
+        if (conf.audioFileToLoad) {
+            const data = conf.audioFileToLoad;
+            conf.audioFileToLoad = null;
+            await this.playFile(data).catch(e => conf.reportError(e));
+        }
+        if (conf.microphoneRequested) {
+            conf.microphoneRequested = false;
+            await this.listen().catch(e => conf.reportError(e));
+        }
+        if (conf.audioStopRequested) {
+            conf.audioStopRequested = false;
+            this.stop();
+        }
+
+        this.app.mlsMpmSim.forceFields.impulses = [];
+        const signals = this.readSignals(delta);
+        if (!signals) { return; }
+        AUDIO_SIGNALS.forEach(signal => { conf.audioSignals[signal] = signals[signal]; });
+
+        conf.audioBindings.forEach(binding => {
+            if (!binding.enabled) { return; }
+            const target = signals[binding.signal] * binding.gain;
+            const previous = this.values.has(binding) ? this.values.get(binding) : target;
+            const value = binding.smoothing > 0 ? THREE.MathUtils.lerp(target, previous, Math.exp(-delta / binding.smoothing)) : target;
+            this.values.set(binding, value);
+            AUDIO_TARGETS[binding.target].apply(conf, this.app, THREE.MathUtils.lerp(binding.min, binding.max, THREE.MathUtils.clamp(value, 0, 1)));
+        });
+    }
+}
+export default AudioReactive;
@@ -0,0 +1,43 @@
+// Radius of the impulse field at the domain center, a fraction of the shortest axis like the force field radii
+const IMPULSE_RADIUS = 0.375;
+
+/**
+ * What a binding can drive. `apply(conf, app, value)` receives the mapped value, between the binding's min and
+ * max; conf comes in as a parameter because conf.js imports this table for its GUI.
+ * turbulence sets the strength of every turbulence field, gravity tilts the downward directional fields that don't
+ * follow the device sensor by an angle in radians around z, impulse pushes particles away from the domain center.
+ */
+export const AUDIO_TARGETS = {
+    speed: { min: 0.5, max: 2, apply: (conf, app, value) => { conf.speed = value; } },
+    bloomStrength: { min: 0.2, max: 1.5, apply: (conf, app, value) => { conf.bloomStrength = value; } },
+    size: {
+        min: 0.4, max: 1.2,
+        apply: (conf, app, value) => {
+            conf.size = value;
+            conf.updateParams();
+        },
+    },
+    turbulence: {
+        min: 0, max: 1.5,
+        apply: (conf, app, value) => {
+            conf.forceFields.filter(field => field.type === "turbulence").forEach(field => { field.strength = value; });
+        },
+    },
+    gravity: {
+        min: -0.6, max: 0.6,
+        apply: (conf, app, value) => {
+            conf.forceFields.filter(field => field.type === "directional" && !field.device && field.direction.y < 0).forEach(field => {
+                field.direction = { x: Math.sin(value), y: -Math.cos(value), z: 0 };
+            });
+        },
+    },
+    impulse: {
+        min: 0, max: 1.5,
+        apply: (conf, app, value) => {
+            app.mlsMpmSim.forceFields.impulses.push({
+                type: "point", strength: -value, radius: IMPULSE_RADIUS, falloff: "smooth",
+                position: { x: 0.5, y: 0.5, z: 0.5 },
+            });
+        },
+    },
+};
@@ -0,0 +1,209 @@
+// Audio features for the audio-reactive mode: band levels, an envelope and onsets. Plain JS without Web Audio,
+// so decoded buffers can be analyzed offline (in Node too) the same way as the live AnalyserNode input.
+
+// Band edges in Hz
+export const AUDIO_BANDS = {
+    bass: [20, 150],
+    lowMid: [150, 600],
+    highMid: [600, 2500],
+    treble: [2500, 10000],
+};
+
+// Every signal is in [0, 1]. onset jumps to 1 on a detected onset and decays.
+export const AUDIO_SIGNALS = ["envelope", ...Object.keys(AUDIO_BANDS), "onset"];
+
+// AnalyserNode's default decibel range, band levels map it to [0, 1]
+const MIN_DB = -100;
+const MAX_DB = -30;
+// Envelope range in dBFS
+const ENVELOPE_FLOOR = -60;
+
+const DEFAULTS = {
+    attack: 0.01,          // Envelope follower time constants in seconds
+    release: 0.25,
+    onsetThreshold: 1.5,   // Standard deviations of the recent flux above its mean
+    onsetMinFlux: 0.01,    // Ignores flux changes in near silence
+    onsetHistory: 0.5,     // Seconds of flux the threshold looks at
+    onsetInterval: 0.12,   // Minimum seconds between onsets
+    onsetDecay: 0.15,      // Time constant of the onset pulse
+};
+
+/**
+ * Blackman window with alpha = 0.16, as AnalyserNode applies it.
+ */
+export const blackmanWindow = (n) => {
+    const window = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        const x = 2 * Math.PI * i / n;
+        window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+    return window;
+};
+
+/**
+ * In-place radix-2 FFT, the length must be a power of two.
+ */
+export const fft = (re, im) => {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) { j ^= bit; }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size *= 2) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+};
+
+/**
+ * Magnitudes |X[k]| / N of a Blackman windowed frame, what AnalyserNode computes before its smoothing.
+ * @returns {Float32Array} N / 2 bins
+ */
+export const frameSpectrum = (samples, window = blackmanWindow(samples.length)) => {
+    const n = samples.length;
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        re[i] = samples[i] * window[i];
+    }
+    fft(re, im);
+    const magnitudes = new Float32Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+        magnitudes[k] = Math.hypot(re[k], im[k]) / n;
+    }
+    return magnitudes;
+};
+
+const toDecibels = (value) => 20 * Math.log10(Math.max(value, 1e-12));
+const normalize = (db, min, max) => Math.min(Math.max((db - min) / (max - min), 0), 1);
+
+/**
+ * Turns spectrum frames into the AUDIO_SIGNALS. Stateful: the envelope, the onset threshold and the onset pulse
+ * follow the frames in order.
+ */
+export class AudioFeatures {
+    constructor(sampleRate, fftSize, options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.bandBins = Object.entries(AUDIO_BANDS).map(([name, [low, high]]) => {
+            const binWidth = sampleRate / fftSize;
+            const first = Math.max(Math.floor(low / binWidth), 1);
+            const last = Math.min(Math.max(Math.ceil(high / binWidth), first + 1), fftSize / 2);
+            return { name, first, last };
+        });
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.flux = [];
+        this.time = 0;
+        this.lastOnset = -Infinity;
+        this.isOnset = false;
+        this.signals = Object.fromEntries(AUDIO_SIGNALS.map(signal => [signal, 0]));
+    }
+
+    /**
+     * @param {Float32Array} magnitudes linear bin magnitudes, fftSize / 2 of them
+     * @param {Float32Array} samples the time domain frame
+     * @param {number} dt seconds since the previous frame
+     * @returns {Object} the signals, the same object every call
+     */
+    process(magnitudes, samples, dt) {
+        const { attack, release, onsetThreshold, onsetMinFlux, onsetHistory, onsetInterval, onsetDecay } = this.options;
+        const signals = this.signals;
+        this.time += dt;
+
+        const levels = Float32Array.from(magnitudes, m => normalize(toDecibels(m), MIN_DB, MAX_DB));
+        this.bandBins.forEach(({ name, first, last }) => {
+            let sum = 0;
+            for (let k = first; k < last; k++) { sum += levels[k]; }
+            signals[name] = sum / (last - first);
+        });
+
+        let power = 0;
+        for (let i = 0; i < samples.length; i++) { power += samples[i] * samples[i]; }
+        const level = normalize(toDecibels(Math.sqrt(power / samples.length)), ENVELOPE_FLOOR, 0);
+        const tau = level > signals.envelope ? attack : release;
+        signals.envelope += (level - signals.envelope) * (1 - Math.exp(-dt / tau));
+
+        // Spectral flux on the normalized levels, against a threshold that adapts to the recent flux
+        let flux = 0;
+        if (this.previous) {
+            for (let k = 0; k < levels.length; k++) { flux += Math.max(levels[k] - this.previous[k], 0); }
+            flux /= levels.length;
+        }
+        this.previous = levels;
+        const mean = this.flux.reduce((sum, f) => sum + f, 0) / Math.max(this.flux.length, 1);
+        const deviation = Math.sqrt(this.flux.reduce((sum, f) => sum + (f - mean) ** 2, 0) / Math.max(this.flux.length, 1));
+        this.isOnset = flux > onsetMinFlux && flux > mean + onsetThreshold * deviation && this.time - this.lastOnset >= onsetInterval;
+        this.flux.push(flux);
+        while (this.flux.length > Math.max(onsetHistory / Math.max(dt, 1e-3), 2)) { this.flux.shift(); }
+
+        signals.onset *= Math.exp(-dt / onsetDecay);
+        if (this.isOnset) {
+            this.lastOnset = this.time;
+            signals.onset = 1;
+        }
+        return signals;
+    }
+}
+
+/**
+ * Analyzes a decoded buffer (an AudioBuffer or anything with numberOfChannels, sampleRate and getChannelData)
+ * at a fixed frame rate. Each frame sees the fftSize samples before its time, like an AnalyserNode would.
+ * @returns {{frameRate: number, frames: Object[], onsets: number[]}} per frame signals and onset times in seconds
+ */
+export const analyzeBuffer = (buffer, { fftSize = 2048, frameRate = 60, ...options } = {}) => {
+    const { numberOfChannels, sampleRate } = buffer;
+    const length = buffer.getChannelData(0).length;
+    const mono = new Float32Array(length);
+    for (let c = 0; c < numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < length; i++) { mono[i] += data[i] / numberOfChannels; }
+    }
+
+    const features = new AudioFeatures(sampleRate, fftSize, options);
+    const window = blackmanWindow(fftSize);
+    const frameCount = Math.ceil(length / sampleRate * frameRate);
+    const frames = [];
+    const onsets = [];
+    const samples = new Float32Array(fftSize);
+    for (let i = 0; i < frameCount; i++) {
+        const end = Math.round((i + 1) / frameRate * sampleRate);
+        samples.fill(0);
+        const start = Math.max(end - fftSize, 0);
+        samples.set(mono.subarray(start, Math.min(end, length)), fftSize - (end - start));
+        const signals = features.process(frameSpectrum(samples, window), samples, 1 / frameRate);
+        frames.push({ ...signals });
+        if (features.isOnset) { onsets.push((i + 1) / frameRate); }
+    }
+    return { frameRate, frames, onsets };
+};
+
+/**
+ * Signals of an analyzed track at `time` seconds, zero past its end.
+ */
+export const signalsAt = (track, time) => {
+    const frame = track.frames[Math.floor(time * track.frameRate)];
+    return frame || Object.fromEntries(AUDIO_SIGNALS.map(signal => [signal, 0]));
+};
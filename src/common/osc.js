@@ -0,0 +1,115 @@
+// Minimal OSC 1.0 codec for the external control bridge: messages and bundles with int32, float32, string,
+// blob, double, int64 and the T / F / N / I argument types. Plain JS, shared by the browser and the Node bridge.
+
+const pad4 = (n) => (n + 3) & ~3;
+
+const readString = (view, offset) => {
+    let end = offset;
+    while (end < view.byteLength && view.getUint8(end) !== 0) { end++; }
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, end - offset);
+    return { value: new TextDecoder().decode(bytes), offset: pad4(end + 1) };
+};
+
+const writeString = (parts, value) => {
+    const bytes = new TextEncoder().encode(value);
+    const padded = new Uint8Array(pad4(bytes.length + 1));
+    padded.set(bytes);
+    parts.push(padded);
+};
+
+const decodeMessage = (view, offset) => {
+    const address = readString(view, offset);
+    offset = address.offset;
+    const args = [];
+    if (offset >= view.byteLength) {
+        return { address: address.value, args };
+    }
+    const tags = readString(view, offset);
+    offset = tags.offset;
+    if (!tags.value.startsWith(",")) {
+        throw new Error("OSC message " + address.value + " has no type tag string");
+    }
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case "i": args.push(view.getInt32(offset)); offset += 4; break;
+            case "f": args.push(view.getFloat32(offset)); offset += 4; break;
+            case "d": args.push(view.getFloat64(offset)); offset += 8; break;
+            case "h": args.push(Number(view.getBigInt64(offset))); offset += 8; break;
+            case "s": {
+                const string = readString(view, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case "b": {
+                const length = view.getInt32(offset);
+                args.push(new Uint8Array(view.buffer.slice(view.byteOffset + offset + 4, view.byteOffset + offset + 4 + length)));
+                offset = pad4(offset + 4 + length);
+                break;
+            }
+            case "T": args.push(true); break;
+            case "F": args.push(false); break;
+            case "N": args.push(null); break;
+            case "I": args.push(Infinity); break;
+            default: throw new Error("OSC message " + address.value + " has the unsupported type tag '" + tag + "'");
+        }
+    }
+    return { address: address.value, args };
+};
+
+/**
+ * Decodes an OSC packet into its messages; bundles are flattened, their time tags ignored.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{address: string, args: Array}[]}
+ */
+export const decodeOsc = (data) => {
+    const view = data instanceof ArrayBuffer ? new DataView(data) : new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const first = readString(view, 0);
+    if (first.value !== "#bundle") {
+        return [decodeMessage(view, 0)];
+    }
+    const messages = [];
+    let offset = first.offset + 8; // time tag
+    while (offset < view.byteLength) {
+        const size = view.getInt32(offset);
+        const element = new Uint8Array(view.buffer, view.byteOffset + offset + 4, size);
+        messages.push(...decodeOsc(element));
+        offset += 4 + size;
+    }
+    return messages;
+};
+
+/**
+ * Encodes one OSC message. Integers are sent as int32, other numbers as float32, booleans as T / F.
+ * @returns {Uint8Array}
+ */
+export const encodeOsc = (address, args = []) => {
+    const parts = [];
+    writeString(parts, address);
+    writeString(parts, "," + args.map(arg => {
+        if (typeof arg === "boolean") { return arg ? "T" : "F"; }
+        if (typeof arg === "string") { return "s"; }
+        if (arg === null) { return "N"; }
+        return Number.isInteger(arg) ? "i" : "f";
+    }).join(""));
+    args.forEach(arg => {
+        if (typeof arg === "string") {
+            writeString(parts, arg);
+        } else if (typeof arg === "number") {
+            const bytes = new Uint8Array(4);
+            const view = new DataView(bytes.buffer);
+            if (Number.isInteger(arg)) {
+                view.setInt32(0, arg);
+            } else {
+                view.setFloat32(0, arg);
+            }
+            parts.push(bytes);
+        }
+    });
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    parts.reduce((offset, part) => {
+        result.set(part, offset);
+        return offset + part.length;
+    }, 0);
+    return result;
+};
@@ -0,0 +1,28 @@
+// Seeded pseudo-random numbers for reproducible runs. Every CPU-side random draw goes through createRandom().
+
+/**
+ * Scrambles a 32 bit integer, to derive independent seeds from one global seed.
+ * @returns {number} unsigned 32 bit hash
+ */
+export const hashSeed = (seed) => {
+    let h = (seed >>> 0) ^ 0x9e3779b9;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+ * Creates a mulberry32 generator, a drop-in replacement for Math.random.
+ * @param {number} seed 32 bit integer seed
+ * @returns {function(): number} uniform values in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
@@ -0,0 +1,122 @@
+// Minimal WebM (Matroska) writer for a single video track of encoded chunks, enough to save WebCodecs output.
+// All chunks are kept until the end, so element sizes are known up front and no seeking is needed.
+
+const encodeSize = (size) => {
+    // 8 byte size vint, always wide enough
+    const bytes = new Uint8Array(8);
+    bytes[0] = 0x01;
+    let value = size;
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return bytes;
+};
+
+const encodeId = (id) => {
+    const bytes = [];
+    while (id > 0) {
+        bytes.unshift(id & 0xff);
+        id = id >>> 8;
+    }
+    return new Uint8Array(bytes);
+};
+
+const encodeUint = (value) => {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+};
+
+const encodeFloat = (value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+};
+
+const concat = (parts) => {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+};
+
+const element = (id, content) => {
+    if (typeof content === "string") {
+        content = new TextEncoder().encode(content);
+    } else if (typeof content === "number") {
+        content = encodeUint(content);
+    } else if (Array.isArray(content)) {
+        content = concat(content);
+    }
+    return concat([encodeId(id), encodeSize(content.length), content]);
+};
+
+const simpleBlock = (chunk, clusterTime) => {
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // track number 1 as vint
+    new DataView(header.buffer).setInt16(1, chunk.time - clusterTime);
+    header[3] = chunk.key ? 0x80 : 0x00;
+    return element(0xa3, [header, chunk.data]);
+};
+
+/**
+ * Builds a WebM file from encoded video chunks.
+ * @param {object} options `{codec: "V_VP9" | "V_VP8", width, height, duration}`, duration in milliseconds
+ * @param {Array<{data: Uint8Array, time: number, key: boolean}>} chunks in decode order, time in milliseconds
+ * @returns {Blob}
+ */
+export const createWebm = ({ codec, width, height, duration }, chunks) => {
+    const header = element(0x1a45dfa3, [
+        element(0x4286, 1), // EBMLVersion
+        element(0x42f7, 1), // EBMLReadVersion
+        element(0x42f2, 4), // EBMLMaxIDLength
+        element(0x42f3, 8), // EBMLMaxSizeLength
+        element(0x4282, "webm"), // DocType
+        element(0x4287, 2), // DocTypeVersion
+        element(0x4285, 2), // DocTypeReadVersion
+    ]);
+
+    const info = element(0x1549a966, [
+        element(0x2ad7b1, 1000000), // TimecodeScale: milliseconds
+        element(0x4d80, "mls-mpm"), // MuxingApp
+        element(0x5741, "mls-mpm"), // WritingApp
+        element(0x4489, encodeFloat(duration)), // Duration
+    ]);
+    const tracks = element(0x1654ae6b, [
+        element(0xae, [ // TrackEntry
+            element(0xd7, 1), // TrackNumber
+            element(0x73c5, 1), // TrackUID
+            element(0x83, 1), // TrackType: video
+            element(0x86, codec), // CodecID
+            element(0xe0, [ // Video
+                element(0xb0, width), // PixelWidth
+                element(0xba, height), // PixelHeight
+            ]),
+        ]),
+    ]);
+
+    // A new cluster starts at every keyframe, or before block timecodes would overflow their 16 bit offset
+    const clusters = [];
+    let cluster = null;
+    chunks.forEach(chunk => {
+        if (!cluster || chunk.key || chunk.time - cluster.time > 30000) {
+            cluster = { time: chunk.time, blocks: [] };
+            clusters.push(cluster);
+        }
+        cluster.blocks.push(simpleBlock(chunk, cluster.time));
+    });
+    const clusterElements = clusters.map(({ time, blocks }) => element(0x1f43b675, [
+        element(0xe7, time), // Timecode
+        ...blocks,
+    ]));
+
+    const segment = element(0x18538067, [info, tracks, ...clusterElements]);
+    return new Blob([header, segment], { type: "video/webm" });
+};
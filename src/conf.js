@@ -2,66 +2,96 @@ import {Pane} from 'tweakpane';
 import * as EssentialsPlugin from '@tweakpane/plugin-essentials';
 import mobile from "is-mobile";
 import * as THREE from "three/webgpu";
+import {supportsFloatAtomics} from "./mls-mpm/gridAccumulator.js";
+import {FORCE_FIELD_DEFAULTS, FORCE_FIELD_FALLOFFS} from "./mls-mpm/forceFieldTypes.js";
+import {AUDIO_SIGNALS} from "./common/audioAnalysis.js";
+import {AUDIO_TARGETS} from "./audioTargets.js";
+import {CONTROL_CURVES, controlTargets, learnedControlTarget} from "./controlMapping.js";
+import {ConfSettings} from "./confSettings.js";
+import {TIMELINE_EASINGS} from "./timelineEasings.js";
+import {COLOR_MODES, MAX_STOPS, MIN_STOPS, PaletteError, paletteFromHex, paletteFromImage} from "./mls-mpm/paletteSettings.js";
 
-class Conf {
-    gui = null;
-    maxParticles = 8192 * 16;
-    particles = 8192 * 8; // More particles for dense cloud
-
-    bloom = true;
-
-    run = true;
-    noise = 0.4;
-    speed = 1.5;
-    stiffness = 3.;
-    restDensity = 1.;
-    density = 2;
-    dynamicViscosity = 0.1;
-    gravity = 1;  // 0=back, 1=down, 2=center, 3=device
+// localStorage key of the external control mappings
+const CONTROL_MAPPINGS_KEY = "flow.controlMappings";
+
+// The settings and their defaults are declared in src/confSettings.js, this adds the GUI and the browser state
+class Conf extends ConfSettings {
     gravitySensorReading = new THREE.Vector3();
     accelerometerReading = new THREE.Vector3();
-    actualSize = 1;
-    size = 0.6; // Smaller particles
-
-    points = false;
-
-    // Visual parameters
-    chromaticAberration = 0.0008;  // Subtle - set to 0 to disable completely
-    fogNear = 0.1;
-    fogFar = 2.2;
-    bloomStrength = 0.5;
-    bloomThreshold = 0.1;
-    exposure = 1.0;
-
-    // === Film Grain ===
-    // Adds organic noise to reduce digital/CG look
-    // Intensity 0.05-0.15 is subtle, 0.2+ is stylized
-    filmGrainIntensity = 0.08;
-
-    // === Particle Variation ===
-    // Adds organic randomness to particle appearance
-    // Uses mass as stable per-particle random seed
-    sizeVariation = 0.25;      // 0 = uniform, 0.25 = size ranges 0.75x-1.25x
-    opacityVariation = 0.2;    // 0 = uniform, 0.2 = opacity ranges 0.8-1.0
-
-    // === Depth-Based Brightness ===
-    // Makes closer particles brighter, farther particles dimmer
-    // Creates volumetric 3D depth feeling
-    depthBrightness = 0.5;     // 0 = no effect, 1.0 = strong depth falloff
-
-    // === Vignette ===
-    // Darkens edges of screen for cinematic focus
-    vignetteIntensity = 0.3;   // 0 = off, 0.3 = subtle, 0.6+ = dramatic
 
     constructor(info) {
+        super();
         if (mobile()) {
             this.maxParticles = 8192 * 8;
             this.particles = 4096;
         }
+        this.readGridResolution();
+        this.readSeeds();
+        this.readControlMappings();
         this.updateParams();
 
     }
 
+    // Opens a file dialog and resolves with the picked file, or never when it is dismissed
+    pickFile(accept) {
+        return new Promise(resolve => {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = accept;
+            input.addEventListener("change", () => {
+                if (input.files.length > 0) { resolve(input.files[0]); }
+            });
+            input.click();
+        });
+    }
+
+    readGridResolution() {
+        const grid = new URLSearchParams(window.location.search).get("grid");
+        if (!grid) { return; }
+        const match = grid.match(/^(\d+)x(\d+)x(\d+)$/);
+        if (!match) {
+            return console.error("Invalid grid '" + grid + "', expected e.g. 128x64x32");
+        }
+        const [x, y, z] = match.slice(1).map(v => Math.min(Math.max(parseInt(v), 16), 256));
+        this.gridResolution = { x, y, z };
+    }
+
+    readSeeds() {
+        const params = new URLSearchParams(window.location.search);
+        ["seed", "noiseSeed"].forEach(key => {
+            const value = params.get(key);
+            if (value === null) { return; }
+            if (!/^\d+$/.test(value)) {
+                return console.error("Invalid " + key + " '" + value + "', expected a non-negative integer");
+            }
+            this[key] = parseInt(value) >>> 0;
+        });
+    }
+
+    // Mirrors the seeds into the URL, so a copied link reproduces the run
+    writeSeeds() {
+        const url = new URL(window.location.href);
+        url.searchParams.set("seed", this.seed);
+        url.searchParams.set("noiseSeed", this.noiseSeed);
+        window.history.replaceState(null, "", url.toString());
+    }
+
+    readControlMappings() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(CONTROL_MAPPINGS_KEY));
+        } catch (e) {
+            console.error("Ignoring stored control mappings: " + e.message);
+        }
+        if (Array.isArray(stored)) {
+            this.controlMappings = stored.filter(m => m && typeof m.address === "string" && CONTROL_CURVES[m.curve] && typeof m.target === "string");
+        }
+    }
+
+    writeControlMappings() {
+        localStorage.setItem(CONTROL_MAPPINGS_KEY, JSON.stringify(this.controlMappings));
+    }
+
     updateParams() {
         const level = Math.max(this.particles / 8192,1);
         const size = 1.6/Math.pow(level, 1/3);
@@ -79,52 +109,349 @@ class Conf {
         this.gravitySensor.start();
     }
 
-    init() {
+    /**
+     * Builds the pane. The modules it drives that read conf themselves are passed in rather than imported, so
+     * conf.js only imports modules that don't import it back: `services` holds the preset manager
+     * (`presets`) and the timeline helpers `timelineTargets` and `addTimelineKey`. Rebuilds reuse them.
+     */
+    init(services = this.services) {
+        this.services = services;
+        const { presets, timelineTargets, addTimelineKey } = services;
         const gui = new Pane()
         gui.registerPlugin(EssentialsPlugin);
 
+        // Hidden until reportError() shows them
+        this.statusBlades = [
+            gui.addBinding(this, "statusMessage", { label: "error", readonly: true }),
+            gui.addButton({ title: "dismiss" }),
+        ];
+        this.statusBlades[1].on('click', () => {
+            this.statusMessage = "";
+            this.statusBlades.forEach(blade => { blade.hidden = true; });
+        });
+        this.statusBlades.forEach(blade => { blade.hidden = !this.statusMessage; });
+
         const stats = gui.addFolder({
             title: "stats",
-            expanded: false,
+            expanded: this.statsVisible,
         });
+        stats.on("fold", (ev) => { this.statsVisible = ev.expanded; });
         this.fpsGraph = stats.addBlade({
             view: 'fpsgraph',
             label: 'fps',
             rows: 2,
         });
+        stats.addBinding(this, "substeps", { readonly: true, format: v => v.toFixed(0) });
+        stats.addBinding(this, "effectiveDt", { label: "dt", readonly: true, format: v => v.toFixed(4) });
+        stats.addBinding(this, "fixedPointScale", { label: "fixed point", readonly: true, format: v => v.toExponential(2) });
+        stats.addBinding(this, "saturatedCells", { label: "saturated", readonly: true, format: v => v.toFixed(0) });
+        stats.addBinding(this, "maxVorticity", { label: "max vorticity", readonly: true, format: v => v.toFixed(2) });
+        stats.addBinding(this, "benchmarkResult", { label: "P2G bench", readonly: true });
 
-        // Presets
-        const presetOptions = {
-            options: {
-                'Select preset...': '',
-                'Calm': 'Calm',
-                'Storm': 'Storm',
-                'Dense Cloud': 'Dense Cloud',
-                'Light Mist': 'Light Mist'
-            },
-            value: ''
+        const presetFolder = gui.addFolder({
+            title: "presets",
+            expanded: false,
+        });
+        // Reports failures of the preset actions instead of leaving them in the console
+        const tryPreset = (action) => {
+            try {
+                action();
+            } catch (e) {
+                this.reportError(e);
+            }
         };
-        gui.addBlade({
+        presetFolder.addBlade({
             view: 'list',
-            label: 'presets',
-            options: [
-                {text: 'Calm', value: 'Calm'},
-                {text: 'Storm', value: 'Storm'},
-                {text: 'Dense Cloud', value: 'Dense Cloud'},
-                {text: 'Light Mist', value: 'Light Mist'},
-            ],
-            value: 'Calm',
+            label: 'preset',
+            options: presets.names().map(name => ({ text: name, value: name })),
+            value: this.selectedPreset,
         }).on('change', (ev) => {
-            this.applyPreset(ev.value);
+            if (this.controlLearn) {
+                this.controlLearnTarget = "preset";
+            }
+            this.selectedPreset = ev.value;
+            this.presetName = ev.value;
+            tryPreset(() => this.applyPreset(ev.value));
+        });
+        presetFolder.addBinding(this, "presetCrossfade", { label: "crossfade", min: 0, max: 30, step: 0.5 });
+        presetFolder.addBinding(this, "presetName", { label: "name" });
+        presetFolder.addButton({ title: "save" }).on('click', () => tryPreset(() => {
+            presets.save(this.presetName);
+            this.selectedPreset = this.presetName.trim();
+            this.rebuildGui();
+        }));
+        presetFolder.addButton({ title: "rename" }).on('click', () => tryPreset(() => {
+            presets.rename(this.selectedPreset, this.presetName);
+            this.selectedPreset = this.presetName.trim();
+            this.rebuildGui();
+        }));
+        presetFolder.addButton({ title: "delete" }).on('click', () => tryPreset(() => {
+            presets.remove(this.selectedPreset);
+            this.selectedPreset = presets.names()[0];
+            this.rebuildGui();
+        }));
+        presetFolder.addButton({ title: "export" }).on('click', () => tryPreset(() => presets.exportJson()));
+        presetFolder.addButton({ title: "import" }).on('click', async () => {
+            const file = await this.pickFile(".json,application/json");
+            try {
+                presets.importJson(await file.text());
+                this.rebuildGui();
+            } catch (e) {
+                this.reportError(e);
+            }
+        });
+        presetFolder.addButton({ title: "copy share link" }).on('click', async () => {
+            try {
+                const url = await presets.shareUrl();
+                await navigator.clipboard.writeText(url);
+            } catch (e) {
+                this.reportError(e);
+            }
+        });
+        presetFolder.addButton({ title: "reset to defaults" }).on('click', () => {
+            presets.clearSession();
+            window.location.reload();
+        });
+
+        gui.addButton({
+            title: "reset simulation",
+        }).on('click', () => {
+            this.resetRequested = true;
+        });
+
+        gui.addBinding(this, "brushTool", {
+            label: "brush",
+            options: Object.fromEntries(["none", ...Object.keys(this.brushes)].map(tool => [tool, tool])),
+        });
+        const brushes = gui.addFolder({
+            title: "brushes",
+            expanded: false,
+        });
+        brushes.addBinding(this, "showBrushes", { label: "show" });
+        Object.entries(this.brushes).forEach(([tool, brush]) => {
+            const folder = brushes.addFolder({
+                title: tool,
+                expanded: false,
+            });
+            folder.addBinding(brush, "radius", { min: 1, max: 40, step: 0.5 });
+            folder.addBinding(brush, "strength", { min: tool === "attract" ? -2 : 0, max: 2, step: 0.01 });
+            if (brush.color) {
+                folder.addBinding(brush, "color");
+            }
+            if (brush.mode) {
+                folder.addBinding(brush, "mode", { options: { freeze: "freeze", pin: "pin", unpin: "unpin" } });
+            }
+        });
+        brushes.addButton({ title: "unpin all" }).on('click', () => {
+            this.unpinRequested = true;
         });
 
+        const audio = gui.addFolder({
+            title: "audio",
+            expanded: false,
+        });
+        audio.addBinding(this, "audioSource", { label: "source", readonly: true });
+        audio.addButton({ title: "play audio file" }).on('click', async () => {
+            const file = await this.pickFile("audio/*");
+            this.audioFileToLoad = await file.arrayBuffer();
+        });
+        audio.addButton({ title: "use microphone" }).on('click', () => {
+            this.microphoneRequested = true;
+        });
+        audio.addButton({ title: "stop" }).on('click', () => {
+            this.audioStopRequested = true;
+        });
+        AUDIO_SIGNALS.forEach(signal => {
+            audio.addBinding(this.audioSignals, signal, { readonly: true, view: 'graph', min: 0, max: 1 });
+        });
+        const mappings = audio.addFolder({
+            title: "mappings",
+            expanded: false,
+        });
+        mappings.addButton({ title: "add mapping" }).on('click', () => {
+            const binding = { signal: "envelope", target: "speed", enabled: true, gain: 1, smoothing: 0.2, min: AUDIO_TARGETS.speed.min, max: AUDIO_TARGETS.speed.max };
+            this.audioBindings.push(binding);
+            this.addAudioBindingFolder(mappings, binding);
+        });
+        this.audioBindings.forEach(binding => this.addAudioBindingFolder(mappings, binding));
+
+        const timeline = gui.addFolder({
+            title: "timeline",
+            expanded: false,
+        });
+        timeline.addBinding(this, "timelinePlaying", { label: "play" });
+        timeline.addBinding(this, "timelineMode", { label: "mode", options: { loop: "loop", once: "once" } });
+        timeline.addBinding(this, "timelineDuration", { label: "duration", min: 1, max: 3600, step: 1 }).on('change', (ev) => {
+            // The playhead slider range follows
+            if (ev.last) { this.rebuildGui(); }
+        });
+        timeline.addBinding(this, "timelineTime", { label: "time", min: 0, max: this.timelineDuration });
+        timeline.addBinding(this, "timelineKeyTarget", { label: "field", options: Object.fromEntries(timelineTargets().map(t => [t, t])) });
+        timeline.addButton({ title: "add key" }).on('click', () => {
+            const track = addTimelineKey(this.timelineKeyTarget, this.timelineTime);
+            this.addTimelineTrackFolder(timeline, track);
+        });
+        this.timelineTrackFolders = new Map();
+        this.timelineTracks.forEach(track => this.addTimelineTrackFolder(timeline, track));
+
+        const control = gui.addFolder({
+            title: "external control",
+            expanded: false,
+        });
+        control.addBinding(this, "controlStatus", { label: "status", readonly: true });
+        control.addBinding(this, "controlLastMessage", { label: "last", readonly: true });
+        control.addButton({ title: "enable MIDI" }).on('click', () => {
+            this.midiRequested = true;
+        });
+        control.addBinding(this, "oscUrl", { label: "OSC bridge" });
+        control.addButton({ title: "connect OSC" }).on('click', () => {
+            this.oscConnectRequested = true;
+        });
+        control.addBinding(this, "controlLearn", { label: "learn" }).on('change', () => {
+            this.controlLearnTarget = "";
+        });
+        control.addBinding(this, "controlLearnTarget", { label: "learn target", readonly: true });
+        this.controlMappingsFolder = control.addFolder({
+            title: "mappings",
+            expanded: false,
+        });
+        this.controlMappings.forEach(mapping => this.addControlMappingFolder(mapping));
+        // While learning, the GUI control that changes next becomes the target
+        gui.on('change', (ev) => {
+            const target = this.controlLearn && ev.target && ev.target.key ? learnedControlTarget(this, ev.target.key, ev.value) : "";
+            if (target) {
+                this.controlLearnTarget = target;
+            }
+        });
+
+        const snapshot = gui.addFolder({
+            title: "snapshot",
+            expanded: false,
+        });
+        snapshot.addButton({ title: "save snapshot" }).on('click', () => {
+            this.saveSnapshotRequested = true;
+        });
+        snapshot.addButton({ title: "load snapshot" }).on('click', async () => {
+            const file = await this.pickFile(".mpms");
+            this.snapshotToLoad = await file.arrayBuffer();
+        });
+
+        const exportFolder = gui.addFolder({
+            title: "export frames",
+            expanded: false,
+        });
+        exportFolder.addBinding(this, "exportFormat", { label: "format", options: { ply: "ply", csv: "csv" } });
+        exportFolder.addBinding(this, "exportTarget", { label: "target", options: { zip: "zip", directory: "directory" } });
+        exportFolder.addBinding(this, "exportStart", { label: "start frame", min: 0, max: 10000, step: 1 });
+        exportFolder.addBinding(this, "exportEnd", { label: "end frame", min: 0, max: 10000, step: 1 });
+        exportFolder.addBinding(this, "exportEvery", { label: "every nth", min: 1, max: 30, step: 1 });
+        Object.keys(this.exportAttributes).forEach(key => {
+            exportFolder.addBinding(this.exportAttributes, key);
+        });
+        exportFolder.addButton({ title: "choose directory" }).on('click', async () => {
+            if (!window.showDirectoryPicker) {
+                return this.reportError(new Error("This browser has no File System Access API, export as zip instead"));
+            }
+            try {
+                this.exportDirectory = await window.showDirectoryPicker({ mode: "readwrite" });
+            } catch (e) {
+                // Dismissing the picker rejects with an AbortError
+                if (e.name !== "AbortError") {
+                    this.reportError(e);
+                }
+                return;
+            }
+            this.exportTarget = "directory";
+            this.gui.refresh();
+        });
+        exportFolder.addBinding(this, "exportRecording", { label: "recording" });
+
+        const renderFolder = gui.addFolder({
+            title: "offline render",
+            expanded: false,
+        });
+        renderFolder.addBinding(this, "renderFormat", { label: "format", options: { webm: "webm", png: "png" } });
+        renderFolder.addBinding(this, "renderTarget", { label: "png target", options: { zip: "zip", directory: "directory" } });
+        renderFolder.addBinding(this, "renderWidth", { label: "width", min: 64, max: 3840, step: 2 });
+        renderFolder.addBinding(this, "renderHeight", { label: "height", min: 64, max: 2160, step: 2 });
+        renderFolder.addBinding(this, "renderFps", { label: "fps", options: { 24: 24, 25: 25, 30: 30, 50: 50, 60: 60 } });
+        renderFolder.addBinding(this, "renderFrames", { label: "frames", min: 1, max: 10000, step: 1 });
+        renderFolder.addBinding(this, "renderBitrate", { label: "bitrate (Mbit/s)", min: 1, max: 100, step: 1 });
+        renderFolder.addBinding(this, "renderRecording", { label: "recording" });
+
         const settings = gui.addFolder({
             title: "settings",
             expanded: false,
         });
+
+        const scene = settings.addFolder({
+            title: "initial condition",
+            expanded: false,
+        });
+        scene.addBinding(this, "initialCondition", {
+            label: "scene",
+            options: {
+                sphere: "sphere",
+                blobs: "blobs",
+                boxes: "boxes",
+                marble: "marble",
+                "dam break": "dam break",
+                mesh: "mesh",
+                text: "text",
+                image: "image",
+            },
+        }).on('change', () => { this.resetRequested = true; });
+        scene.addBinding(this, "initialText", { label: "text" });
+        scene.addButton({ title: "load mesh (.obj, .glb)" }).on('click', async () => {
+            const file = await this.pickFile(".obj,.glb");
+            this.initialMesh = file.name.toLowerCase().endsWith(".obj") ? await file.text() : await file.arrayBuffer();
+            this.initialCondition = "mesh";
+            this.resetRequested = true;
+            this.gui.refresh();
+        });
+        scene.addButton({ title: "load image" }).on('click', async () => {
+            const file = await this.pickFile("image/*");
+            this.initialImage = await createImageBitmap(file);
+            this.initialCondition = "image";
+            this.resetRequested = true;
+            this.gui.refresh();
+        });
         settings.addBinding(this, "particles", { min: 4096, max: this.maxParticles, step: 4096 }).on('change', () => { this.updateParams(); });
         settings.addBinding(this, "size", { min: 0.3, max: 2, step: 0.05 }).on('change', () => { this.updateParams(); });
         settings.addBinding(this, "bloom");
+        settings.addBinding(this, "renderMode", {
+            label: "renderer",
+            options: {
+                beads: "beads",
+                points: "points",
+                surface: "surface",
+                fluid: "fluid",
+            },
+        });
+
+        const surface = settings.addFolder({
+            title: "surface",
+            expanded: false,
+        });
+        surface.addBinding(this, "surfaceIsoLevel", { min: 0.1, max: 4, step: 0.05, label: "iso level" });
+        surface.addBinding(this, "surfaceSmoothness", { min: 1, max: 4, step: 0.25, label: "smoothness" });
+        surface.addBinding(this, "surfaceResolution", {
+            label: "resolution",
+            options: {
+                "48": 48,
+                "64": 64,
+                "96": 96,
+                "128": 128,
+            },
+        });
+
+        const fluid = settings.addFolder({
+            title: "fluid",
+            expanded: false,
+        });
+        fluid.addBinding(this, "fluidBlurRadius", { min: 0, max: 16, step: 1, label: "blur radius" });
+        fluid.addBinding(this, "fluidThickness", { min: 0.05, max: 2, step: 0.05, label: "thickness" });
+        fluid.addBinding(this, "fluidEdgeSharpness", { min: 1, max: 200, step: 1, label: "edge sharpness" });
 
         const visuals = settings.addFolder({
             title: "visuals",
@@ -141,32 +468,185 @@ class Conf {
         visuals.addBinding(this, "opacityVariation", { min: 0, max: 0.4, step: 0.05, label: "opacity variation" });
         visuals.addBinding(this, "depthBrightness", { min: 0, max: 1.0, step: 0.05, label: "depth brightness" });
         visuals.addBinding(this, "vignetteIntensity", { min: 0, max: 1.0, step: 0.05, label: "vignette" });
-        //settings.addBinding(this, "points");
+
+        const color = settings.addFolder({
+            title: "color",
+            expanded: false,
+        });
+        color.addBinding(this, "colorMode", { label: "mode", options: Object.fromEntries(Object.keys(COLOR_MODES).map(m => [m, m])) });
+        color.addBinding(this, "colorScale", { label: "scale", min: 0.05, max: 5, step: 0.05 });
+        color.addBinding(this, "dyeMixing", { label: "dye mixing", min: 0, max: 5, step: 0.05 });
+        const palette = color.addFolder({
+            title: "palette",
+            expanded: false,
+        });
+        // Palette edits that add or remove stops rebuild the pane, it lists one folder per stop
+        const setPalette = (stops) => {
+            this.palette = stops;
+            this.rebuildGui();
+        };
+        palette.addButton({ title: "add stop" }).on('click', () => {
+            if (this.palette.length >= MAX_STOPS) { return this.reportError(new PaletteError("A palette has at most " + MAX_STOPS + " stops")); }
+            const sorted = [...this.palette].sort((a, b) => a.position - b.position);
+            // Into the widest gap
+            const gap = sorted.slice(1).reduce((best, stop, i) => stop.position - sorted[i].position > best.width ? { width: stop.position - sorted[i].position, at: sorted[i] } : best, { width: -1 });
+            setPalette([...this.palette, { position: gap.at.position + gap.width / 2, color: gap.at.color }]);
+        });
+        // Starts out as the current stops, so it shows the format to type in
+        this.paletteHex = [...this.palette].sort((a, b) => a.position - b.position).map(stop => stop.color).join(" ");
+        palette.addBinding(this, "paletteHex", { label: "hex codes" });
+        palette.addButton({ title: "import hex codes" }).on('click', () => {
+            try {
+                setPalette(paletteFromHex(this.paletteHex));
+            } catch (e) {
+                this.reportError(e);
+            }
+        });
+        palette.addButton({ title: "import PNG strip" }).on('click', async () => {
+            const file = await this.pickFile("image/png,image/*");
+            try {
+                setPalette(paletteFromImage(await createImageBitmap(file)));
+            } catch (e) {
+                this.reportError(e);
+            }
+        });
+        this.palette.forEach((stop, i) => {
+            const folder = palette.addFolder({
+                title: "stop " + (i + 1),
+                expanded: false,
+            });
+            folder.addBinding(stop, "position", { min: 0, max: 1, step: 0.01 });
+            folder.addBinding(stop, "color");
+            folder.addButton({ title: "remove" }).on('click', () => {
+                if (this.palette.length <= MIN_STOPS) { return this.reportError(new PaletteError("A palette has at least " + MIN_STOPS + " stops")); }
+                setPalette(this.palette.filter(s => s !== stop));
+            });
+        });
 
         const simulation = settings.addFolder({
             title: "simulation",
             expanded: false,
         });
         simulation.addBinding(this, "run");
-        simulation.addBinding(this, "noise", { min: 0, max: 2, step: 0.01 });
+        simulation.addBinding(this, "seed", { min: 0, max: 99999, step: 1 }).on('change', () => {
+            this.writeSeeds();
+            this.resetRequested = true;
+        });
+        simulation.addBinding(this, "noiseSeed", { label: "noise seed", min: 0, max: 99999, step: 1 }).on('change', () => { this.writeSeeds(); });
         simulation.addBinding(this, "speed", { min: 0.1, max: 2, step: 0.1 });
+        simulation.addBinding(this, "vorticityConfinement", { label: "vorticity", min: 0, max: 2, step: 0.01 });
+        simulation.addBinding(this, "adaptiveSteps", { label: "adaptive steps" });
+        simulation.addBinding(this, "cfl", { label: "CFL", min: 0.1, max: 2, step: 0.05 });
+        simulation.addBinding(this, "maxSubsteps", { label: "max substeps", min: 1, max: 16, step: 1 });
+        const p2gModes = { "fixed point": "fixed" };
+        if (supportsFloatAtomics()) {
+            p2gModes["float atomics"] = "float";
+        }
+        const p2gBinding = simulation.addBinding(this, "p2gMode", { label: "P2G", options: p2gModes });
+        p2gBinding.disabled = this.sortParticles;
+        simulation.addBinding(this, "p2gDebug", { label: "saturation debug" });
+        simulation.addBinding(this, "sortParticles", { label: "sort particles" }).on("change", (ev) => {
+            p2gBinding.disabled = ev.value;
+        });
+        simulation.addBinding(this, "sortEvery", { label: "sort every", min: 1, max: 60, step: 1 });
+        simulation.addBinding(this, "sharedP2G", { label: "shared P2G" });
+        simulation.addButton({ title: "benchmark P2G" }).on('click', () => {
+            this.benchmarkRequested = true;
+        });
+        // Buffers are sized for the grid at startup, so a different grid reloads the page
+        const { x, y, z } = this.gridResolution;
         simulation.addBlade({
             view: 'list',
-            label: 'gravity',
+            label: 'grid',
             options: [
-                {text: 'back', value: 0},
-                {text: 'down', value: 1},
-                {text: 'center', value: 2},
-                {text: 'device gravity', value: 3},
+                {text: '64 x 64 x 64', value: '64x64x64'},
+                {text: 'wide tank 128 x 64 x 32', value: '128x64x32'},
+                {text: 'tall column 32 x 128 x 32', value: '32x128x32'},
+                {text: 'slab 96 x 48 x 16', value: '96x48x16'},
             ],
-            value: 1,
+            value: x + 'x' + y + 'x' + z,
         }).on('change', (ev) => {
-            if (ev.value === 3) {
-                this.setupGravitySensor();
-            }
-            this.gravity = ev.value;
+            const url = new URL(window.location.href);
+            url.searchParams.set("grid", ev.value);
+            window.location.href = url.toString();
         });
         simulation.addBinding(this, "density", { min: 0.4, max: 2, step: 0.1 }).on('change', () => { this.updateParams(); });;
+        simulation.addBinding(this, "material", {
+            options: {
+                fluid: "fluid",
+                jelly: "jelly",
+                snow: "snow",
+                sand: "sand",
+                "sand on jelly": "sand on jelly",
+            },
+        });
+        simulation.addBinding(this, "youngsModulus", { min: 5, max: 150, step: 1, label: "elasticity" });
+        simulation.addBinding(this, "frictionAngle", { min: 15, max: 45, step: 1, label: "friction angle" });
+
+        const colliders = settings.addFolder({
+            title: "colliders",
+            expanded: false,
+        });
+        colliders.addBinding(this, "showColliders", { label: "show" });
+        this.colliders.forEach(collider => {
+            const folder = colliders.addFolder({
+                title: collider.name,
+                expanded: false,
+            });
+            folder.addBinding(collider, "enabled");
+            folder.addBinding(collider, "behavior", {
+                options: {
+                    sticky: "sticky",
+                    slip: "slip",
+                    separate: "separate",
+                },
+            });
+            folder.addBinding(collider, "friction", { min: 0, max: 2, step: 0.05 });
+        });
+
+        const forceFields = settings.addFolder({
+            title: "force fields",
+            expanded: false,
+        });
+        forceFields.addBinding(this, "showForceFields", { label: "show" });
+        forceFields.addBlade({
+            view: 'list',
+            label: 'add',
+            options: [{ text: 'choose type...', value: '' }, ...Object.keys(FORCE_FIELD_DEFAULTS).map(type => ({ text: type, value: type }))],
+            value: '',
+        }).on('change', (ev) => {
+            if (!ev.value) { return; }
+            const field = {
+                name: ev.value + " " + (this.forceFields.length + 1), type: ev.value, enabled: true,
+                position: { x: 0.5, y: 0.5, z: 0.5 }, scale: 0.015, speed: 1,
+                animation: "none", animationSpeed: 0.2, animationAmount: 0.5,
+                ...structuredClone(FORCE_FIELD_DEFAULTS[ev.value]),
+            };
+            this.forceFields.push(field);
+            this.addForceFieldFolder(forceFields, field);
+            ev.target.value = '';
+        });
+        this.forceFields.forEach(field => this.addForceFieldFolder(forceFields, field));
+
+        const emitters = settings.addFolder({
+            title: "emitters",
+            expanded: false,
+        });
+        emitters.addBinding(this, "particleLifetime", { min: 0, max: 30, step: 0.5, label: "lifetime" });
+        this.emitters.forEach(emitter => {
+            const folder = emitters.addFolder({
+                title: emitter.name,
+                expanded: false,
+            });
+            folder.addBinding(emitter, "enabled");
+            folder.addBinding(emitter, "rate", { min: 0, max: 20000, step: 100 });
+            folder.addBinding(emitter, "spread", { min: 0, max: 1, step: 0.01 });
+            folder.addBinding(emitter, "color");
+        });
+        this.sinks.forEach(sink => {
+            emitters.addBinding(sink, "enabled", { label: sink.name });
+        });
+
         /*simulation.addBinding(this, "stiffness", { min: 0.5, max: 10, step: 0.1 });
         simulation.addBinding(this, "restDensity", { min: 0.5, max: 10, step: 0.1 });
         simulation.addBinding(this, "dynamicViscosity", { min: 0.01, max: 0.4, step: 0.01 });*/
@@ -177,47 +657,143 @@ class Conf {
         this.gui = gui;
     }
 
-    // Presets
-    applyPreset(name) {
-        const presets = {
-            'Calm': {
-                noise: 0.3, speed: 0.5, size: 0.5, density: 0.8,
-                exposure: 0.9, bloomStrength: 0.3, chromaticAberration: 0.002,
-                fogNear: 0.4, fogFar: 2.0
-            },
-            'Storm': {
-                noise: 1.5, speed: 1.4, size: 0.6, density: 1.2,
-                exposure: 1.2, bloomStrength: 0.7, chromaticAberration: 0.006,
-                fogNear: 0.2, fogFar: 1.5
-            },
-            'Dense Cloud': {
-                noise: 0.5, speed: 0.6, size: 0.4, density: 1.5,
-                exposure: 0.8, bloomStrength: 0.4, chromaticAberration: 0.003,
-                fogNear: 0.5, fogFar: 2.5, particles: 8192 * 12
-            },
-            'Light Mist': {
-                noise: 0.8, speed: 0.7, size: 0.8, density: 0.6,
-                exposure: 1.1, bloomStrength: 0.6, chromaticAberration: 0.004,
-                fogNear: 0.3, fogFar: 1.2, particles: 8192 * 4
-            }
-        };
-
-        const preset = presets[name];
-        if (preset) {
-            Object.entries(preset).forEach(([key, value]) => {
-                if (this[key] !== undefined) {
-                    this[key] = value;
-                }
+    addForceFieldFolder(parent, field) {
+        const folder = parent.addFolder({
+            title: field.name,
+            expanded: false,
+        });
+        folder.addBinding(field, "enabled");
+        folder.addBinding(field, "strength", { min: -2, max: 2, step: 0.01 });
+        folder.addBinding(field, "radius", { min: 0, max: 2, step: 0.01 });
+        folder.addBinding(field, "falloff", { options: Object.fromEntries(Object.keys(FORCE_FIELD_FALLOFFS).map(f => [f, f])) });
+        folder.addBinding(field, "position", { x: { min: 0, max: 1 }, y: { min: 0, max: 1 }, z: { min: 0, max: 1 } });
+        if (field.direction) {
+            folder.addBinding(field, "direction", { x: { min: -1, max: 1 }, y: { min: -1, max: 1 }, z: { min: -1, max: 1 } });
+        }
+        if (field.type === "directional") {
+            folder.addBinding(field, "device", { label: "device gravity" }).on('change', (ev) => {
+                if (ev.value) { this.setupGravitySensor(); }
             });
-            this.updateParams();
+        }
+        if (field.type === "turbulence") {
+            folder.addBinding(field, "scale", { min: 0.002, max: 0.1, step: 0.001 });
+            folder.addBinding(field, "speed", { min: 0, max: 5, step: 0.05 });
+        }
+        folder.addBinding(field, "animation", { options: { none: "none", pulse: "pulse", orbit: "orbit" } });
+        folder.addBinding(field, "animationSpeed", { label: "anim speed", min: 0, max: 2, step: 0.01 });
+        folder.addBinding(field, "animationAmount", { label: "anim amount", min: 0, max: 1, step: 0.01 });
+        folder.addButton({ title: "remove" }).on('click', () => {
+            this.forceFields.splice(this.forceFields.indexOf(field), 1);
+            folder.dispose();
+        });
+    }
+
+    addAudioBindingFolder(parent, binding) {
+        const folder = parent.addFolder({
+            title: binding.signal + " -> " + binding.target,
+            expanded: false,
+        });
+        const updateTitle = () => { folder.title = binding.signal + " -> " + binding.target; };
+        folder.addBinding(binding, "enabled");
+        folder.addBinding(binding, "signal", { options: Object.fromEntries(AUDIO_SIGNALS.map(s => [s, s])) }).on('change', updateTitle);
+        folder.addBinding(binding, "target", { options: Object.fromEntries(Object.keys(AUDIO_TARGETS).map(t => [t, t])) }).on('change', (ev) => {
+            // A new target starts from its own typical range
+            binding.min = AUDIO_TARGETS[ev.value].min;
+            binding.max = AUDIO_TARGETS[ev.value].max;
+            updateTitle();
             this.gui.refresh();
+        });
+        folder.addBinding(binding, "gain", { min: 0, max: 4, step: 0.05 });
+        folder.addBinding(binding, "smoothing", { min: 0, max: 2, step: 0.01 });
+        folder.addBinding(binding, "min", { min: -3, max: 3, step: 0.01 });
+        folder.addBinding(binding, "max", { min: -3, max: 3, step: 0.01 });
+        folder.addButton({ title: "remove" }).on('click', () => {
+            this.audioBindings.splice(this.audioBindings.indexOf(binding), 1);
+            folder.dispose();
+        });
+    }
+
+    // (Re)creates the folder of a track, keys are added by "add key" at the playhead
+    addTimelineTrackFolder(parent, track) {
+        const existing = this.timelineTrackFolders.get(track);
+        if (existing) { existing.dispose(); }
+        const folder = parent.addFolder({
+            title: track.target,
+            expanded: Boolean(existing),
+        });
+        this.timelineTrackFolders.set(track, folder);
+        folder.addBinding(track, "enabled");
+        track.keys.forEach(key => {
+            const keyFolder = folder.addFolder({
+                title: key.time.toFixed(2) + " s",
+                expanded: false,
+            });
+            keyFolder.addBinding(key, "time", { min: 0, step: 0.01 }).on('change', () => {
+                keyFolder.title = key.time.toFixed(2) + " s";
+            });
+            keyFolder.addBinding(key, "value");
+            keyFolder.addBinding(key, "easing", { options: Object.fromEntries(Object.keys(TIMELINE_EASINGS).map(e => [e, e])) });
+            keyFolder.addButton({ title: "remove key" }).on('click', () => {
+                track.keys.splice(track.keys.indexOf(key), 1);
+                keyFolder.dispose();
+            });
+        });
+        folder.addButton({ title: "remove track" }).on('click', () => {
+            this.timelineTracks.splice(this.timelineTracks.indexOf(track), 1);
+            this.timelineTrackFolders.delete(track);
+            folder.dispose();
+        });
+    }
+
+    addControlMappingFolder(mapping) {
+        const folder = this.controlMappingsFolder.addFolder({
+            title: mapping.address + " -> " + mapping.target,
+            expanded: false,
+        });
+        folder.addBinding(mapping, "target", { options: Object.fromEntries(controlTargets(this).map(t => [t, t])) }).on('change', () => {
+            folder.title = mapping.address + " -> " + mapping.target;
+        });
+        folder.addBinding(mapping, "min", { step: 0.01 });
+        folder.addBinding(mapping, "max", { step: 0.01 });
+        folder.addBinding(mapping, "curve", { options: Object.fromEntries(Object.keys(CONTROL_CURVES).map(c => [c, c])) });
+        folder.addButton({ title: "remove" }).on('click', () => {
+            this.controlMappings.splice(this.controlMappings.indexOf(mapping), 1);
+            folder.dispose();
+        });
+    }
+
+    // Presets, see src/presetManager.js
+    applyPreset(name) {
+        this.services.presets.apply(name, this.presetCrossfade);
+    }
+
+    /**
+     * Shows a failed action in the status line at the top of the pane, which stays until it is dismissed. Modules
+     * report here rather than with alert(), it doesn't block the frame loop or a running recording.
+     * @param {Error} error
+     */
+    reportError(error) {
+        console.error(error);
+        this.statusMessage = error.message;
+        if (this.statusBlades) {
+            this.statusBlades.forEach(blade => { blade.hidden = false; });
         }
     }
 
+    // Rebuilds the pane at the start of the next frame, after a settings list or the preset list changed length
+    rebuildGui() {
+        this.rebuildGuiRequested = true;
+    }
+
     update() {
     }
 
     begin() {
+        if (this.rebuildGuiRequested) {
+            this.rebuildGuiRequested = false;
+            this.gui.dispose();
+            this.init();
+        }
         this.fpsGraph.begin();
     }
     end() {
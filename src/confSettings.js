@@ -0,0 +1,338 @@
+import {AUDIO_SIGNALS} from "./common/audioAnalysis.js";
+
+// The conf fields and their defaults, without the GUI. No browser imports, so the Node tests check against the
+// same schema conf.js extends.
+
+// conf fields that are runtime state rather than settings
+export const RUNTIME_CONF_FIELDS = ["gui", "statusMessage", "statusBlades", "fpsGraph", "gravitySensor", "initialMesh", "initialImage", "resetRequested", "saveSnapshotRequested", "snapshotToLoad", "exportRecording", "exportDirectory", "renderRecording", "substeps", "effectiveDt", "fixedPointScale", "saturatedCells", "maxVorticity", "statsVisible", "benchmarkResult", "benchmarkRequested", "unpinRequested", "audioSource", "audioSignals", "audioFileToLoad", "microphoneRequested", "audioStopRequested", "controlMappings", "controlStatus", "controlLastMessage", "controlLearn", "controlLearnTarget", "midiRequested", "oscConnectRequested", "oscEnabled", "controlMappingsFolder", "presetName", "paletteHex", "selectedPreset", "rebuildGuiRequested", "services", "crossfadeRequested", "timelineTime", "timelineKeyTarget", "timelineTrackFolders"];
+
+// Buffers are sized for these at startup; presets leave them alone, the grid travels in the ?grid= parameter
+export const STARTUP_CONF_FIELDS = ["maxParticles", "gridResolution", "domainSize", "depthScale"];
+
+// Preset keys that aren't conf fields, conf comes in as a parameter. turbulence reads the strength of the first
+// turbulence force field and sets the strength of all of them.
+export const VIRTUAL_FIELDS = {
+    turbulence: {
+        type: "number",
+        get: (conf) => {
+            const field = conf.forceFields.find(field => field.type === "turbulence");
+            return field ? field.strength : 0;
+        },
+        apply: (conf, value) => {
+            conf.forceFields.filter(field => field.type === "turbulence").forEach(field => { field.strength = value; });
+        },
+    },
+};
+
+const isPlainObject = (value) => value && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * The settings of the given types with their location, nested ones in plain objects and lists included.
+ * @param {object} settings conf, or a ConfSettings
+ * @param {string[]} types typeof the leaves, e.g. ["number"]
+ * @param {string[]} skipped fields left out besides the runtime state
+ * @returns {{path: string, owner: object, key: string}[]} path like "speed" or "forceFields.1.strength"
+ */
+export const settingLeaves = (settings, types, skipped = []) => {
+    const leaves = [];
+    const walk = (owner, keys, prefix) => keys.forEach(key => {
+        const value = owner[key];
+        const path = prefix + key;
+        if (types.includes(typeof value)) {
+            leaves.push({ path, owner, key });
+        } else if (Array.isArray(value) || isPlainObject(value)) {
+            walk(value, Object.keys(value), path + ".");
+        }
+    });
+    walk(settings, Object.keys(settings).filter(key => !RUNTIME_CONF_FIELDS.includes(key) && !skipped.includes(key)), "");
+    return leaves;
+};
+
+/**
+ * Writes a serialized value into a setting: vectors and colors are set, lists of the same length and plain objects
+ * are updated in place, since the GUI is bound to them. Objects and lists are copied, so the settings never share
+ * them with the preset or snapshot they came from.
+ */
+export const assignValue = (target, key, value) => {
+    const current = target[key];
+    if (current && (current.isVector2 || current.isVector3 || current.isVector4)) {
+        current.fromArray(value);
+    } else if (current && current.isColor) {
+        current.setHex(value);
+    } else if (Array.isArray(current) && Array.isArray(value) && current.length === value.length) {
+        // Update lists of settings objects (colliders, emitters) in place, the GUI is bound to them
+        value.forEach((item, i) => {
+            if (current[i] && typeof current[i] === 'object' && item && typeof item === 'object') {
+                Object.assign(current[i], structuredClone(item));
+            } else {
+                current[i] = structuredClone(item);
+            }
+        });
+    } else if (isPlainObject(current) && value && typeof value === 'object') {
+        Object.entries(value).forEach(([k, v]) => assignValue(current, k, v));
+    } else {
+        target[key] = structuredClone(value);
+    }
+};
+
+export class ConfSettings {
+    gui = null;
+    statusMessage = "";     // Last failed GUI action, shown at the top of the pane, see reportError()
+    maxParticles = 8192 * 16;
+    particles = 8192 * 8; // More particles for dense cloud
+
+    bloom = true;
+
+    run = true;
+    speed = 1.5;
+    stiffness = 3.;
+    restDensity = 1.;
+    density = 2;
+    dynamicViscosity = 0.1;
+    vorticityConfinement = 0;   // Strength of the force that keeps small swirls alive on the grid, 0 = off
+    maxVorticity = 0;           // Stats, written by the simulator
+    statsVisible = false;       // Whether the stats folder is open; the vorticity pass also runs for the stat then
+
+    // === Time stepping ===
+    // Each frame is split into substeps so dt * (max particle speed + sound speed) stays below cfl grid cells
+    adaptiveSteps = true;
+    cfl = 0.8;
+    maxSubsteps = 6;    // Budget per frame, above it the simulation runs unstable rather than slow
+    substeps = 1;       // Stats, written by the simulator
+    effectiveDt = 0;
+
+    // === P2G accumulation ===
+    // "fixed": int atomics with a scale adapted to the grid peaks, "float": f32 atomics by compare-exchange
+    p2gMode = "fixed";
+    p2gDebug = false;           // Counts cells close to the fixed point range every frame
+    sortParticles = true;       // Counting sort of the particle pool by 4^3 cell blocks, forces fixed point P2G
+    sortEvery = 4;              // Frames between sorts
+    sharedP2G = true;           // Accumulate P2G in workgroup memory first, fixed point only
+    fixedPointScale = 1e7;      // Stats, written by the simulator
+    saturatedCells = 0;
+    benchmarkResult = "";
+    benchmarkRequested = false; // Set by the GUI, the simulator times the P2G modes on its next update
+
+    // === Seeds ===
+    // Drive all CPU-side randomness (seeding, mass jitter) and the emitter hash (URL: ?seed=42)
+    seed = 1;
+    noiseSeed = 0;  // Offsets the turbulence field, 0 = the original field (URL: ?noiseSeed=7)
+
+    // === Frame export ===
+    exportFormat = "ply";   // "ply" (binary little endian) or "csv"
+    exportTarget = "zip";   // "zip" download or "directory" (File System Access API)
+    exportStart = 0;        // First exported frame, counted from the start of the recording
+    exportEnd = 240;        // Last exported frame, recording stops there
+    exportEvery = 1;        // Export every Nth frame
+    exportAttributes = { position: true, velocity: true, density: true, color: true };
+    exportRecording = false;
+    exportDirectory = null; // FileSystemDirectoryHandle for the "directory" target
+
+    // === Offline render ===
+    // Every output frame advances the simulation by exactly 1 / renderFps seconds, independent of the display
+    renderFormat = "webm";  // "webm" (WebCodecs) or "png" (numbered frames)
+    renderTarget = "zip";   // PNG frames only: "zip" download or "directory", shared with the frame export
+    renderWidth = 1920;
+    renderHeight = 1080;
+    renderFps = 30;
+    renderFrames = 300;     // Recording stops after this many frames
+    renderBitrate = 20;     // WebM bitrate in Mbit/s
+    renderRecording = false;
+
+    // === Initial condition ===
+    initialCondition = "sphere"; // See INITIAL_CONDITIONS in src/mls-mpm/initialConditions.js
+    initialText = "MPM";         // Seeded by the "text" condition
+    initialMesh = null;          // OBJ text or GLB ArrayBuffer picked with "load mesh", null = built-in box
+    initialImage = null;         // ImageBitmap picked with "load image"
+    resetRequested = false;      // Set by the GUI, the simulator re-seeds on its next update
+    saveSnapshotRequested = false; // Set by the GUI, App writes a snapshot file between frames
+    snapshotToLoad = null;       // Snapshot file contents (ArrayBuffer) for App to restore between frames
+
+    // === Domain ===
+    // Grid cells per axis, read once at startup (URL: ?grid=128x64x32)
+    gridResolution = { x: 64, y: 64, z: 64 };
+    domainSize = 1;     // World length of the longest grid axis
+    depthScale = 0.4;   // Z compression in world space, for the layered depth look
+
+    // === Materials ===
+    material = "fluid"; // "fluid", "jelly", "snow", "sand" or "sand on jelly"
+    youngsModulus = 40;  // Elastic stiffness of jelly, snow and sand
+    poissonRatio = 0.3;
+    frictionAngle = 30;  // Sand friction angle in degrees
+    actualSize = 1;
+    size = 0.6; // Smaller particles
+
+    // === Colliders ===
+    // Static obstacles, placed and sized in domain fractions so they fit any grid (see src/mls-mpm/domain.js):
+    // positions, box half extents and capsule half axes per axis (0-1, like the initial conditions); radii, mesh
+    // scales and shell thicknesses as fractions of the shortest axis.
+    // behavior: "sticky", "slip" or "separate"; friction is the Coulomb coefficient for slip and separate.
+    colliders = [
+        { name: "sphere", type: "sphere", enabled: false, behavior: "separate", friction: 0.2,
+            position: { x: 0.5, y: 0.3125, z: 0.5 }, radius: 0.15625 },
+        { name: "box", type: "box", enabled: false, behavior: "slip", friction: 0.0,
+            position: { x: 0.3125, y: 0.1875, z: 0.5 }, size: { x: 0.125, y: 0.125, z: 0.3125 }, radius: 0.015625 },
+        { name: "capsule", type: "capsule", enabled: false, behavior: "separate", friction: 0.5,
+            position: { x: 0.5, y: 0.4375, z: 0.5 }, axis: { x: 0.21875, y: 0.0625, z: 0 }, radius: 0.0625 },
+        // The room box rotated to open upwards, as a tray. Open meshes are thickened into a shell.
+        { name: "tray", type: "mesh", mesh: "box", enabled: false, behavior: "sticky", friction: 0.0,
+            position: { x: 0.5, y: 0.16, z: 0.5 }, rotation: { x: -Math.PI / 2, y: 0, z: 0 }, scale: 0.46875,
+            closed: false, thickness: 0.015625 },
+    ];
+    showColliders = true;
+
+    // === Force fields ===
+    // External forces, placed and sized in domain fractions like the colliders (radius and orbit amount of the
+    // shortest axis). type: "directional", "point", "vortex", "turbulence" or "drag"; radius 0 = everywhere,
+    // otherwise the strength fades by falloff. See src/mls-mpm/forceFields.js.
+    forceFields = [
+        { name: "gravity", type: "directional", enabled: true, strength: 0.2, radius: 0, falloff: "constant",
+            position: { x: 0.5, y: 0.5, z: 0.5 }, direction: { x: 0, y: -1, z: 0 }, device: false,
+            animation: "none", animationSpeed: 0.2, animationAmount: 0.5 },
+        { name: "back", type: "directional", enabled: false, strength: 0.2, radius: 0, falloff: "constant",
+            position: { x: 0.5, y: 0.5, z: 0.5 }, direction: { x: 0, y: 0, z: 1 }, device: false,
+            animation: "none", animationSpeed: 0.2, animationAmount: 0.5 },
+        { name: "center", type: "point", enabled: false, strength: 0.3, radius: 0, falloff: "constant",
+            position: { x: 0.5, y: 0.5, z: 0.5 },
+            animation: "none", animationSpeed: 0.2, animationAmount: 0.5 },
+        { name: "turbulence", type: "turbulence", enabled: true, strength: 0.4, radius: 0, falloff: "constant",
+            position: { x: 0.5, y: 0.5, z: 0.5 }, scale: 0.015, speed: 1,
+            animation: "none", animationSpeed: 0.2, animationAmount: 0.5 },
+        { name: "whirl", type: "vortex", enabled: false, strength: 0.3, radius: 0.3125, falloff: "smooth",
+            position: { x: 0.5, y: 0.3125, z: 0.5 }, direction: { x: 0, y: 1, z: 0 },
+            animation: "orbit", animationSpeed: 0.1, animationAmount: 0.15625 },
+    ];
+    showForceFields = false;
+
+    // === Brushes ===
+    // Pointer tools, applied while a pointer is down on the canvas. With a tool selected the left mouse button and
+    // touches paint, the right button orbits and touch devices have no camera gesture, so the default is the camera.
+    // radius is in grid cells. See src/mls-mpm/brushes.js.
+    brushTool = "none"; // "none" (camera only), "push", "attract", "swirl", "paint" or "freeze"
+    brushes = {
+        push: { radius: 10, strength: 1 },
+        attract: { radius: 12, strength: 0.5 },
+        swirl: { radius: 12, strength: 0.5 },
+        paint: { radius: 8, strength: 0.2, color: "#ff5a8c" },
+        freeze: { radius: 6, strength: 0.3, mode: "freeze" }, // mode: "freeze" (damps while held), "pin" or "unpin"
+    };
+    showBrushes = true;
+    unpinRequested = false; // Set by the GUI, the simulator releases all pinned particles on its next update
+
+    // === Audio ===
+    // Signals (envelope, bass, lowMid, highMid, treble, onset; all 0-1) drive conf parameters through bindings:
+    // value = min + (max - min) * clamp(signal * gain), smoothed with a time constant in seconds.
+    // target: "speed", "bloomStrength", "size", "turbulence", "gravity" (tilt in radians) or "impulse".
+    // See src/audioReactive.js.
+    audioBindings = [
+        { signal: "bass", target: "turbulence", enabled: true, gain: 1.2, smoothing: 0.1, min: 0.2, max: 1.2 },
+        { signal: "onset", target: "impulse", enabled: true, gain: 1, smoothing: 0, min: 0, max: 0.8 },
+        { signal: "envelope", target: "bloomStrength", enabled: false, gain: 1, smoothing: 0.3, min: 0.3, max: 1.2 },
+        { signal: "treble", target: "gravity", enabled: false, gain: 1, smoothing: 0.5, min: -0.4, max: 0.4 },
+    ];
+    audioSource = "none";           // Stats: "none", "file" or "microphone"
+    audioSignals = Object.fromEntries(AUDIO_SIGNALS.map(signal => [signal, 0]));
+    audioFileToLoad = null;         // Audio file contents (ArrayBuffer) for App to decode and play
+    microphoneRequested = false;    // Set by the GUI, App opens the microphone on its next update
+    audioStopRequested = false;
+
+    // === External control ===
+    // MIDI / OSC sources mapped onto numeric or boolean conf properties and "preset", stored in localStorage.
+    // source: "midi" or "osc"; curve: see CONTROL_CURVES in src/controlMapping.js.
+    controlMappings = [];
+    oscUrl = "ws://localhost:8081"; // scripts/osc-bridge.js
+    oscEnabled = false;             // Reconnects while on
+    controlStatus = "MIDI off, OSC off"; // Stats, written by ExternalControl
+    controlLastMessage = "";
+    controlLearn = false;           // Next GUI change picks the target, the next message the source
+    controlLearnTarget = "";
+    midiRequested = false;          // Set by the GUI, App asks for MIDI access on its next update
+    oscConnectRequested = false;
+
+    // === Presets ===
+    selectedPreset = "Calm";        // Shown in the preset list, see src/presetManager.js
+    presetName = "Calm";            // Name used by save and rename
+    rebuildGuiRequested = false;    // Set by rebuildGui(), the pane is rebuilt at the start of the next frame
+    services = null;                // Modules the GUI drives, passed to init()
+    presetCrossfade = 0;            // Seconds of simulated time presets blend over, 0 = instant
+    crossfadeRequested = null;      // { duration, changes } set by presets, the timeline blends them
+
+    // === Timeline ===
+    // Keyframed numeric fields, see src/timeline.js. Times are in simulated seconds.
+    timelineTracks = [];            // { target, enabled, keys: [{ time, value, easing }] }
+    timelinePlaying = false;
+    timelineMode = "loop";          // "loop" or "once"
+    timelineDuration = 60;
+    timelineTime = 0;               // Playhead, dragging it scrubs
+    timelineKeyTarget = "speed";    // Field "add key" keys
+    timelineTrackFolders = new Map(); // GUI folder per track
+
+    // === Emitters & sinks ===
+    // Placed and sized in domain fractions like the colliders: positions and box sizes per axis, disc radii of the
+    // shortest axis. rate is in particles per second, spread jitters the velocity by a fraction of its length.
+    emitters = [
+        { name: "fountain", type: "point", enabled: false, rate: 3000, color: "#8fd3ff",
+            position: { x: 0.5, y: 0.1, z: 0.5 }, velocity: { x: 0, y: 1.5, z: 0 }, spread: 0.15 },
+        { name: "shower", type: "disc", enabled: false, rate: 4000, color: "#ffffff",
+            position: { x: 0.5, y: 0.875, z: 0.5 }, velocity: { x: 0, y: -0.5, z: 0 }, spread: 0.05, radius: 0.15625 },
+        { name: "block", type: "box", enabled: false, rate: 2000, color: "#ff9a6b",
+            position: { x: 0.22, y: 0.625, z: 0.5 }, velocity: { x: 0.6, y: 0, z: 0 }, spread: 0.1, size: { x: 0.0625, y: 0.0625, z: 0.125 } },
+    ];
+    sinks = [
+        { name: "drain", enabled: false, position: { x: 0.78, y: 0.05, z: 0.5 }, size: { x: 0.09375, y: 0.046875, z: 0.09375 } },
+    ];
+    particleLifetime = 0; // Seconds, 0 = particles live forever
+
+    renderMode = "beads"; // "beads", "points", "surface" or "fluid"
+
+    // === Surface (marching cubes) ===
+    surfaceIsoLevel = 0.5;     // Density threshold, in particles per simulation cell
+    surfaceSmoothness = 2.0;   // Splat radius in voxels
+    surfaceResolution = 96;    // Voxels along the longest axis of the domain
+
+    // === Screen-space fluid ===
+    fluidBlurRadius = 6;       // Bilateral blur radius in pixels
+    fluidThickness = 0.5;      // Scales accumulated thickness (transmission and edge fade)
+    fluidEdgeSharpness = 40;   // Depth falloff of the bilateral blur, higher keeps silhouettes crisper
+
+    // Visual parameters
+    chromaticAberration = 0.0008;  // Subtle - set to 0 to disable completely
+    fogNear = 0.1;
+    fogFar = 2.2;
+    bloomStrength = 0.5;
+    bloomThreshold = 0.1;
+    exposure = 1.0;
+
+    // === Film Grain ===
+    // Adds organic noise to reduce digital/CG look
+    // Intensity 0.05-0.15 is subtle, 0.2+ is stylized
+    filmGrainIntensity = 0.08;
+
+    // === Color ===
+    // See src/mls-mpm/palette.js. Stops: position in [0, 1] and sRGB color, 2 to 8 of them.
+    colorMode = "seed";        // seed, speed, density, vorticity, depth, dye or hsv
+    colorScale = 1;            // Gain of the speed, density and vorticity modes
+    dyeMixing = 0;             // Rate per unit of simulation time (the integrator's dt) at which particle dye blends with its neighbors, 0 = none
+    palette = [
+        { position: 0, color: "#b35061" },      // Deep red
+        { position: 0.33, color: "#d389a0" },   // Soft pink
+        { position: 0.67, color: "#bcb8bf" },   // Cool gray
+        { position: 1, color: "#edeae7" },      // Warm white
+    ];
+    paletteHex = "";           // 2 to 8 hex colors typed into the palette folder, "import hex codes" replaces the stops with them
+
+    // === Particle Variation ===
+    // Adds organic randomness to particle appearance
+    // Uses mass as stable per-particle random seed
+    sizeVariation = 0.25;      // 0 = uniform, 0.25 = size ranges 0.75x-1.25x
+    opacityVariation = 0.2;    // 0 = uniform, 0.2 = opacity ranges 0.8-1.0
+
+    // === Depth-Based Brightness ===
+    // Makes closer particles brighter, farther particles dimmer
+    // Creates volumetric 3D depth feeling
+    depthBrightness = 0.5;     // 0 = no effect, 1.0 = strong depth falloff
+
+    // === Vignette ===
+    // Darkens edges of screen for cinematic focus
+    vignetteIntensity = 0.3;   // 0 = off, 0.3 = subtle, 0.6+ = dramatic
+}
@@ -0,0 +1,145 @@
+import {conf} from "./conf";
+import {assignValue, ConfSettings, RUNTIME_CONF_FIELDS, settingLeaves, VIRTUAL_FIELDS} from "./confSettings.js";
+
+// Serialization of the conf settings, shared by snapshots and presets, and the schema presets are checked against.
+
+export const serializeValue = (value) => {
+    if (value === null || ["number", "string", "boolean"].includes(typeof value)) {
+        return value;
+    }
+    if (value.isVector2 || value.isVector3 || value.isVector4) {
+        return value.toArray();
+    }
+    if (value.isColor) {
+        return value.getHex();
+    }
+    if (Array.isArray(value)) {
+        return value.map(serializeValue);
+    }
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeValue(v)]));
+    }
+    return undefined;
+};
+
+/**
+ * The conf settings as plain JSON values.
+ * @param {string[]} skipped fields left out besides the runtime state
+ */
+export const serializeConf = (skipped = []) => {
+    const result = {};
+    Object.keys(conf).forEach(key => {
+        if (RUNTIME_CONF_FIELDS.includes(key) || skipped.includes(key)) { return; }
+        const value = serializeValue(conf[key]);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+};
+
+const isPlainObject = (value) => value && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * The numeric settings with their location, nested ones in plain objects and lists included.
+ * @param {string[]} skipped fields left out besides the runtime state
+ * @returns {{path: string, owner: object, key: string}[]} path like "speed" or "forceFields.1.strength"
+ */
+export const numericLeaves = (skipped = []) => settingLeaves(conf, ["number"], skipped);
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) { return "array"; }
+    if (value === null) { return "null"; }
+    if (value.isVector2 || value.isVector3 || value.isVector4) { return "array"; }
+    if (value.isColor) { return "number"; }
+    return typeof value;
+};
+
+// The settings as they start out, the known fields of list items come from them too
+const DEFAULT_SETTINGS = new ConfSettings();
+
+// Problems of `value` against the conf value `current`, nested plain objects are checked key by key and the
+// items of settings lists field by field
+const checkValue = (path, value, current, problems, defaults = []) => {
+    if (current === null || current === undefined) { return; }
+    const expected = typeOf(current);
+    const actual = typeOf(value);
+    if (expected !== actual) {
+        problems.push(path + " should be " + (expected === "object" ? "an object" : "a " + expected) + ", got " + actual);
+        return;
+    }
+    // Items of settings lists (palette stops, colliders) are checked against the fields of the current and the
+    // default items, so an item of a type the list doesn't hold right now (a removed force field) still passes.
+    const items = expected === "array" && Array.isArray(current) ? [...current, ...defaults].filter(isPlainObject) : [];
+    if (items.length > 0) {
+        const fields = Object.assign({}, ...items);
+        value.forEach((item, i) => {
+            if (!isPlainObject(item)) {
+                return problems.push(path + "." + i + " should be an object, got " + typeOf(item));
+            }
+            Object.entries(item).forEach(([key, v]) => {
+                if (!(key in fields)) {
+                    problems.push(path + "." + i + "." + key + " is not a known field");
+                } else {
+                    checkValue(path + "." + i + "." + key, v, fields[key], problems);
+                }
+            });
+        });
+        return;
+    }
+    if (expected === "object" && Object.getPrototypeOf(current) === Object.prototype) {
+        Object.entries(value).forEach(([key, v]) => {
+            if (!(key in current)) {
+                problems.push(path + "." + key + " is not a known field");
+            } else {
+                checkValue(path + "." + key, v, current[key], problems);
+            }
+        });
+    }
+};
+
+/**
+ * Checks preset values against the known conf fields and their types.
+ * @returns {string[]} problems, empty when the values are valid
+ */
+export const validateConfValues = (values) => {
+    const problems = [];
+    if (!values || typeOf(values) !== "object") {
+        return ["a preset must be an object of conf fields"];
+    }
+    Object.entries(values).forEach(([key, value]) => {
+        if (VIRTUAL_FIELDS[key]) {
+            if (typeOf(value) !== VIRTUAL_FIELDS[key].type) {
+                problems.push(key + " should be a " + VIRTUAL_FIELDS[key].type + ", got " + typeOf(value));
+            }
+        } else if (!(key in conf) || RUNTIME_CONF_FIELDS.includes(key) || typeof conf[key] === "function") {
+            problems.push(key + " is not a known conf field");
+        } else {
+            checkValue(key, value, conf[key], problems, Array.isArray(DEFAULT_SETTINGS[key]) ? DEFAULT_SETTINGS[key] : []);
+        }
+    });
+    return problems;
+};
+
+/**
+ * Assigns serialized settings to conf. Unknown keys and runtime fields are skipped, callers that want
+ * them reported validate first.
+ * @param {string[]} skipped fields left alone besides the runtime state
+ * @returns {boolean} whether a settings list changed its length, which the GUI has to be rebuilt for
+ */
+export const restoreConf = (values, skipped = []) => {
+    let listsChanged = false;
+    Object.entries(values).forEach(([key, value]) => {
+        if (VIRTUAL_FIELDS[key]) {
+            VIRTUAL_FIELDS[key].apply(conf, value);
+            return;
+        }
+        if (!(key in conf) || RUNTIME_CONF_FIELDS.includes(key) || skipped.includes(key)) { return; }
+        if (Array.isArray(conf[key]) && Array.isArray(value) && conf[key].length !== value.length) {
+            listsChanged = true;
+        }
+        assignValue(conf, key, value);
+    });
+    conf.updateParams();
+    return listsChanged;
+};
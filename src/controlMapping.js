@@ -0,0 +1,83 @@
+// What external control (MIDI, OSC) may drive and how an input turns into a value. Only imports the conf schema,
+// so conf.js, externalControl.js and the Node tests share it.
+
+import {settingLeaves, STARTUP_CONF_FIELDS, VIRTUAL_FIELDS} from "./confSettings.js";
+
+// Shapes the normalized input before it is mapped onto [min, max]
+export const CONTROL_CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    "s-curve": x => x * x * (3 - 2 * x),
+    inverted: x => 1 - x,
+};
+
+// Settings left out besides the runtime state and the startup sizes: seeds only take effect on a reset, actualSize
+// and restDensity are derived by updateParams(), the export and render settings are read when a recording starts
+const EXCLUDED_FIELDS = ["seed", "noiseSeed", "actualSize", "restDensity"];
+const EXCLUDED_PATTERN = /^(export|render)/;
+
+// The numeric and boolean settings a mapping can write, with their location
+const controlLeaves = (settings) => settingLeaves(settings, ["number", "boolean"], [...STARTUP_CONF_FIELDS, ...EXCLUDED_FIELDS])
+    .filter(leaf => !EXCLUDED_PATTERN.test(leaf.path));
+
+/**
+ * What a mapping can target: "preset", the VIRTUAL_FIELDS and every numeric or boolean setting, nested ones
+ * included (e.g. "forceFields.1.strength").
+ * @param {object} settings conf, or a ConfSettings
+ * @returns {string[]}
+ */
+export const controlTargets = (settings) => ["preset", ...Object.keys(VIRTUAL_FIELDS), ...controlLeaves(settings).map(leaf => leaf.path)];
+
+/**
+ * The setting a target path points to.
+ * @returns {{path: string, owner: object, key: string}|undefined} undefined for "preset", virtual fields and paths
+ * that aren't targets (anymore, e.g. a removed force field)
+ */
+export const controlLeaf = (settings, target) => controlLeaves(settings).find(leaf => leaf.path === target);
+
+/**
+ * The target a changed GUI control stands for while learning. The pane only reports the key and the new value, so
+ * the setting is found by both: a top-level one first, else a nested one that has to be the only match.
+ * @returns {string} "" when there is no or no unique target
+ */
+export const learnedControlTarget = (settings, key, value) => {
+    const matches = controlLeaves(settings).filter(leaf => leaf.key === key && leaf.owner[key] === value);
+    if (matches.some(leaf => leaf.path === key)) {
+        return key;
+    }
+    return matches.length === 1 ? matches[0].path : "";
+};
+
+// Targets that take whole numbers
+const INTEGER_TARGETS = ["particles", "maxSubsteps", "fluidBlurRadius"];
+
+/**
+ * The normalized input of an OSC message: its first numeric or boolean argument clamped to [0, 1].
+ * @param {(number|boolean|string)[]} args decoded message arguments
+ * @returns {number|undefined} undefined without a usable argument
+ */
+export const oscInput = (args) => {
+    const value = args.find(arg => typeof arg === "number" || typeof arg === "boolean");
+    return value === undefined ? undefined : Math.min(Math.max(Number(value), 0), 1);
+};
+
+/**
+ * The value a mapping sets its target to: numbers are mapped onto [min, max] through the curve, booleans are on
+ * from 0.5.
+ * @param {{target: string, min: number, max: number, curve: string}} mapping
+ * @param {number} input normalized input in [0, 1]
+ * @param {number|boolean} current the target's current value, which decides the type
+ * @returns {number|boolean|undefined} undefined for targets that are neither
+ */
+export const mapControlValue = (mapping, input, current) => {
+    const x = CONTROL_CURVES[mapping.curve](input);
+    if (typeof current === "boolean") {
+        return x >= 0.5;
+    }
+    if (typeof current === "number") {
+        const value = mapping.min + (mapping.max - mapping.min) * x;
+        return INTEGER_TARGETS.includes(mapping.target) ? Math.round(value) : value;
+    }
+    return undefined;
+};
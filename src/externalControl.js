@@ -0,0 +1,180 @@
+import {conf} from "./conf";
+import {presets} from "./presetManager.js";
+import {decodeOsc} from "./common/osc.js";
+import {VIRTUAL_FIELDS} from "./confSettings.js";
+import {CONTROL_CURVES, controlLeaf, mapControlValue, oscInput} from "./controlMapping.js";
+
+// Seconds between OSC reconnection attempts
+const RECONNECT_INTERVAL = 2;
+
+/**
+ * Web MIDI and OSC input mapped onto conf. Each entry of `conf.controlMappings` binds a source address
+ * ("midi" cc/<channel>/<controller>, note/<channel>/<note> or pitch/<channel>; "osc" the message address) to one
+ * of the controlTargets() (src/controlMapping.js): a numeric or boolean setting by its path, e.g. "speed" or
+ * "forceFields.1.strength", a VIRTUAL_FIELDS key or "preset". Inputs are normalized to [0, 1]: MIDI by its value
+ * range, OSC by clamping the first numeric or boolean argument. Numbers are mapped onto [min, max] through the curve,
+ * booleans are on from 0.5, and "preset" picks one of the presets by range.
+ *
+ * OSC arrives over WebSocket from scripts/osc-bridge.js, which relays UDP. Messages are collected as they come
+ * and applied once per frame, the latest value per mapping wins.
+ *
+ * Learning: with `conf.controlLearn` on, changing a GUI control picks the target and the next incoming message
+ * picks the source.
+ */
+class ExternalControl {
+    app = null;
+    midi = null;
+    socket = null;
+    pending = new Map();
+    presetIndex = -1;
+    lastConnectAttempt = -Infinity;
+    savedMappings = "";
+
+    constructor(app) {
+        this.app = app;
+        this.savedMappings = JSON.stringify(conf.controlMappings);
+    }
+
+    async enableMidi() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error("This browser has no Web MIDI support");
+        }
+        this.midi = await navigator.requestMIDIAccess();
+        const bind = () => {
+            this.midi.inputs.forEach(input => {
+                input.onmidimessage = (event) => this.onMidiMessage(event.data);
+            });
+            this.updateStatus();
+        };
+        this.midi.onstatechange = bind;
+        bind();
+    }
+
+    onMidiMessage(data) {
+        const [status, a, b] = data;
+        const channel = (status & 0x0f) + 1;
+        switch (status & 0xf0) {
+            case 0xb0: return this.receive("midi", "cc/" + channel + "/" + a, b / 127);
+            case 0x90: return this.receive("midi", "note/" + channel + "/" + a, b / 127);
+            case 0x80: return this.receive("midi", "note/" + channel + "/" + a, 0);
+            case 0xe0: return this.receive("midi", "pitch/" + channel, ((b << 7) | a) / 16383);
+        }
+    }
+
+    connectOsc() {
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+        }
+        this.lastConnectAttempt = performance.now() / 1000;
+        const socket = new WebSocket(conf.oscUrl);
+        socket.binaryType = "arraybuffer";
+        socket.onopen = () => this.updateStatus();
+        socket.onclose = () => this.updateStatus();
+        socket.onmessage = (event) => {
+            if (!(event.data instanceof ArrayBuffer)) { return; }
+            try {
+                decodeOsc(event.data).forEach(({ address, args }) => {
+                    const value = oscInput(args);
+                    if (value !== undefined) {
+                        this.receive("osc", address, value);
+                    }
+                });
+            } catch (e) {
+                console.warn(e.message);
+            }
+        };
+        this.socket = socket;
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const midi = this.midi ? "MIDI " + this.midi.inputs.size + " in" : "MIDI off";
+        const states = ["connecting", "connected", "closing", "closed"];
+        const osc = this.socket ? "OSC " + states[this.socket.readyState] : "OSC off";
+        conf.controlStatus = midi + ", " + osc;
+    }
+
+    receive(source, address, value) {
+        conf.controlLastMessage = source + " " + address + " " + value.toFixed(3);
+        if (conf.controlLearn && conf.controlLearnTarget) {
+            this.learn(source, address, conf.controlLearnTarget);
+        }
+        conf.controlMappings.forEach(mapping => {
+            if (mapping.source === source && mapping.address === address) {
+                this.pending.set(mapping, value);
+            }
+        });
+    }
+
+    learn(source, address, target) {
+        let mapping = conf.controlMappings.find(m => m.source === source && m.address === address && m.target === target);
+        if (!mapping) {
+            const leaf = controlLeaf(conf, target);
+            const current = VIRTUAL_FIELDS[target] ? VIRTUAL_FIELDS[target].get(conf) : leaf && leaf.owner[leaf.key];
+            mapping = { source, address, target, min: 0, max: typeof current === "number" ? Math.abs(current) * 2 || 1 : 1, curve: "linear" };
+            conf.controlMappings.push(mapping);
+            conf.addControlMappingFolder(mapping);
+        }
+        conf.controlLearn = false;
+        conf.controlLearnTarget = "";
+        conf.gui.refresh();
+    }
+
+    apply(mapping, input) {
+        if (mapping.target === "preset") {
+            const x = CONTROL_CURVES[mapping.curve](input);
+            const names = presets.names();
+            const index = Math.min(Math.floor(x * names.length), names.length - 1);
+            if (index !== this.presetIndex) {
+                this.presetIndex = index;
+                try {
+                    conf.applyPreset(names[index]);
+                } catch (e) {
+                    console.warn(e.message);
+                }
+            }
+            return;
+        }
+        const virtual = VIRTUAL_FIELDS[mapping.target];
+        if (virtual) {
+            virtual.apply(conf, mapControlValue(mapping, input, virtual.get(conf)));
+            return;
+        }
+        // Targets that are gone, like a removed force field, are skipped
+        const leaf = controlLeaf(conf, mapping.target);
+        if (leaf) {
+            leaf.owner[leaf.key] = mapControlValue(mapping, input, leaf.owner[leaf.key]);
+        }
+    }
+
+    update() {
+        if (conf.midiRequested) {
+            conf.midiRequested = false;
+            this.enableMidi().catch(e => conf.reportError(e));
+        }
+        if (conf.oscConnectRequested) {
+            conf.oscConnectRequested = false;
+            conf.oscEnabled = true;
+            this.connectOsc();
+        }
+        const now = performance.now() / 1000;
+        if (conf.oscEnabled && this.socket && this.socket.readyState === WebSocket.CLOSED && now - this.lastConnectAttempt > RECONNECT_INTERVAL) {
+            this.connectOsc();
+        }
+
+        if (this.pending.size > 0) {
+            this.pending.forEach((value, mapping) => this.apply(mapping, value));
+            this.pending.clear();
+            conf.updateParams();
+            conf.gui.refresh();
+        }
+
+        const mappings = JSON.stringify(conf.controlMappings);
+        if (mappings !== this.savedMappings) {
+            this.savedMappings = mappings;
+            conf.writeControlMappings();
+        }
+    }
+}
+export default ExternalControl;
@@ -0,0 +1,302 @@
+import * as THREE from "three/webgpu";
+import {atomicMin, atomicStore, cross, dot, float, Fn, If, instanceIndex, instancedArray, int, Loop, max, mix, Return, uint, uniform} from "three/tsl";
+import {StructuredArray} from "./structuredArray.js";
+import {conf} from "../conf";
+
+// push: along the pointer motion
+// attract: towards the brush center, negative strength repels
+// swirl: around the view ray through the brush center
+// paint: blends the particle dye towards the brush color
+// freeze: damps the velocity while the brush is held; pin / unpin: sets or clears the particle's `pinned` flag,
+// pinned particles keep their position until they are released
+export const BRUSH_TOOLS = {
+    push: 0,
+    attract: 1,
+    swirl: 2,
+    paint: 3,
+    freeze: 4,
+    pin: 5,
+    unpin: 6,
+};
+
+const GIZMO_COLORS = {
+    push: 0x6bb8ff,
+    attract: 0xffb45c,
+    swirl: 0xc77dff,
+    paint: 0xff5a8c,
+    freeze: 0x9ff3ff,
+};
+
+export const MAX_POINTERS = 8;
+
+// Particles closer than this to a pointer ray, in scaled cells, count as a hit
+const PICK_RADIUS = 1.5;
+// Hit depths are compared as fixed point uints with this many steps per cell
+const PICK_PRECISION = 1000;
+const NO_HIT = 0xffffffff;
+
+/**
+ * Pointer tools. Every pointer that is down on the canvas is a brush with the tool, radius and strength that were
+ * selected when it went down (`conf.brushTool`, `conf.brushes`). Each frame the pointer rays are intersected with
+ * the particles on the GPU: the brush sits at the closest particle along the ray, or keeps its last depth when the
+ * ray misses, starting on the plane through the domain center. The hit depths arrive a frame or two later, like
+ * the simulator's step stats, so a new brush appears once its first pick is in.
+ *
+ * Rays, brush centers and radii are in grid space scaled by `positionScale`, so brushes are round on screen.
+ */
+class Brushes {
+    object = null;
+    uniforms = {};
+    kernels = {};
+    pointers = new Map();
+    gizmos = [];
+    pickReadback = null; // pickDepth readback that is still in flight
+    pendingPick = null;  // Its result, taken over by the next update
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+        this.rays = new StructuredArray({ origin: 'vec3', direction: 'vec3' }, MAX_POINTERS, "brushRays");
+        this.strokes = new StructuredArray({
+            tool: 'int',
+            radius: 'float',
+            strength: 'float',
+            position: 'vec3',
+            velocity: 'vec3', // push: pointer motion per substep, in grid cells
+            axis: 'vec3', // swirl: the view ray direction
+            color: 'vec3', // paint
+        }, MAX_POINTERS, "brushStrokes");
+        this.pickDepth = instancedArray(MAX_POINTERS, 'uint').label('brushPickDepth').toAtomic();
+        this.uniforms.count = uniform(0, "int");
+        this.uniforms.pickCount = uniform(0, "int");
+
+        this.object = new THREE.Object3D();
+        mlsMpmSim.domain.applyTo(this.object);
+        const geometry = new THREE.EdgesGeometry(new THREE.IcosahedronGeometry(1, 1));
+        for (let i = 0; i < MAX_POINTERS; i++) {
+            const material = new THREE.LineBasicNodeMaterial({ transparent: true, opacity: 0.5, depthWrite: false });
+            const gizmo = new THREE.LineSegments(geometry, material);
+            gizmo.visible = false;
+            this.gizmos.push(gizmo);
+            this.object.add(gizmo);
+        }
+    }
+
+    init() {
+        const { maxParticles } = conf;
+        const { particleBuffer, domain } = this.mlsMpmSim;
+
+        this.kernels.clearPick = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(MAX_POINTERS)), () => {
+                Return();
+            });
+            atomicStore(this.pickDepth.element(instanceIndex), uint(NO_HIT));
+        })().compute(MAX_POINTERS);
+
+        // Depth of the closest particle along each ray
+        this.kernels.pick = Fn(() => {
+            If(instanceIndex.greaterThanEqual(this.mlsMpmSim.uniforms.numParticles), () => {
+                Return();
+            });
+            const particle = particleBuffer.element(instanceIndex);
+            If(particle.get('alive').equal(int(0)), () => {
+                Return();
+            });
+            const p = particle.get('position').xyz.mul(domain.uniforms.positionScale).toConst("p");
+            Loop({ start: 0, end: this.uniforms.pickCount, type: 'int', name: 'ri', condition: '<' }, ({ri}) => {
+                const ray = this.rays.element(ri);
+                const offset = p.sub(ray.get('origin')).toConst("rayOffset");
+                const direction = ray.get('direction').toConst("rayDirection");
+                const t = dot(offset, direction).toConst("rayDepth");
+                const distance = offset.sub(direction.mul(t)).length();
+                If(t.greaterThan(0.0).and(distance.lessThan(PICK_RADIUS)), () => {
+                    atomicMin(this.pickDepth.element(ri), uint(t.mul(PICK_PRECISION)));
+                });
+            });
+        })().compute(maxParticles);
+
+        this.kernels.unpinAll = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(maxParticles)), () => {
+                Return();
+            });
+            particleBuffer.element(instanceIndex).get('pinned').assign(0);
+        })().compute(maxParticles);
+
+        particleBuffer.addUsers(this.kernels.pick, this.kernels.unpinAll);
+    }
+
+    /**
+     * Adds or moves the brush of a pointer. The ray is in world space.
+     */
+    setPointer(id, origin, direction) {
+        let pointer = this.pointers.get(id);
+        if (!pointer) {
+            if (this.pointers.size >= MAX_POINTERS) { return; }
+            pointer = { tool: conf.brushTool, depth: null, position: null, motion: new THREE.Vector3() };
+            this.pointers.set(id, pointer);
+        }
+        pointer.origin = this.mlsMpmSim.domain.worldToScaledGrid(origin.clone());
+        pointer.direction = direction.clone().normalize();
+    }
+
+    hasPointer(id) {
+        return this.pointers.has(id);
+    }
+
+    removePointer(id) {
+        this.pointers.delete(id);
+    }
+
+    clear() {
+        this.pointers.clear();
+    }
+
+    // Where the ray meets the plane through the domain center, used until a ray has hit particles
+    centerDepth(origin, direction) {
+        const { gridSize, depthScale } = this.mlsMpmSim.domain;
+        const centerZ = gridSize.z * depthScale * 0.5;
+        if (Math.abs(direction.z) < 1e-3) {
+            return Math.max(centerZ - origin.z, 0);
+        }
+        return Math.max((centerZ - origin.z) / direction.z, 0);
+    }
+
+    // Takes over the hit depths of a finished pick, for the pointers it was started with
+    applyPick({ depths, pointers }) {
+        pointers.forEach((pointer, i) => {
+            if (depths[i] !== NO_HIT) {
+                pointer.depth = depths[i] / PICK_PRECISION;
+            } else if (pointer.depth === null) {
+                pointer.depth = this.centerDepth(pointer.origin, pointer.direction);
+            }
+        });
+    }
+
+    /**
+     * Takes over the last finished pick and starts the next one, unless one is still in flight.
+     * @param {boolean} synchronous waits for the pick of this frame instead
+     */
+    async pick(pointers, synchronous) {
+        if (synchronous) {
+            await this.pickReadback;
+        }
+        if (this.pendingPick) {
+            this.applyPick(this.pendingPick);
+            this.pendingPick = null;
+        }
+        // Skipped while the last one is in flight, the GPU is more than a frame behind then
+        if (this.pickReadback) { return; }
+
+        pointers.forEach((pointer, i) => {
+            this.rays.set(i, "origin", pointer.origin);
+            this.rays.set(i, "direction", pointer.direction);
+        });
+        this.rays.upload();
+        this.uniforms.pickCount.value = pointers.length;
+        await this.mlsMpmSim.renderer.computeAsync([this.kernels.clearPick, this.kernels.pick]);
+        const readback = this.mlsMpmSim.renderer.getArrayBufferAsync(this.pickDepth.value);
+        if (synchronous) {
+            this.applyPick({ depths: new Uint32Array(await readback), pointers });
+            return;
+        }
+        this.pickReadback = readback.then(buffer => {
+            this.pendingPick = { depths: new Uint32Array(buffer), pointers };
+        }).catch(e => {
+            // The brushes keep their depth, the next frame picks again
+            conf.reportError(e);
+        }).finally(() => {
+            this.pickReadback = null;
+        });
+    }
+
+    /**
+     * Places the brushes of all pointers and uploads them for g2p.
+     * @param {number} substeps the push motion is spread over the substeps of the frame
+     * @param {boolean} synchronous waits for the pick of this frame, see pick()
+     */
+    async update(substeps, synchronous = false) {
+        const { brushes, showBrushes, unpinRequested } = conf;
+        const { positionScale } = this.mlsMpmSim.domain.uniforms;
+
+        if (unpinRequested) {
+            conf.unpinRequested = false;
+            await this.mlsMpmSim.renderer.computeAsync(this.kernels.unpinAll);
+        }
+
+        const active = [...this.pointers.values()].filter(pointer => brushes[pointer.tool]);
+        if (active.length > 0) {
+            await this.pick(active, synchronous);
+        }
+        const pointers = active.filter(pointer => pointer.depth !== null);
+
+        this.gizmos.forEach(gizmo => { gizmo.visible = false; });
+        pointers.forEach((pointer, i) => {
+            const settings = brushes[pointer.tool];
+            const position = pointer.direction.clone().multiplyScalar(pointer.depth).add(pointer.origin);
+            if (pointer.position) {
+                pointer.motion.lerp(position.clone().sub(pointer.position), 0.5);
+            }
+            pointer.position = position;
+
+            let tool = pointer.tool;
+            if (tool === "freeze" && settings.mode !== "freeze") {
+                tool = settings.mode;
+            }
+            this.strokes.set(i, "tool", BRUSH_TOOLS[tool]);
+            this.strokes.set(i, "radius", settings.radius);
+            this.strokes.set(i, "strength", settings.strength);
+            this.strokes.set(i, "position", position);
+            this.strokes.set(i, "velocity", pointer.motion.clone().divide(positionScale.value).divideScalar(substeps));
+            this.strokes.set(i, "axis", pointer.direction);
+            this.strokes.set(i, "color", new THREE.Color(settings.color || "#ffffff"));
+
+            const gizmo = this.gizmos[i];
+            gizmo.visible = showBrushes;
+            gizmo.position.copy(position);
+            gizmo.scale.setScalar(settings.radius);
+            gizmo.material.color.set(GIZMO_COLORS[pointer.tool]);
+        });
+        this.uniforms.count.value = pointers.length;
+        this.strokes.upload();
+    }
+
+    /**
+     * Applies the brushes to a particle at grid position p. Changes `velocity`, and the particle's dye and pinned
+     * flag. Returns the summed brush weight, which highlights the touched particles. Must be called inside a Fn.
+     */
+    apply(particle, p, velocity) {
+        const { dt } = this.mlsMpmSim.uniforms;
+        const { positionScale } = this.mlsMpmSim.domain.uniforms;
+        const scaled = p.mul(positionScale).toConst("brushPosition");
+        const highlight = float(0).toVar("brushHighlight");
+        Loop({ start: 0, end: this.uniforms.count, type: 'int', name: 'bi', condition: '<' }, ({bi}) => {
+            const stroke = this.strokes.element(bi);
+            const offset = stroke.get('position').sub(scaled).toConst("brushOffset");
+            const weight = float(1).sub(offset.length().div(stroke.get('radius'))).max(0.0).pow(2).toConst("brushWeight");
+            If(weight.greaterThan(0.0), () => {
+                highlight.addAssign(weight);
+                const tool = stroke.get('tool').toConst("brushTool");
+                const strength = stroke.get('strength').mul(weight).toConst("brushStrength");
+                If(tool.equal(int(BRUSH_TOOLS.push)), () => {
+                    velocity.addAssign(stroke.get('velocity').mul(strength));
+                }).ElseIf(tool.equal(int(BRUSH_TOOLS.attract)), () => {
+                    const direction = offset.div(positionScale);
+                    velocity.addAssign(direction.div(max(direction.length(), 1e-3)).mul(strength).mul(dt));
+                }).ElseIf(tool.equal(int(BRUSH_TOOLS.swirl)), () => {
+                    const tangent = cross(stroke.get('axis'), offset.negate()).div(positionScale).toConst("brushTangent");
+                    velocity.addAssign(tangent.div(max(tangent.length(), 1e-3)).mul(strength).mul(dt));
+                }).ElseIf(tool.equal(int(BRUSH_TOOLS.paint)), () => {
+                    const dye = particle.get('color');
+                    dye.assign(mix(dye, stroke.get('color'), strength.min(1.0)));
+                }).ElseIf(tool.equal(int(BRUSH_TOOLS.freeze)), () => {
+                    velocity.mulAssign(float(1).sub(strength.min(1.0)));
+                }).ElseIf(tool.equal(int(BRUSH_TOOLS.pin)), () => {
+                    particle.get('pinned').assign(1);
+                }).Else(() => {
+                    particle.get('pinned').assign(0);
+                });
+            });
+        });
+        return highlight;
+    }
+}
+export default Brushes;
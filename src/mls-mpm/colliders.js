@@ -0,0 +1,315 @@
+import * as THREE from "three/webgpu";
+import {float, If, instancedArray, int, ivec3, Loop, max, min, mix, uniform, vec3} from "three/tsl";
+import {OBJLoader} from "three/examples/jsm/loaders/OBJLoader";
+import {StructuredArray} from "./structuredArray.js";
+import {conf} from "../conf";
+import boxObj from '../assets/boxSlightlySmooth.obj';
+
+export const COLLIDER_TYPES = {
+    sphere: 0,
+    box: 1,
+    capsule: 2,
+    mesh: 3,
+};
+
+// sticky: cell velocity is zeroed
+// slip: normal velocity is removed, tangential velocity is kept (minus friction)
+// separate: like slip, but only while moving into the collider
+export const COLLIDER_BEHAVIORS = {
+    sticky: 0,
+    slip: 1,
+    separate: 2,
+};
+
+const MESHES = {
+    box: boxObj,
+};
+
+const MAX_COLLIDERS = 16;
+const MAX_MESHES = 4;
+const SDF_RESOLUTION = 32;
+const SDF_CELLS = SDF_RESOLUTION * SDF_RESOLUTION * SDF_RESOLUTION;
+
+/**
+ * Static obstacles inside the simulation domain, described by signed distance functions in grid space.
+ * The list lives in `conf.colliders`; enabled entries are packed into a storage buffer every time they change.
+ * Mesh colliders are voxelized once into a small SDF grid around their bounds.
+ */
+class Colliders {
+    object = null;
+    uniforms = {};
+    meshes = [];
+    objects = [];
+    signature = "";
+
+    constructor(domain) {
+        this.domain = domain;
+        const colliderStruct = {
+            type: 'int',
+            behavior: 'int',
+            friction: 'float',
+            mesh: 'int',
+            position: 'vec3', // center; min corner of the SDF box for meshes
+            radius: 'float', // sphere/capsule radius, box rounding
+            size: 'vec3', // box half extents; SDF box extent for meshes
+            axis: 'vec3', // capsule half segment
+        };
+        this.buffer = new StructuredArray(colliderStruct, MAX_COLLIDERS, "colliderData");
+        this.sdfArray = new Float32Array(MAX_MESHES * SDF_CELLS);
+        this.sdfBuffer = instancedArray(this.sdfArray, 'float').label('colliderSdf');
+        this.uniforms.count = uniform(0, "int");
+
+        this.material = new THREE.MeshStandardNodeMaterial({
+            color: 0x808080,
+            roughness: 0.9,
+            metalness: 0.0,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+        });
+        this.object = new THREE.Object3D();
+        domain.applyTo(this.object, true);
+    }
+
+    init() {
+        conf.colliders.forEach(collider => {
+            const object = this.createObject(collider);
+            this.objects.push(object);
+            this.object.add(object);
+        });
+        this.upload();
+    }
+
+    bakeMesh(collider) {
+        const index = this.meshes.length;
+        if (index >= MAX_MESHES) {
+            throw new Error("Too many mesh colliders, at most " + MAX_MESHES + " are supported");
+        }
+        const objectRaw = new OBJLoader().parse(MESHES[collider.mesh]);
+        const geometry = objectRaw.children[0].geometry;
+        geometry.center();
+        geometry.applyMatrix4(new THREE.Matrix4().compose(
+            this.center(collider),
+            new THREE.Quaternion().setFromEuler(new THREE.Euler(collider.rotation.x, collider.rotation.y, collider.rotation.z)),
+            new THREE.Vector3().setScalar(this.domain.lengthToGrid(collider.scale)),
+        ));
+        geometry.computeBoundingBox();
+
+        // Pad the bounds so the field has room to fall off around the surface
+        const box = geometry.boundingBox.clone().expandByScalar(2);
+        const size = box.getSize(new THREE.Vector3());
+
+        const positions = geometry.attributes.position;
+        const triangles = [];
+        for (let i = 0; i < positions.count; i += 3) {
+            triangles.push(new THREE.Triangle(
+                new THREE.Vector3().fromBufferAttribute(positions, i),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 1),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 2),
+            ));
+        }
+
+        const p = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        const ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(1, 0.0013, 0.0007).normalize());
+        const hit = new THREE.Vector3();
+        const thickness = this.domain.lengthToGrid(collider.thickness);
+        const offset = index * SDF_CELLS;
+        for (let x = 0; x < SDF_RESOLUTION; x++) {
+            for (let y = 0; y < SDF_RESOLUTION; y++) {
+                for (let z = 0; z < SDF_RESOLUTION; z++) {
+                    p.set(x, y, z).divideScalar(SDF_RESOLUTION - 1).multiply(size).add(box.min);
+                    let distance = Infinity;
+                    let crossings = 0;
+                    ray.origin.copy(p);
+                    triangles.forEach(triangle => {
+                        triangle.closestPointToPoint(p, closest);
+                        distance = Math.min(distance, closest.distanceTo(p));
+                        if (collider.closed && ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, hit)) {
+                            crossings++;
+                        }
+                    });
+                    // Closed meshes get their sign from ray parity (independent of winding), open ones become a shell
+                    const sdf = collider.closed ? (crossings % 2 === 1 ? -distance : distance) : distance - thickness;
+                    this.sdfArray[offset + x * SDF_RESOLUTION * SDF_RESOLUTION + y * SDF_RESOLUTION + z] = sdf;
+                }
+            }
+        }
+        this.sdfBuffer.value.needsUpdate = true;
+
+        this.meshes.push({ geometry, min: box.min, size });
+        return index;
+    }
+
+    // Grid position of a collider, conf places them in domain fractions
+    center(collider) {
+        return this.domain.fractionToGrid(new THREE.Vector3().copy(collider.position));
+    }
+
+    // Radius, box half extents and capsule half segment in grid cells, conf sizes them in domain fractions
+    extents(collider) {
+        const { domain } = this;
+        return {
+            radius: domain.lengthToGrid(collider.radius || 0),
+            size: domain.fractionToGrid(new THREE.Vector3().copy(collider.size || { x: 0, y: 0, z: 0 })),
+            axis: domain.fractionToGrid(new THREE.Vector3().copy(collider.axis || { x: 0, y: 0, z: 0 })),
+        };
+    }
+
+    createObject(collider) {
+        let geometry = null;
+        const meshIndex = collider.type === "mesh" ? this.bakeMesh(collider) : -1;
+        const object = new THREE.Mesh(undefined, this.material);
+        const { radius, size, axis } = this.extents(collider);
+        if (collider.type === "sphere") {
+            geometry = new THREE.SphereGeometry(radius, 32, 16);
+            object.position.copy(this.center(collider));
+        } else if (collider.type === "box") {
+            geometry = new THREE.BoxGeometry(size.x * 2 + radius * 2, size.y * 2 + radius * 2, size.z * 2 + radius * 2);
+            object.position.copy(this.center(collider));
+        } else if (collider.type === "capsule") {
+            geometry = new THREE.CapsuleGeometry(radius, axis.length() * 2, 8, 16);
+            object.position.copy(this.center(collider));
+            object.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis.normalize());
+        } else {
+            geometry = this.meshes[meshIndex].geometry;
+        }
+        object.geometry = geometry;
+        object.userData.meshIndex = meshIndex;
+        return object;
+    }
+
+    upload() {
+        let count = 0;
+        conf.colliders.forEach((collider, index) => {
+            const object = this.objects[index];
+            object.visible = collider.enabled;
+            if (!collider.enabled || count >= MAX_COLLIDERS) { return; }
+            const i = count++;
+            this.buffer.set(i, "type", COLLIDER_TYPES[collider.type]);
+            this.buffer.set(i, "behavior", COLLIDER_BEHAVIORS[collider.behavior]);
+            this.buffer.set(i, "friction", collider.friction);
+            if (collider.type === "mesh") {
+                const meshIndex = object.userData.meshIndex;
+                const mesh = this.meshes[meshIndex];
+                this.buffer.set(i, "mesh", meshIndex);
+                this.buffer.set(i, "position", mesh.min);
+                this.buffer.set(i, "size", mesh.size);
+            } else {
+                const { radius, size, axis } = this.extents(collider);
+                this.buffer.set(i, "position", this.center(collider));
+                this.buffer.set(i, "radius", radius);
+                this.buffer.set(i, "size", size);
+                this.buffer.set(i, "axis", axis);
+            }
+        });
+        this.uniforms.count.value = count;
+        this.buffer.upload();
+    }
+
+    update() {
+        const { colliders, showColliders } = conf;
+        this.object.visible = showColliders;
+
+        const signature = JSON.stringify(colliders.map(({enabled, behavior, friction}) => [enabled, behavior, friction]));
+        if (signature !== this.signature) {
+            this.signature = signature;
+            this.upload();
+        }
+    }
+
+    /**
+     * Signed distance from grid position p to collider i. Must be called inside a Fn.
+     */
+    distance(i, p) {
+        const collider = this.buffer.element(i);
+        const type = collider.get('type').toConst();
+        const center = collider.get('position').toConst();
+        const radius = collider.get('radius').toConst();
+        const size = collider.get('size').toConst();
+        const result = float(0).toVar();
+
+        If(type.equal(int(COLLIDER_TYPES.sphere)), () => {
+            result.assign(p.sub(center).length().sub(radius));
+        }).ElseIf(type.equal(int(COLLIDER_TYPES.box)), () => {
+            const q = p.sub(center).abs().sub(size).toConst();
+            result.assign(max(q, vec3(0)).length().add(min(max(q.x, max(q.y, q.z)), 0.0)).sub(radius));
+        }).ElseIf(type.equal(int(COLLIDER_TYPES.capsule)), () => {
+            const axis = collider.get('axis').toConst();
+            const a = center.sub(axis);
+            const pa = p.sub(a).toConst();
+            const ba = axis.mul(2.0).toConst();
+            const h = pa.dot(ba).div(max(ba.dot(ba), 1e-6)).clamp(0.0, 1.0);
+            result.assign(pa.sub(ba.mul(h)).length().sub(radius));
+        }).Else(() => {
+            // Trilinear lookup in the baked grid; outside its box, add the distance to the box
+            const local = p.sub(center).div(size).clamp(0.0, 1.0).toConst();
+            const outside = p.sub(center.add(local.mul(size))).length();
+            const voxel = local.mul(SDF_RESOLUTION - 1).toConst();
+            const base = ivec3(voxel.floor()).clamp(ivec3(0), ivec3(SDF_RESOLUTION - 2)).toConst();
+            const f = voxel.sub(vec3(base)).toConst();
+            const meshOffset = collider.get('mesh').mul(SDF_CELLS).toConst();
+            const fetch = (dx, dy, dz) => {
+                const cell = base.add(ivec3(dx, dy, dz));
+                return this.sdfBuffer.element(meshOffset.add(cell.x.mul(SDF_RESOLUTION * SDF_RESOLUTION)).add(cell.y.mul(SDF_RESOLUTION)).add(cell.z));
+            };
+            const x00 = mix(fetch(0,0,0), fetch(1,0,0), f.x);
+            const x10 = mix(fetch(0,1,0), fetch(1,1,0), f.x);
+            const x01 = mix(fetch(0,0,1), fetch(1,0,1), f.x);
+            const x11 = mix(fetch(0,1,1), fetch(1,1,1), f.x);
+            result.assign(mix(mix(x00, x10, f.y), mix(x01, x11, f.y), f.z).add(outside));
+        });
+        return result;
+    }
+
+    /**
+     * Finds the collider closest to grid position p. Must be called inside a Fn.
+     * @returns {{distance: Node<float>, index: Node<int>}} index is -1 when no collider is enabled
+     */
+    closest(p) {
+        const distance = float(1e6).toVar("colliderDistance");
+        const index = int(-1).toVar("colliderIndex");
+        Loop({ start: 0, end: this.uniforms.count, type: 'int', name: 'ci', condition: '<' }, ({ci}) => {
+            const d = this.distance(ci, p).toConst();
+            If(d.lessThan(distance), () => {
+                distance.assign(d);
+                index.assign(ci);
+            });
+        });
+        return { distance, index };
+    }
+
+    /**
+     * Outward surface normal of collider i at grid position p, by central differences. Must be called inside a Fn.
+     */
+    normal(i, p) {
+        const e = 0.5;
+        const gradient = vec3(
+            this.distance(i, p.add(vec3(e,0,0))).sub(this.distance(i, p.sub(vec3(e,0,0)))),
+            this.distance(i, p.add(vec3(0,e,0))).sub(this.distance(i, p.sub(vec3(0,e,0)))),
+            this.distance(i, p.add(vec3(0,0,e))).sub(this.distance(i, p.sub(vec3(0,0,e)))),
+        );
+        return gradient.normalize().toConst();
+    }
+
+    /**
+     * Projects a velocity at a collider surface according to the collider's behavior. Must be called inside a Fn.
+     */
+    project(index, normal, velocity) {
+        const collider = this.buffer.element(index);
+        const behavior = collider.get('behavior').toConst();
+        const friction = collider.get('friction').toConst();
+        const vn = velocity.dot(normal).toConst();
+
+        If(behavior.equal(int(COLLIDER_BEHAVIORS.sticky)), () => {
+            velocity.assign(vec3(0));
+        }).ElseIf(behavior.equal(int(COLLIDER_BEHAVIORS.slip)).or(vn.lessThan(0.0)), () => {
+            // Coulomb friction: the tangential speed shrinks by friction times the removed normal speed
+            const vt = velocity.sub(normal.mul(vn)).toConst();
+            const vtLength = vt.length().toConst();
+            const scale = max(0.0, float(1.0).sub(friction.mul(vn.abs()).div(max(vtLength, 1e-6))));
+            velocity.assign(vt.mul(scale));
+        });
+    }
+}
+export default Colliders;
@@ -0,0 +1,316 @@
+// Plain JavaScript port of the fluid simulation step, runs in Node without three.js or a GPU.
+
+import {FIXED_POINT_INITIAL, nextFixedPointScale} from "./fixedPointScale.js";
+
+/*
+ * Mirrors the kernels of mlsMpmSimulator.js one to one: clearGrid, p2g1, p2g2, updateGrid and g2p, with the
+ * fixed-point grid encoding of the "fixed" P2G mode, quadratic B-spline weights, Tait-style EOS, viscosity,
+ * force fields, grid boundary conditions, position clamp and soft walls. The fixed-point scale adapts to the grid
+ * peak of each step like the simulator's does between frames of an offline render (see fixedPointScale.js). Particle state is stored in Float32Arrays like on
+ * the GPU; intermediate math runs in double precision, so trajectories agree within float tolerance rather
+ * than bit for bit. The integer grid sums don't depend on the order particles are splatted in.
+ *
+ * Not covered: elastoplastic materials, colliders, emitters, the brushes and the render-only outputs
+ * (color, direction). Every particle is treated as a live fluid particle.
+ */
+
+const fract = (x) => x - Math.floor(x);
+const tri = (x) => Math.abs(fract(x) - 0.5);
+
+// triNoise3Dvec from common/noise.js; called with speed and time swapped exactly like the turbulence field does
+const triNoise3Dvec = (position, speed, time) => {
+    const p = [...position];
+    const bp = [...position];
+    const rz = [0, 0, 0];
+    let z = 1.4;
+    for (let i = 0; i <= 3; i++) {
+        const b = bp.map(v => v * 2.0);
+        const dg = [tri(b[2] + tri(b[1])), tri(b[2] + tri(b[0])), tri(b[1] + tri(b[0]))];
+        for (let k = 0; k < 3; k++) {
+            p[k] = (p[k] + dg[k] + time * 0.1 * speed) * 1.2;
+            bp[k] *= 1.8;
+        }
+        z *= 1.5;
+        const inner = [tri(p[1]), tri(p[2]), tri(p[0])]; // trivec(p.yzx)
+        const middle = [tri(p[0] + inner[0]), tri(p[1] + inner[1]), tri(p[2] + inner[2])];
+        const t = [tri(p[2] + middle[0]), tri(p[0] + middle[1]), tri(p[1] + middle[2])];
+        for (let k = 0; k < 3; k++) {
+            rz[k] += t[k] / z;
+            bp[k] += 0.14;
+        }
+    }
+    return rz;
+};
+
+const FALLOFFS = {
+    constant: (x) => x < 1 ? 1 : 0,
+    linear: (x) => Math.max(1 - x, 0),
+    smooth: (x) => { const t = Math.min(Math.max(x, 0), 1); return 1 - t * t * (3 - 2 * t); },
+    "inverse square": (x) => 1 / Math.max(x * x, 1),
+};
+
+const weights = (position) => {
+    return position.map(p => {
+        const d = fract(p) - 0.5;
+        return [0.5 * (0.5 - d) * (0.5 - d), 0.75 - d * d, 0.5 * (0.5 + d) * (0.5 + d)];
+    });
+};
+
+/**
+ * CPU reference of one MLS-MPM step for fluid particles.
+ *
+ * Matrices are 3x3 column-major, like `mat3` in the particle struct: `C[i * 9 + col * 3 + row]`.
+ * `params` holds the values of the simulator uniforms of the same names.
+ */
+class MlsMpmReference {
+    fixedPointScale = FIXED_POINT_INITIAL;
+    fixedPointPeak = null; // Largest |raw int| of the last updateGrid, adapts the scale of the next step
+    params = {
+        dt: 0.1,
+        stiffness: 3,
+        restDensity: 1,
+        dynamicViscosity: 0.1,
+        noiseOffset: [0, 0, 0],
+        time: 0,
+        // Enabled entries of conf.forceFields as ForceFields.evaluate() returns them: direction normalized
+        // (except for device gravity), animation applied, positions as arrays
+        forceFields: [
+            { type: "directional", strength: 0.2, radius: 0, falloff: "constant", position: [32, 32, 32], direction: [0, -1, 0] },
+        ],
+    };
+
+    /**
+     * @param {{x: number, y: number, z: number}} gridSize grid cells per axis
+     * @param {number} numParticles
+     */
+    constructor(gridSize, numParticles) {
+        this.gridSize = [gridSize.x, gridSize.y, gridSize.z];
+        this.numParticles = numParticles;
+        this.cellCount = gridSize.x * gridSize.y * gridSize.z;
+        this.cells = new Int32Array(this.cellCount * 4); // x, y, z momentum and mass, fixed point
+        this.cellsF = new Float32Array(this.cellCount * 4); // velocity and mass after updateGrid
+
+        this.position = new Float32Array(numParticles * 3);
+        this.velocity = new Float32Array(numParticles * 3);
+        this.C = new Float32Array(numParticles * 9);
+        this.density = new Float32Array(numParticles);
+        this.mass = new Float32Array(numParticles).fill(1);
+    }
+
+    /**
+     * Copies the particles from a StructuredArray, e.g. after `particleBuffer.read(renderer)`.
+     */
+    copyFrom(particleBuffer) {
+        const { floatArray, structSize, layout } = particleBuffer;
+        for (let i = 0; i < this.numParticles; i++) {
+            const base = i * structSize;
+            for (let k = 0; k < 3; k++) {
+                this.position[i * 3 + k] = floatArray[base + layout.position.offset + k];
+                this.velocity[i * 3 + k] = floatArray[base + layout.velocity.offset + k];
+            }
+            // mat3 members are padded to three vec4 columns
+            for (let col = 0; col < 3; col++) {
+                for (let row = 0; row < 3; row++) {
+                    this.C[i * 9 + col * 3 + row] = floatArray[base + layout.C.offset + col * 4 + row];
+                }
+            }
+            this.density[i] = floatArray[base + layout.density.offset];
+            this.mass[i] = floatArray[base + layout.mass.offset];
+        }
+    }
+
+    encodeFixedPoint(f) {
+        return Math.trunc(f * this.fixedPointScale);
+    }
+
+    decodeFixedPoint(i) {
+        return i / this.fixedPointScale;
+    }
+
+    cellPtr(x, y, z) {
+        const [, gy, gz] = this.gridSize;
+        return x * gy * gz + y * gz + z;
+    }
+
+    // Calls callback(ptr, weight, cellDist) for the 27 cells around a particle
+    forEachCell(i, callback) {
+        const position = [this.position[i * 3], this.position[i * 3 + 1], this.position[i * 3 + 2]];
+        const cellIndex = position.map(p => Math.trunc(p) - 1);
+        const w = weights(position);
+        for (let gx = 0; gx < 3; gx++) {
+            for (let gy = 0; gy < 3; gy++) {
+                for (let gz = 0; gz < 3; gz++) {
+                    const weight = w[0][gx] * w[1][gy] * w[2][gz];
+                    const cell = [cellIndex[0] + gx, cellIndex[1] + gy, cellIndex[2] + gz];
+                    const cellDist = [cell[0] + 0.5 - position[0], cell[1] + 0.5 - position[1], cell[2] + 0.5 - position[2]];
+                    callback(this.cellPtr(cell[0], cell[1], cell[2]), weight, cellDist);
+                }
+            }
+        }
+    }
+
+    // Matrix (column-major, 9 values at offset) times vector
+    mulMatVec(m, offset, v) {
+        return [0, 1, 2].map(row => m[offset + row] * v[0] + m[offset + 3 + row] * v[1] + m[offset + 6 + row] * v[2]);
+    }
+
+    clearGrid() {
+        this.cells.fill(0);
+        this.cellsF.fill(0);
+    }
+
+    p2g1() {
+        const { cells } = this;
+        for (let i = 0; i < this.numParticles; i++) {
+            const velocity = [this.velocity[i * 3], this.velocity[i * 3 + 1], this.velocity[i * 3 + 2]];
+            this.forEachCell(i, (ptr, weight, cellDist) => {
+                const Q = this.mulMatVec(this.C, i * 9, cellDist);
+                // Int32Array stores wrap like the atomic adds do
+                for (let k = 0; k < 3; k++) {
+                    cells[ptr * 4 + k] += this.encodeFixedPoint(weight * (velocity[k] + Q[k]));
+                }
+                cells[ptr * 4 + 3] += this.encodeFixedPoint(weight);
+            });
+        }
+    }
+
+    p2g2() {
+        const { cells, params } = this;
+        for (let i = 0; i < this.numParticles; i++) {
+            let density = 0;
+            this.forEachCell(i, (ptr, weight) => {
+                density += this.decodeFixedPoint(cells[ptr * 4 + 3]) * weight;
+            });
+            this.density[i] += (density - this.density[i]) * 0.05;
+
+            const volume = 1 / density;
+            const pressure = Math.max(0, (Math.pow(density / params.restDensity, 5) - 1) * params.stiffness);
+            const stress = new Float64Array(9);
+            for (let col = 0; col < 3; col++) {
+                for (let row = 0; row < 3; row++) {
+                    const strain = this.C[i * 9 + col * 3 + row] + this.C[i * 9 + row * 3 + col];
+                    stress[col * 3 + row] = strain * params.dynamicViscosity - (row === col ? pressure : 0);
+                }
+            }
+            const eq16Term0 = stress.map(s => s * -4 * volume * params.dt);
+
+            this.forEachCell(i, (ptr, weight, cellDist) => {
+                const momentum = this.mulMatVec(eq16Term0, 0, cellDist);
+                for (let k = 0; k < 3; k++) {
+                    cells[ptr * 4 + k] += this.encodeFixedPoint(momentum[k] * weight);
+                }
+            });
+        }
+    }
+
+    updateGrid() {
+        const { cells, cellsF, gridSize } = this;
+        const [, gy, gz] = gridSize;
+        let peak = 0;
+        for (let ptr = 0; ptr < this.cellCount; ptr++) {
+            for (let k = 0; k < 4; k++) {
+                peak = Math.max(peak, Math.abs(cells[ptr * 4 + k]));
+            }
+            const mass = this.decodeFixedPoint(cells[ptr * 4 + 3]);
+            if (mass <= 0) { continue; }
+            const cell = [Math.trunc(ptr / gz / gy), Math.trunc(ptr / gz) % gy, ptr % gz];
+            for (let k = 0; k < 3; k++) {
+                const onWall = cell[k] < 2 || cell[k] > gridSize[k] - 2;
+                cellsF[ptr * 4 + k] = onWall ? 0 : this.decodeFixedPoint(cells[ptr * 4 + k]) / mass;
+            }
+            cellsF[ptr * 4 + 3] = mass;
+        }
+        this.fixedPointPeak = peak;
+    }
+
+    // forceFields.js acceleration()
+    fieldAcceleration(position, velocity) {
+        const { params } = this;
+        const result = [0, 0, 0];
+        params.forceFields.forEach(field => {
+            const offset = field.position.map((c, k) => c - position[k]);
+            const distance = Math.hypot(...offset);
+            const weight = field.radius > 0 ? FALLOFFS[field.falloff](distance / field.radius) : 1;
+            const strength = field.strength * weight;
+            let force = [0, 0, 0];
+            if (field.type === "directional") {
+                force = field.direction.map(d => d * strength);
+            } else if (field.type === "point") {
+                force = offset.map(o => o / Math.max(distance, 1e-3) * strength);
+            } else if (field.type === "vortex") {
+                const [ax, ay, az] = field.direction;
+                const [ox, oy, oz] = offset.map(o => -o);
+                const tangent = [ay * oz - az * oy, az * ox - ax * oz, ax * oy - ay * ox];
+                const length = Math.max(Math.hypot(...tangent), 1e-3);
+                force = tangent.map(t => t / length * strength);
+            } else if (field.type === "turbulence") {
+                const noise = triNoise3Dvec(position.map((p, k) => p * field.scale + params.noiseOffset[k]), params.time * field.speed, 0.11).map(v => v - 0.285);
+                const noiseLength = Math.hypot(...noise);
+                force = noise.map(v => -v / noiseLength * 0.28 * strength);
+            } else {
+                force = velocity.map(v => -v * strength);
+            }
+            force.forEach((f, k) => { result[k] += f; });
+        });
+        return result;
+    }
+
+    g2p() {
+        const { cellsF, params, gridSize } = this;
+        const { dt } = params;
+        for (let i = 0; i < this.numParticles; i++) {
+            const position = [this.position[i * 3], this.position[i * 3 + 1], this.position[i * 3 + 2]];
+            const previousVelocity = [this.velocity[i * 3], this.velocity[i * 3 + 1], this.velocity[i * 3 + 2]];
+            const velocity = this.fieldAcceleration(position, previousVelocity).map(a => a * dt);
+
+            const B = new Float64Array(9);
+            this.forEachCell(i, (ptr, weight, cellDist) => {
+                const weightedVelocity = [0, 1, 2].map(k => cellsF[ptr * 4 + k] * weight);
+                for (let col = 0; col < 3; col++) {
+                    for (let row = 0; row < 3; row++) {
+                        B[col * 3 + row] += weightedVelocity[row] * cellDist[col];
+                    }
+                }
+                weightedVelocity.forEach((v, k) => { velocity[k] += v; });
+            });
+            for (let k = 0; k < 3; k++) {
+                velocity[k] *= this.mass[i];
+            }
+            for (let j = 0; j < 9; j++) {
+                this.C[i * 9 + j] = B[j] * 4;
+            }
+
+            for (let k = 0; k < 3; k++) {
+                position[k] = Math.min(Math.max(position[k] + velocity[k] * dt, 2), gridSize[k] - 2);
+            }
+
+            const wallStiffness = 0.3;
+            for (let k = 0; k < 3; k++) {
+                const xN = position[k] + velocity[k] * dt * 3.0;
+                const wallMin = 3;
+                const wallMax = gridSize[k] - 3;
+                if (xN < wallMin) { velocity[k] += (wallMin - xN) * wallStiffness; }
+                if (xN > wallMax) { velocity[k] += (wallMax - xN) * wallStiffness; }
+                this.position[i * 3 + k] = position[k];
+                this.velocity[i * 3 + k] = velocity[k];
+            }
+        }
+    }
+
+    /**
+     * Runs one full step and advances `params.time` by `interval`, like mlsMpmSimulator.update() with `conf.run`.
+     * @param {number} interval seconds, only used for the time that animates the noise field
+     */
+    step(interval = 0) {
+        if (this.fixedPointPeak !== null) {
+            this.fixedPointScale = nextFixedPointScale(this.fixedPointScale, this.fixedPointPeak);
+        }
+        this.clearGrid();
+        this.p2g1();
+        this.p2g2();
+        this.updateGrid();
+        this.g2p();
+        this.params.time += interval;
+    }
+}
+export default MlsMpmReference;
@@ -0,0 +1,77 @@
+import * as THREE from "three/webgpu";
+import {uniform} from "three/tsl";
+
+/**
+ * The one transform between simulation grid space and world space.
+ * Grid space is measured in cells, [0, gridSize) per axis. In world space the longest grid axis spans
+ * `domainSize` units, the domain is centered on x = 0 and rests on y = 0, and z is squashed by `depthScale`.
+ *
+ * Renderers place their object with `applyTo(object)` (uniform cell scale) and multiply grid positions by
+ * `uniforms.positionScale` in their position node, which keeps particle geometry itself unsquashed.
+ * Geometry already in grid space (colliders) uses `applyTo(object, true)` instead. Scene objects in conf are
+ * placed and sized in domain fractions, so they stay inside the walls on any grid: positions and vector extents
+ * per axis (`fractionToGrid`), radii and other lengths relative to the shortest axis (`lengthToGrid`).
+ */
+class Domain {
+    gridSize = new THREE.Vector3();
+    cellSize = 1;
+    depthScale = 1;
+    offset = new THREE.Vector3();
+    size = new THREE.Vector3();
+    center = new THREE.Vector3();
+    shortestAxis = 1;
+    uniforms = {};
+
+    constructor(gridResolution, domainSize, depthScale) {
+        this.gridSize.set(gridResolution.x, gridResolution.y, gridResolution.z);
+        this.cellSize = domainSize / Math.max(gridResolution.x, gridResolution.y, gridResolution.z);
+        this.depthScale = depthScale;
+        this.shortestAxis = Math.min(gridResolution.x, gridResolution.y, gridResolution.z);
+
+        const positionScale = new THREE.Vector3(1, 1, depthScale);
+        this.size.copy(this.gridSize).multiply(positionScale).multiplyScalar(this.cellSize);
+        this.offset.set(-this.size.x * 0.5, 0, 0);
+        this.center.copy(this.size).multiplyScalar(0.5).add(this.offset);
+
+        this.uniforms.positionScale = uniform(positionScale);
+    }
+
+    applyTo(object, includeDepthScale = false) {
+        object.position.copy(this.offset);
+        object.scale.setScalar(this.cellSize);
+        if (includeDepthScale) {
+            object.scale.z *= this.depthScale;
+        }
+    }
+
+    /**
+     * World position -> grid position scaled by `positionScale`, the space renderers and the mouse ray work in.
+     */
+    worldToScaledGrid(v) {
+        return v.sub(this.offset).divideScalar(this.cellSize);
+    }
+
+    /**
+     * Domain fractions (0-1 per axis, how conf places colliders, force fields, emitters and sinks and sizes their
+     * boxes and capsule axes) -> grid position or extent.
+     */
+    fractionToGrid(v) {
+        return v.multiply(this.gridSize);
+    }
+
+    /**
+     * Fraction of the shortest grid axis (how conf gives radii, mesh scales and other lengths) -> grid cells.
+     */
+    lengthToGrid(fraction) {
+        return fraction * this.shortestAxis;
+    }
+
+    gridToWorld(v) {
+        return v.multiply(this.uniforms.positionScale.value).multiplyScalar(this.cellSize).add(this.offset);
+    }
+
+    worldToGrid(v) {
+        return this.worldToScaledGrid(v).divide(this.uniforms.positionScale.value);
+    }
+}
+export default Domain;
@@ -0,0 +1,325 @@
+import * as THREE from "three/webgpu";
+import {
+    atomicAdd,
+    atomicStore,
+    atomicSub,
+    cos,
+    cross,
+    float,
+    Fn,
+    hash,
+    If,
+    instancedArray,
+    instanceIndex,
+    int,
+    Loop,
+    mat3,
+    normalize,
+    Return,
+    select,
+    sin,
+    smoothstep,
+    sqrt,
+    uint,
+    uniform,
+    vec3,
+} from "three/tsl";
+import {StructuredArray} from "./structuredArray.js";
+import {conf} from "../conf";
+import {hashSeed} from "../common/random.js";
+import {identity, MATERIAL_MODES, MATERIALS} from "./materials.js";
+
+export const EMITTER_TYPES = {
+    point: 0,
+    disc: 1,
+    box: 2,
+};
+
+const MAX_EMITTERS = 8;
+const MAX_SINKS = 8;
+const MAX_EMIT_PER_FRAME = 8192;
+
+/**
+ * Particle sources, sink regions and lifetimes.
+ * Particle slots live in a fixed pool of `maxParticles`. Dead slots are kept on a GPU free-list (a stack of slot
+ * indices with an atomic top), `emit` pops slots and `recycle` pushes them back, so the number of live particles
+ * changes without any CPU readback. While any of this is active the simulation dispatches the whole pool and
+ * every kernel skips slots whose `alive` flag is 0.
+ */
+class Emitters {
+    mlsMpmSim = null;
+    uniforms = {};
+    kernels = {};
+    accumulators = [];
+    frame = 0;
+    dynamic = null;
+    initialCount = -1;
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+    }
+
+    init() {
+        const {maxParticles} = conf;
+        const {particleBuffer} = this.mlsMpmSim;
+
+        const emitterStruct = {
+            type: 'int',
+            offset: 'int', // first emission thread of this emitter
+            spread: 'float',
+            position: 'vec3',
+            radius: 'float',
+            velocity: 'vec3',
+            size: 'vec3',
+            color: 'vec3',
+        };
+        this.emitterBuffer = new StructuredArray(emitterStruct, MAX_EMITTERS, "emitterData");
+        const sinkStruct = {
+            position: 'vec3',
+            size: 'vec3',
+        };
+        this.sinkBuffer = new StructuredArray(sinkStruct, MAX_SINKS, "sinkData");
+
+        this.freeList = instancedArray(maxParticles, 'uint').label('freeList');
+        this.freeCount = instancedArray(1, 'int').label('freeCount').toAtomic();
+
+        this.uniforms.emitterCount = uniform(0, "int");
+        this.uniforms.emitTotal = uniform(0, "uint");
+        this.uniforms.sinkCount = uniform(0, "int");
+        this.uniforms.seed = uniform(0, "uint");
+        this.uniforms.lifetime = uniform(0);
+        this.uniforms.deltaTime = uniform(0);
+        this.uniforms.initialCount = uniform(0, "uint");
+
+        // Marks the first `initialCount` slots alive and puts the rest on the free-list, lowest index on top
+        this.kernels.resetPool = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(maxParticles)), () => {
+                Return();
+            });
+            const particle = particleBuffer.element(instanceIndex);
+            const isAlive = instanceIndex.lessThan(this.uniforms.initialCount);
+            particle.get('alive').assign(select(isAlive, int(1), int(0)));
+            particle.get('age').assign(0);
+            If(isAlive.not(), () => {
+                this.freeList.element(uint(maxParticles - 1).sub(instanceIndex)).assign(instanceIndex);
+            });
+            If(instanceIndex.equal(uint(0)), () => {
+                atomicStore(this.freeCount.element(0), int(maxParticles).sub(int(this.uniforms.initialCount)));
+            });
+        })().compute(maxParticles);
+
+        this.kernels.emit = Fn(() => {
+            If(instanceIndex.greaterThanEqual(this.uniforms.emitTotal), () => {
+                Return();
+            });
+
+            // Pop a free slot, give it back if the pool is exhausted
+            const top = atomicSub(this.freeCount.element(0), int(1)).toConst("top");
+            If(top.lessThanEqual(int(0)), () => {
+                atomicAdd(this.freeCount.element(0), int(1));
+                Return();
+            });
+            const slot = this.freeList.element(top.sub(1)).toConst("slot");
+
+            const emitterIndex = int(0).toVar("emitterIndex");
+            Loop({ start: 0, end: this.uniforms.emitterCount, type: 'int', name: 'ei', condition: '<' }, ({ei}) => {
+                If(int(instanceIndex).greaterThanEqual(this.emitterBuffer.element(ei).get('offset')), () => {
+                    emitterIndex.assign(ei);
+                });
+            });
+            const emitter = this.emitterBuffer.element(emitterIndex);
+            const type = emitter.get('type').toConst("type");
+            const center = emitter.get('position').toConst("center");
+            const velocity = emitter.get('velocity').toConst("velocity");
+
+            const random = (k) => hash(instanceIndex.mul(8).add(uint(k)).add(this.uniforms.seed));
+            const random3 = (k) => vec3(random(k), random(k + 1), random(k + 2));
+
+            const position = center.add(random3(0).sub(0.5)).toVar("position");
+            If(type.equal(int(EMITTER_TYPES.disc)), () => {
+                // Uniform sample on a disc facing the emission direction
+                const n = normalize(velocity.add(vec3(0, 1e-5, 0))).toConst("n");
+                const t = normalize(cross(n, select(n.y.abs().lessThan(0.99), vec3(0,1,0), vec3(1,0,0)))).toConst("t");
+                const b = cross(n, t);
+                const r = sqrt(random(3)).mul(emitter.get('radius'));
+                const angle = random(4).mul(Math.PI * 2);
+                position.assign(center.add(t.mul(cos(angle).mul(r))).add(b.mul(sin(angle).mul(r))));
+            }).ElseIf(type.equal(int(EMITTER_TYPES.box)), () => {
+                position.assign(center.add(random3(3).mul(2.0).sub(1.0).mul(emitter.get('size'))));
+            });
+            const jitter = random3(5).mul(2.0).sub(1.0).mul(emitter.get('spread')).mul(velocity.length());
+
+            const mode = this.mlsMpmSim.uniforms.materialMode;
+            const particle = particleBuffer.element(slot);
+            particle.get('position').assign(position);
+            particle.get('velocity').assign(velocity.add(jitter));
+            particle.get('direction').assign(velocity);
+            particle.get('density').assign(this.mlsMpmSim.uniforms.restDensity);
+            particle.get('mass').assign(float(1.0).sub(random(7).mul(0.002)));
+            particle.get('C').assign(mat3(0));
+            particle.get('F').assign(identity());
+            particle.get('Jp').assign(1.0);
+            particle.get('material').assign(select(mode.equal(int(MATERIAL_MODES["sand on jelly"])), int(MATERIALS.sand), mode));
+            particle.get('color').assign(emitter.get('color'));
+            particle.get('age').assign(0);
+            particle.get('pinned').assign(0);
+            particle.get('alive').assign(1);
+        })().compute(MAX_EMIT_PER_FRAME);
+
+        // Ages live particles and returns the ones that expired or entered a sink to the free-list
+        this.kernels.recycle = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(maxParticles)), () => {
+                Return();
+            });
+            const particle = particleBuffer.element(instanceIndex);
+            If(particle.get('alive').equal(int(0)), () => {
+                Return();
+            });
+            const age = particle.get('age').add(this.uniforms.deltaTime).toConst("age");
+            particle.get('age').assign(age);
+
+            const kill = this.uniforms.lifetime.greaterThan(0.0).and(age.greaterThan(this.uniforms.lifetime)).toVar("kill");
+            const position = particle.get('position').toConst("position");
+            Loop({ start: 0, end: this.uniforms.sinkCount, type: 'int', name: 'si', condition: '<' }, ({si}) => {
+                const sink = this.sinkBuffer.element(si);
+                const d = position.sub(sink.get('position')).abs().sub(sink.get('size'));
+                If(d.x.lessThan(0.0).and(d.y.lessThan(0.0)).and(d.z.lessThan(0.0)), () => {
+                    kill.assign(true);
+                });
+            });
+
+            If(kill, () => {
+                particle.get('alive').assign(0);
+                const top = atomicAdd(this.freeCount.element(0), int(1));
+                this.freeList.element(top).assign(instanceIndex);
+            });
+        })().compute(maxParticles);
+        particleBuffer.addUsers(...Object.values(this.kernels));
+    }
+
+    /**
+     * True while emitters, sinks or lifetimes can change the particle count.
+     */
+    isDynamic() {
+        const { emitters, sinks, particleLifetime } = conf;
+        return emitters.some(e => e.enabled) || sinks.some(s => s.enabled) || particleLifetime > 0;
+    }
+
+    /**
+     * 1 for a live particle, fading to 0 over the last fifth of its lifetime and 0 for free slots.
+     * Renderers scale or hide particles with it.
+     */
+    visibility(particle) {
+        const lifetime = this.uniforms.lifetime;
+        const fade = select(lifetime.greaterThan(0.0), smoothstep(lifetime.mul(0.8), lifetime, particle.get('age')).oneMinus(), float(1.0));
+        return float(particle.get('alive')).mul(fade);
+    }
+
+    uploadEmitters(interval) {
+        const { domain } = this.mlsMpmSim;
+        let offset = 0;
+        let count = 0;
+        conf.emitters.forEach((emitter, index) => {
+            if (!emitter.enabled || count >= MAX_EMITTERS) {
+                this.accumulators[index] = 0;
+                return;
+            }
+            // Carry the fractional part over so low rates still emit
+            const amount = (this.accumulators[index] || 0) + emitter.rate * interval;
+            const emitCount = Math.min(Math.floor(amount), MAX_EMIT_PER_FRAME - offset);
+            this.accumulators[index] = amount - Math.floor(amount);
+
+            const i = count++;
+            this.emitterBuffer.set(i, "type", EMITTER_TYPES[emitter.type]);
+            this.emitterBuffer.set(i, "offset", offset);
+            this.emitterBuffer.set(i, "spread", emitter.spread);
+            this.emitterBuffer.set(i, "position", domain.fractionToGrid(new THREE.Vector3().copy(emitter.position)));
+            this.emitterBuffer.set(i, "radius", domain.lengthToGrid(emitter.radius || 0));
+            this.emitterBuffer.set(i, "velocity", emitter.velocity);
+            this.emitterBuffer.set(i, "size", domain.fractionToGrid(new THREE.Vector3().copy(emitter.size || { x: 0, y: 0, z: 0 })));
+            this.emitterBuffer.set(i, "color", new THREE.Color(emitter.color).toArray());
+            offset += emitCount;
+        });
+        this.uniforms.emitterCount.value = count;
+        this.uniforms.emitTotal.value = offset;
+        this.emitterBuffer.upload();
+        return offset;
+    }
+
+    uploadSinks() {
+        const { domain } = this.mlsMpmSim;
+        let count = 0;
+        conf.sinks.forEach(sink => {
+            if (!sink.enabled || count >= MAX_SINKS) { return; }
+            const i = count++;
+            this.sinkBuffer.set(i, "position", domain.fractionToGrid(new THREE.Vector3().copy(sink.position)));
+            this.sinkBuffer.set(i, "size", domain.fractionToGrid(new THREE.Vector3().copy(sink.size)));
+        });
+        this.uniforms.sinkCount.value = count;
+        this.sinkBuffer.upload();
+    }
+
+    /**
+     * Rebuilds the pool when the dynamic mode or the initial particle count changes.
+     * @returns {boolean} whether the pool is dynamic
+     */
+    async updatePool() {
+        const { particles } = conf;
+        const dynamic = this.isDynamic();
+        if (dynamic !== this.dynamic || particles !== this.initialCount) {
+            // Right after a seed every slot is fresh, later the dead ones hold the state they died with
+            if (this.initialCount >= 0) {
+                await this.reseedDeadSlots(particles);
+            }
+            this.dynamic = dynamic;
+            this.initialCount = particles;
+            this.uniforms.initialCount.value = particles;
+            // Restart the emission sequence too, so a reset replays the same particles
+            this.frame = 0;
+            this.accumulators = [];
+            await this.mlsMpmSim.renderer.computeAsync(this.kernels.resetPool);
+        }
+        return dynamic;
+    }
+
+    /**
+     * Gives the dead slots below `count`, which resetPool is about to mark alive, their state from the initial
+     * condition again. Live particles keep their GPU state.
+     */
+    async reseedDeadSlots(count) {
+        const { particleBuffer, renderer } = this.mlsMpmSim;
+        const data = new Int32Array(await renderer.getArrayBufferAsync(particleBuffer.buffer.value));
+        const { structSize, layout } = particleBuffer;
+        const dead = [];
+        for (let i = 0; i < count; i++) {
+            if (data[i * structSize + layout.alive.offset] === 0) {
+                dead.push(i);
+            }
+        }
+        if (dead.length === 0) { return; }
+        await this.mlsMpmSim.seed();
+        particleBuffer.uploadElements(dead);
+    }
+
+    /**
+     * Kernels to run before the simulation step.
+     */
+    preStep(interval) {
+        this.uniforms.lifetime.value = conf.particleLifetime;
+        if (!this.dynamic) { return []; }
+        this.frame++;
+        this.uniforms.seed.value = (hashSeed(conf.seed) + this.frame * MAX_EMIT_PER_FRAME * 8) >>> 0;
+        this.uploadSinks();
+        return this.uploadEmitters(interval) > 0 ? [this.kernels.emit] : [];
+    }
+
+    /**
+     * Kernels to run after the simulation step.
+     */
+    postStep(interval) {
+        if (!this.dynamic) { return []; }
+        this.uniforms.deltaTime.value = interval;
+        return [this.kernels.recycle];
+    }
+}
+export default Emitters;
@@ -0,0 +1,22 @@
+// Adaptive scale of the fixed point P2G grid. No imports, the simulator and the CPU reference (cpuReference.js)
+// adapt it the same way.
+
+// The largest accumulated |value * scale| is kept near 2^31 / FIXED_POINT_HEADROOM
+export const FIXED_POINT_INITIAL = 1e7;
+const FIXED_POINT_MIN = 1e2;
+const FIXED_POINT_MAX = 1e9;
+const FIXED_POINT_HEADROOM = 8;
+const FIXED_POINT_GROWTH = 1.25; // Per frame; shrinking happens at once
+
+/**
+ * The scale for the next frame, adapted to the peak raw grid magnitude of a frame accumulated at `scale`, so dense
+ * clusters don't wrap around and sparse ones keep their precision.
+ * @param {number} peak largest |raw int| of the momentum and mass members, 0 for an empty grid
+ */
+export const nextFixedPointScale = (scale, peak) => {
+    let target = FIXED_POINT_MAX;
+    if (peak > 0) {
+        target = scale * (2 ** 31 / FIXED_POINT_HEADROOM) / peak;
+    }
+    return Math.min(Math.max(Math.min(target, scale * FIXED_POINT_GROWTH), FIXED_POINT_MIN), FIXED_POINT_MAX);
+};
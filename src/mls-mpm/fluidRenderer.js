@@ -0,0 +1,202 @@
+import * as THREE from "three/webgpu";
+import {
+    cameraFar,
+    cameraNear,
+    cameraProjectionMatrixInverse,
+    convertToTexture,
+    cross,
+    Discard,
+    dot,
+    exp,
+    float,
+    Fn,
+    getViewPosition,
+    If,
+    instanceIndex,
+    Loop,
+    max,
+    normalize,
+    pass,
+    perspectiveDepthToViewZ,
+    positionView,
+    screenSize,
+    select,
+    smoothstep,
+    uniform,
+    uv,
+    vec2,
+    vec3,
+    vec4,
+    viewZToPerspectiveDepth,
+} from "three/tsl";
+import {conf} from "../conf";
+
+/**
+ * Screen-space fluid rendering (see PLAN_METABALL_FLUID.md).
+ * Particles are drawn as spherical depth sprites and additive thickness sprites in two offscreen passes,
+ * the depth is bilateral-blurred, normals are rebuilt from the smoothed depth, and `getCompositeNode()`
+ * returns the shaded surface for the post-processing chain in `App`.
+ */
+class FluidRenderer {
+    mlsMpmSim = null;
+    camera = null;
+    uniforms = {};
+
+    constructor(mlsMpmSim, camera) {
+        this.mlsMpmSim = mlsMpmSim;
+        this.camera = camera;
+
+        this.uniforms.size = uniform(1);
+        this.uniforms.blurRadius = uniform(6, "int");
+        this.uniforms.thickness = uniform(0.5);
+        this.uniforms.edgeSharpness = uniform(40);
+
+        const { domain } = this.mlsMpmSim;
+        const worldRadius = this.uniforms.size.mul(0.5 * domain.cellSize);
+        const particle = this.mlsMpmSim.particleBuffer.element(instanceIndex);
+
+        // Unit sphere impostor: returns the height of the sphere above the sprite plane, discards outside the disc
+        const sphereHeight = () => {
+            const p = uv().mul(2.0).sub(1.0);
+            const r2 = dot(p, p).toConst("r2");
+            Discard(r2.greaterThan(1.0));
+            return float(1.0).sub(r2).sqrt();
+        };
+
+        const createSprite = (material) => {
+            material.positionNode = particle.get("position").mul(domain.uniforms.positionScale);
+            material.scaleNode = this.uniforms.size.mul(this.mlsMpmSim.emitters.visibility(particle));
+            const sprite = new THREE.Sprite(material);
+            sprite.count = 0;
+            sprite.frustumCulled = false;
+            domain.applyTo(sprite);
+            return sprite;
+        };
+
+        // Pass 1: nearest sphere surface, written to the depth buffer, plus particle color
+        const depthMaterial = new THREE.SpriteNodeMaterial({ transparent: false, depthWrite: true, depthTest: true });
+        depthMaterial.fragmentNode = Fn(() => {
+            sphereHeight();
+            return vec4(particle.get("shade"), 1.0);
+        })();
+        depthMaterial.depthNode = Fn(() => {
+            const viewZ = positionView.z.add(sphereHeight().mul(worldRadius));
+            return viewZToPerspectiveDepth(viewZ, cameraNear, cameraFar);
+        })();
+        this.depthSprite = createSprite(depthMaterial);
+        this.depthScene = new THREE.Scene();
+        this.depthScene.add(this.depthSprite);
+
+        // Pass 2: accumulated thickness along the view ray
+        const thicknessMaterial = new THREE.SpriteNodeMaterial({
+            transparent: true,
+            depthWrite: false,
+            depthTest: false,
+            blending: THREE.AdditiveBlending,
+        });
+        thicknessMaterial.fragmentNode = Fn(() => {
+            const thickness = sphereHeight().mul(worldRadius).mul(2.0);
+            return vec4(thickness, 0, 0, 1);
+        })();
+        this.thicknessSprite = createSprite(thicknessMaterial);
+        this.mlsMpmSim.particleBuffer.addUsers(depthMaterial, thicknessMaterial);
+        this.thicknessScene = new THREE.Scene();
+        this.thicknessScene.add(this.thicknessSprite);
+
+        this.depthPass = pass(this.depthScene, this.camera);
+        this.thicknessPass = pass(this.thicknessScene, this.camera);
+        this.thicknessPass.setResolution(0.5);
+    }
+
+    /**
+     * Builds the fluid surface for the post-processing chain.
+     * @returns {Node<vec4>} shaded fluid color in rgb, coverage in alpha
+     */
+    getCompositeNode() {
+        const colorTexture = this.depthPass.getTextureNode();
+        const depthTexture = this.depthPass.getTextureNode("depth");
+        const thicknessTexture = this.thicknessPass.getTextureNode();
+        const texelSize = vec2(1.0).div(screenSize);
+
+        // Positive linear distance to the camera, 0 where no particle was drawn
+        const linearDepth = (d) => select(d.greaterThanEqual(1.0), float(0), perspectiveDepthToViewZ(d, cameraNear, cameraFar).negate());
+
+        // Separable bilateral blur: gaussian in screen space, falls off with the depth difference to keep silhouettes
+        const bilateralBlur = (sampleFn, direction) => Fn(() => {
+            const center = sampleFn(uv()).toConst("center");
+            const radius = this.uniforms.blurRadius;
+            const sigma = max(float(radius).mul(0.5), 1.0);
+            const sum = vec4(0).toVar("sum");
+            const totalWeight = float(0).toVar("totalWeight");
+            Loop({ start: radius.negate(), end: radius, type: 'int', name: 'i', condition: '<=' }, ({i}) => {
+                const offset = direction.mul(float(i)).mul(texelSize);
+                const sample = sampleFn(uv().add(offset)).toConst("sample");
+                const spatialWeight = exp(float(i.mul(i)).negate().div(sigma.mul(sigma).mul(2.0)));
+                const depthDiff = sample.w.sub(center.w).mul(this.uniforms.edgeSharpness);
+                const depthWeight = exp(depthDiff.mul(depthDiff).negate());
+                const weight = select(sample.w.greaterThan(0.0), spatialWeight.mul(depthWeight), float(0)).toConst("weight");
+                sum.addAssign(sample.mul(weight));
+                totalWeight.addAssign(weight);
+            });
+            return select(center.w.greaterThan(0.0), sum.div(max(totalWeight, 0.0001)), vec4(0));
+        })();
+
+        const sampleInput = (coord) => vec4(colorTexture.sample(coord).rgb, linearDepth(depthTexture.sample(coord).r));
+        const blurX = convertToTexture(bilateralBlur(sampleInput, vec2(1, 0)), null, null, { type: THREE.FloatType });
+        const blurY = convertToTexture(bilateralBlur((coord) => blurX.sample(coord), vec2(0, 1)), null, null, { type: THREE.FloatType });
+
+        const viewPosition = (coord) => {
+            const d = blurY.sample(coord).w;
+            const depth = viewZToPerspectiveDepth(d.negate(), cameraNear, cameraFar);
+            return getViewPosition(coord, depth, cameraProjectionMatrixInverse);
+        };
+
+        return Fn(() => {
+            const smoothed = blurY.sample(uv()).toConst("smoothed");
+
+            // Normal reconstruction: take the smaller one-sided difference so edges don't smear into the background
+            const p = viewPosition(uv()).toConst("p");
+            const dxR = viewPosition(uv().add(vec2(texelSize.x, 0))).sub(p);
+            const dxL = p.sub(viewPosition(uv().sub(vec2(texelSize.x, 0))));
+            const dyT = viewPosition(uv().add(vec2(0, texelSize.y))).sub(p);
+            const dyB = p.sub(viewPosition(uv().sub(vec2(0, texelSize.y))));
+            const ddx = select(dxR.z.abs().lessThan(dxL.z.abs()), dxR, dxL);
+            const ddy = select(dyT.z.abs().lessThan(dyB.z.abs()), dyT, dyB);
+            const n = normalize(cross(ddx, ddy)).toVar("n");
+            If(n.z.lessThan(0.0), () => {
+                n.assign(n.negate());
+            });
+
+            // Matte diffuse with wrap lighting, a soft rim and thickness-based transmission
+            const viewDir = normalize(p.negate());
+            const lightDir = normalize(vec3(0.4, 0.8, 0.5));
+            const diffuse = dot(n, lightDir).mul(0.5).add(0.5).pow(1.5);
+            const rim = float(1.0).sub(max(dot(n, viewDir), 0.0)).pow(3.0).mul(0.25);
+            const thickness = thicknessTexture.sample(uv()).r.mul(this.uniforms.thickness).toConst("thickness");
+            const transmission = exp(thickness.mul(-40.0));
+            const albedo = smoothed.rgb;
+            const color = albedo.mul(diffuse.mul(0.75).add(0.25)).add(albedo.mul(transmission).mul(0.35)).add(rim);
+
+            // Thin sheets fade out instead of ending in a hard cut
+            const coverage = select(smoothed.w.greaterThan(0.0), smoothstep(0.0, 0.02, thickness), float(0));
+            return vec4(color, coverage);
+        })();
+    }
+
+    setEnabled(enabled) {
+        this.depthSprite.visible = enabled;
+        this.thicknessSprite.visible = enabled;
+    }
+
+    update() {
+        const { actualSize, fluidBlurRadius, fluidThickness, fluidEdgeSharpness } = conf;
+        // Sprites are larger than the beads so neighbours overlap and merge into one surface
+        this.uniforms.size.value = actualSize * 2.0;
+        this.uniforms.blurRadius.value = fluidBlurRadius;
+        this.uniforms.thickness.value = fluidThickness;
+        this.uniforms.edgeSharpness.value = fluidEdgeSharpness;
+        this.depthSprite.count = this.mlsMpmSim.numParticles;
+        this.thicknessSprite.count = this.mlsMpmSim.numParticles;
+    }
+}
+export default FluidRenderer;
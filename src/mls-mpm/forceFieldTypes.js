@@ -0,0 +1,34 @@
+// Force field types, falloffs and defaults as conf stores them. No conf import, conf.js builds its GUI from these.
+
+// directional: constant acceleration along `direction` (device: the device gravity instead)
+// point: towards `position`, negative strength repels
+// vortex: around the axis `direction` through `position`
+// turbulence: the triNoise3D field, sampled at `scale` and animated at `speed`
+// drag: against the particle velocity
+export const FORCE_FIELD_TYPES = {
+    directional: 0,
+    point: 1,
+    vortex: 2,
+    turbulence: 3,
+    drag: 4,
+};
+
+// How the strength fades with the distance to `position`, relative to `radius`. A radius of 0 covers everything.
+// constant: full strength inside the radius, inverse square: full strength inside, (radius / distance)^2 outside
+export const FORCE_FIELD_FALLOFFS = {
+    constant: 0,
+    linear: 1,
+    smooth: 2,
+    "inverse square": 3,
+};
+
+// animation: "none", "pulse" (strength swings by `animationAmount` of itself) or "orbit" (position circles around
+// the configured one with a radius of `animationAmount`, a fraction of the shortest axis like `radius`);
+// `animationSpeed` is in cycles per second
+export const FORCE_FIELD_DEFAULTS = {
+    directional: { strength: 0.2, radius: 0, falloff: "constant", direction: { x: 0, y: -1, z: 0 }, device: false },
+    point: { strength: 0.3, radius: 0, falloff: "constant" },
+    vortex: { strength: 0.3, radius: 0.3125, falloff: "smooth", direction: { x: 0, y: 1, z: 0 } },
+    turbulence: { strength: 1, radius: 0, falloff: "constant", scale: 0.015, speed: 1 },
+    drag: { strength: 0.5, radius: 0.1875, falloff: "smooth" },
+};
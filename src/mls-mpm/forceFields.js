@@ -0,0 +1,217 @@
+import * as THREE from "three/webgpu";
+import {cross, float, If, int, Loop, max, select, smoothstep, uniform, vec3} from "three/tsl";
+import {triNoise3Dvec} from "../common/noise";
+import {StructuredArray} from "./structuredArray.js";
+import {conf} from "../conf";
+import {FORCE_FIELD_FALLOFFS, FORCE_FIELD_TYPES} from "./forceFieldTypes.js";
+
+const GIZMO_COLORS = {
+    directional: 0x6bb8ff,
+    point: 0xffb45c,
+    vortex: 0xc77dff,
+    turbulence: 0x7dffb0,
+    drag: 0xff6b6b,
+};
+
+const MAX_FORCE_FIELDS = 16;
+
+/**
+ * External forces on the particles, evaluated per particle in `g2p`. The list lives in `conf.forceFields`;
+ * enabled entries are animated on the CPU with the simulated time and packed into a storage buffer every frame.
+ * Positions and radii are fractions of the domain like the colliders (radii and orbit amounts of the shortest
+ * axis), converted to grid cells when packed; strengths are in cells per unit of dt squared.
+ */
+class ForceFields {
+    object = null;
+    uniforms = {};
+    gizmos = [];
+    signature = "";
+    impulses = []; // Fields added by code for one frame (e.g. audio impulses), without gizmos
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+        const fieldStruct = {
+            type: 'int',
+            falloff: 'int',
+            strength: 'float',
+            radius: 'float',
+            position: 'vec3',
+            scale: 'float', // turbulence noise scale
+            direction: 'vec3', // directional force, vortex axis
+            speed: 'float', // turbulence animation speed
+        };
+        this.buffer = new StructuredArray(fieldStruct, MAX_FORCE_FIELDS, "forceFieldData");
+        this.uniforms.count = uniform(0, "int");
+
+        this.object = new THREE.Object3D();
+        mlsMpmSim.domain.applyTo(this.object, true);
+    }
+
+    createGizmo(field) {
+        const color = GIZMO_COLORS[field.type];
+        const group = new THREE.Group();
+        const lineMaterial = new THREE.LineBasicNodeMaterial({ color, transparent: true, opacity: 0.6, depthWrite: false });
+        // Unit radius outline, scaled to the field radius
+        const outline = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.IcosahedronGeometry(1, 1)), lineMaterial);
+        outline.name = "outline";
+        group.add(outline);
+        if (field.type === "directional" || field.type === "vortex") {
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 6, color, 1.5, 1);
+            arrow.name = "arrow";
+            group.add(arrow);
+        }
+        if (field.type === "vortex") {
+            const points = [];
+            for (let i = 0; i <= 32; i++) {
+                const angle = i / 32 * Math.PI * 2;
+                points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+            }
+            const ring = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), lineMaterial);
+            ring.name = "ring";
+            group.add(ring);
+        }
+        if (field.type === "point") {
+            const core = new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), new THREE.MeshBasicNodeMaterial({ color }));
+            core.name = "core";
+            group.add(core);
+        }
+        return group;
+    }
+
+    // Rebuilds the gizmos when fields are added, removed or change their type
+    updateGizmos() {
+        const signature = conf.forceFields.map(field => field.type).join();
+        if (signature === this.signature) { return; }
+        this.signature = signature;
+        this.gizmos.forEach(gizmo => {
+            this.object.remove(gizmo);
+            gizmo.traverse(child => {
+                if (child.geometry) { child.geometry.dispose(); }
+            });
+        });
+        this.gizmos = conf.forceFields.map(field => this.createGizmo(field));
+        this.gizmos.forEach(gizmo => this.object.add(gizmo));
+    }
+
+    /**
+     * Field parameters at simulated time `time`, with animation and device gravity applied and the position
+     * and radius in grid cells.
+     */
+    evaluate(field, time) {
+        const { domain } = this.mlsMpmSim;
+        const position = domain.fractionToGrid(new THREE.Vector3().copy(field.position));
+        const radius = domain.lengthToGrid(field.radius);
+        let strength = field.strength;
+        const phase = time * (field.animationSpeed || 0) * Math.PI * 2;
+        if (field.animation === "pulse") {
+            strength *= 1 + field.animationAmount * Math.sin(phase);
+        } else if (field.animation === "orbit") {
+            const orbit = domain.lengthToGrid(field.animationAmount);
+            position.x += Math.cos(phase) * orbit;
+            position.z += Math.sin(phase) * orbit;
+        }
+        const direction = new THREE.Vector3().copy(field.direction || { x: 0, y: 1, z: 0 });
+        if (field.type === "directional" && field.device) {
+            // The sensor reading already has a magnitude
+            direction.copy(conf.gravitySensorReading).add(conf.accelerometerReading);
+        } else {
+            direction.normalize();
+        }
+        return { position, radius, strength, direction };
+    }
+
+    write(i, field, time) {
+        const evaluated = this.evaluate(field, time);
+        this.buffer.set(i, "type", FORCE_FIELD_TYPES[field.type]);
+        this.buffer.set(i, "falloff", FORCE_FIELD_FALLOFFS[field.falloff]);
+        this.buffer.set(i, "strength", evaluated.strength);
+        this.buffer.set(i, "radius", evaluated.radius);
+        this.buffer.set(i, "position", evaluated.position);
+        this.buffer.set(i, "scale", field.scale || 0);
+        this.buffer.set(i, "direction", evaluated.direction);
+        this.buffer.set(i, "speed", field.speed || 0);
+        return evaluated;
+    }
+
+    update(time) {
+        const { forceFields, showForceFields } = conf;
+        this.object.visible = showForceFields;
+        this.updateGizmos();
+
+        let count = 0;
+        forceFields.forEach((field, index) => {
+            const gizmo = this.gizmos[index];
+            gizmo.visible = field.enabled;
+            if (!field.enabled || count >= MAX_FORCE_FIELDS) { return; }
+            const { position, radius, strength, direction } = this.write(count++, field, time);
+
+            gizmo.position.copy(position);
+            gizmo.getObjectByName("outline").scale.setScalar(radius > 0 ? radius : 2);
+            const arrow = gizmo.getObjectByName("arrow");
+            if (arrow) {
+                arrow.setDirection(direction.clone().normalize());
+                arrow.setLength(Math.max(2, Math.abs(strength) * 30), 1.5, 1);
+            }
+            const ring = gizmo.getObjectByName("ring");
+            if (ring) {
+                ring.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.clone().normalize());
+                ring.scale.setScalar(radius > 0 ? radius * 0.5 : 4);
+            }
+        });
+        this.impulses.forEach(field => {
+            if (count >= MAX_FORCE_FIELDS) { return; }
+            this.write(count++, field, time);
+        });
+        this.uniforms.count.value = count;
+        this.buffer.upload();
+    }
+
+    /**
+     * Acceleration of a particle at grid position p with velocity v. Must be called inside a Fn.
+     */
+    acceleration(p, v) {
+        const { time, noiseOffset } = this.mlsMpmSim.uniforms;
+        const result = vec3(0).toVar("fieldAcceleration");
+        Loop({ start: 0, end: this.uniforms.count, type: 'int', name: 'fi', condition: '<' }, ({fi}) => {
+            const field = this.buffer.element(fi);
+            const type = field.get('type').toConst("fieldType");
+            const falloff = field.get('falloff').toConst("fieldFalloff");
+            const radius = field.get('radius').toConst("fieldRadius");
+            const center = field.get('position').toConst("fieldCenter");
+            const direction = field.get('direction').toConst("fieldDirection");
+            const offset = center.sub(p).toConst("fieldOffset");
+
+            const x = offset.length().div(max(radius, 1e-6)).toConst("fieldDistance");
+            const weight = float(1).toVar("fieldWeight");
+            If(radius.greaterThan(0.0), () => {
+                If(falloff.equal(int(FORCE_FIELD_FALLOFFS.constant)), () => {
+                    weight.assign(select(x.lessThan(1.0), float(1), float(0)));
+                }).ElseIf(falloff.equal(int(FORCE_FIELD_FALLOFFS.linear)), () => {
+                    weight.assign(float(1).sub(x).max(0.0));
+                }).ElseIf(falloff.equal(int(FORCE_FIELD_FALLOFFS.smooth)), () => {
+                    weight.assign(smoothstep(0.0, 1.0, x).oneMinus());
+                }).Else(() => {
+                    weight.assign(float(1).div(max(x.mul(x), 1.0)));
+                });
+            });
+            const strength = field.get('strength').mul(weight).toConst("fieldStrength");
+
+            If(type.equal(int(FORCE_FIELD_TYPES.directional)), () => {
+                result.addAssign(direction.mul(strength));
+            }).ElseIf(type.equal(int(FORCE_FIELD_TYPES.point)), () => {
+                result.addAssign(offset.div(max(offset.length(), 1e-3)).mul(strength));
+            }).ElseIf(type.equal(int(FORCE_FIELD_TYPES.vortex)), () => {
+                const tangent = cross(direction, offset.negate()).toConst("vortexTangent");
+                result.addAssign(tangent.div(max(tangent.length(), 1e-3)).mul(strength));
+            }).ElseIf(type.equal(int(FORCE_FIELD_TYPES.turbulence)), () => {
+                const samplePosition = p.mul(field.get('scale')).add(noiseOffset);
+                const noise = triNoise3Dvec(samplePosition, time.mul(field.get('speed')), 0.11).sub(0.285).normalize().mul(0.28);
+                result.subAssign(noise.mul(strength));
+            }).Else(() => {
+                result.subAssign(v.mul(strength));
+            });
+        });
+        return result;
+    }
+}
+export default ForceFields;
@@ -0,0 +1,177 @@
+import * as THREE from "three/webgpu";
+import {conf} from "../conf";
+import {createZip} from "../common/zip.js";
+import {downloadBlob} from "../common/download.js";
+
+// Exportable particle attributes: conf.exportAttributes key -> columns
+const ATTRIBUTES = {
+    position: ["x", "y", "z"],
+    velocity: ["vx", "vy", "vz"],
+    density: ["density"],
+    color: ["red", "green", "blue"],
+};
+
+/**
+ * Writes simulated frames as numbered PLY (binary little endian) or CSV files for offline tools.
+ * Positions and velocities are in world space. Frames are collected into a zip download, or written straight
+ * into a directory picked through the File System Access API.
+ *
+ * Recording is driven by `conf.exportRecording`; frame numbers count simulated frames since recording started.
+ */
+class FrameExporter {
+    mlsMpmSim = null;
+    recording = false;
+    frame = 0;
+    files = [];
+    directory = null;
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+    }
+
+    async start() {
+        const { exportTarget, exportDirectory } = conf;
+        this.frame = 0;
+        this.files = [];
+        this.directory = null;
+        if (exportTarget === "directory") {
+            // The picker needs a user gesture, so the directory is chosen from the GUI beforehand
+            if (!exportDirectory) {
+                throw new Error("No export directory chosen, use 'choose directory' first");
+            }
+            this.directory = exportDirectory;
+        }
+        this.recording = true;
+    }
+
+    async stop() {
+        this.recording = false;
+        if (this.files.length > 0) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+            downloadBlob(createZip(this.files), "frames-" + stamp + ".zip");
+        }
+        this.files = [];
+        this.directory = null;
+    }
+
+    /**
+     * Reads back the particles and encodes the live ones.
+     * @returns {Promise<Uint8Array>}
+     */
+    async encodeFrame() {
+        const { exportFormat, exportAttributes } = conf;
+        const { renderer, particleBuffer, numParticles, domain } = this.mlsMpmSim;
+        await particleBuffer.read(renderer);
+
+        const attributes = Object.keys(ATTRIBUTES).filter(key => exportAttributes[key]);
+        const position = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+        const color = new THREE.Color();
+        const rgb = {};
+        const rows = [];
+        for (let i = 0; i < numParticles; i++) {
+            if (particleBuffer.intArray[i * particleBuffer.structSize + particleBuffer.layout.alive.offset] === 0) { continue; }
+            const row = [];
+            attributes.forEach(key => {
+                if (key === "position") {
+                    domain.gridToWorld(position.fromArray(particleBuffer.floatArray, i * particleBuffer.structSize + particleBuffer.layout.position.offset));
+                    row.push(position.x, position.y, position.z);
+                } else if (key === "velocity") {
+                    velocity.fromArray(particleBuffer.floatArray, i * particleBuffer.structSize + particleBuffer.layout.velocity.offset);
+                    velocity.multiply(domain.uniforms.positionScale.value).multiplyScalar(domain.cellSize);
+                    row.push(velocity.x, velocity.y, velocity.z);
+                } else if (key === "density") {
+                    row.push(particleBuffer.floatArray[i * particleBuffer.structSize + particleBuffer.layout.density.offset]);
+                } else {
+                    color.fromArray(particleBuffer.floatArray, i * particleBuffer.structSize + particleBuffer.layout.color.offset);
+                    color.getRGB(rgb, THREE.SRGBColorSpace);
+                    row.push(...[rgb.r, rgb.g, rgb.b].map(c => Math.round(THREE.MathUtils.clamp(c, 0, 1) * 255)));
+                }
+            });
+            rows.push(row);
+        }
+
+        const columns = attributes.flatMap(key => ATTRIBUTES[key]);
+        if (exportFormat === "csv") {
+            const text = columns.join(",") + "\n" + rows.map(row => row.join(",")).join("\n") + "\n";
+            return new TextEncoder().encode(text);
+        }
+
+        const isColor = (column) => ["red", "green", "blue"].includes(column);
+        const header = "ply\nformat binary_little_endian 1.0\n" +
+            "element vertex " + rows.length + "\n" +
+            columns.map(column => "property " + (isColor(column) ? "uchar " : "float ") + column + "\n").join("") +
+            "end_header\n";
+        const headerBytes = new TextEncoder().encode(header);
+        const rowSize = columns.reduce((sum, column) => sum + (isColor(column) ? 1 : 4), 0);
+        const bytes = new Uint8Array(headerBytes.length + rows.length * rowSize);
+        bytes.set(headerBytes, 0);
+        const view = new DataView(bytes.buffer);
+        let offset = headerBytes.length;
+        rows.forEach(row => {
+            row.forEach((value, j) => {
+                if (isColor(columns[j])) {
+                    view.setUint8(offset, value);
+                    offset += 1;
+                } else {
+                    view.setFloat32(offset, value, true);
+                    offset += 4;
+                }
+            });
+        });
+        return bytes;
+    }
+
+    async writeFile(name, data) {
+        if (this.directory) {
+            const handle = await this.directory.getFileHandle(name, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(data);
+            await writable.close();
+        } else {
+            this.files.push({ name, data });
+        }
+    }
+
+    /**
+     * Call once per simulated frame.
+     */
+    async update() {
+        const { exportRecording, exportStart, exportEnd, exportEvery, exportFormat } = conf;
+        if (exportRecording && !this.recording) {
+            try {
+                await this.start();
+            } catch (e) {
+                conf.reportError(e);
+                conf.exportRecording = false;
+                conf.gui.refresh();
+                return;
+            }
+        } else if (!exportRecording && this.recording) {
+            await this.stop();
+        }
+        // Paused frames are not new simulation frames
+        if (!this.recording || !conf.run) { return; }
+
+        const frame = this.frame++;
+        if (frame >= exportStart && frame <= exportEnd && (frame - exportStart) % exportEvery === 0) {
+            try {
+                const data = await this.encodeFrame();
+                await this.writeFile("frame_" + String(frame).padStart(5, "0") + "." + exportFormat, data);
+            } catch (e) {
+                // E.g. the directory permission was revoked; the frames so far are kept
+                conf.reportError(e);
+                conf.exportRecording = false;
+                conf.gui.refresh();
+                await this.stop();
+                return;
+            }
+        }
+        if (frame >= exportEnd) {
+            conf.exportRecording = false;
+            conf.gui.refresh();
+            await this.stop();
+        }
+    }
+}
+export default FrameExporter;
@@ -0,0 +1,204 @@
+import {atomicAdd, float, If, int, ivec3, localId, Loop, uint, wgsl, wgslFn, workgroupBarrier} from "three/tsl";
+import {StructuredArray} from "./structuredArray.js";
+
+/*
+ * Storage for the P2G scatter. WebGPU only has integer atomics, so the grid either encodes momentum and mass
+ * as fixed point ints (FixedPointGrid), or keeps f32 bits in u32 atomics updated with a compare-exchange loop
+ * (FloatAtomicGrid). Both expose the same add / load interface to the simulator kernels.
+ * r, g and b hold the mass weighted dye, scattered only while dye mixing is on.
+ *
+ * For particles sorted by block (see particleSorter.js), sharedScatter() first accumulates a workgroup's
+ * contributions in workgroup memory and flushes each touched cell once, which cuts global atomic contention.
+ */
+
+const MEMBERS = ["x", "y", "z", "mass", "r", "g", "b"];
+
+// Cells per axis of a sort block
+export const BLOCK_SIZE = 4;
+export const WORKGROUP_SIZE = 64;
+// A block plus the one cell halo the quadratic stencil reaches
+const TILE_SIZE = BLOCK_SIZE + 2;
+const TILE_CELLS = TILE_SIZE ** 3;
+
+// Fixed point values beyond this magnitude are close enough to wrapping around to count as saturated
+export const SATURATION_LIMIT = 2 ** 30;
+
+/**
+ * Float atomics need storage pointers as function parameters, a WGSL language extension.
+ */
+export const supportsFloatAtomics = () => {
+    return !!(navigator.gpu && navigator.gpu.wgslLanguageFeatures && navigator.gpu.wgslLanguageFeatures.has("unrestricted_pointer_parameters"));
+};
+
+const atomicAddFloat = wgslFn(`
+    fn atomicAddFloat(target: ptr<storage, atomic<u32>, read_write>, value: f32) -> f32 {
+        var old = atomicLoad(target);
+        loop {
+            let result = atomicCompareExchangeWeak(target, old, bitcast<u32>(bitcast<f32>(old) + value));
+            if (result.exchanged) { break; }
+            old = result.old_value;
+        }
+        return bitcast<f32>(old);
+    }
+`);
+
+// TSL's bitcast() only covers some type pairs in this three.js version
+const bitsToFloat = wgslFn(`
+    fn bitsToFloat(bits: u32) -> f32 {
+        return bitcast<f32>(bits);
+    }
+`);
+
+const tileDeclaration = wgsl(`var<workgroup> p2gTile: array<atomic<i32>, ${TILE_CELLS * MEMBERS.length}>;`);
+const tileAdd = wgslFn(`
+    fn tileAdd(index: u32, value: i32) -> i32 {
+        return atomicAdd(&p2gTile[index], value);
+    }
+`, [tileDeclaration]);
+const tileLoad = wgslFn(`
+    fn tileLoad(index: u32) -> i32 {
+        return atomicLoad(&p2gTile[index]);
+    }
+`, [tileDeclaration]);
+const tileClear = wgslFn(`
+    fn tileClear(index: u32) -> i32 {
+        atomicStore(&p2gTile[index], 0);
+        return 0;
+    }
+`, [tileDeclaration]);
+
+class Grid {
+    buffer = null;
+
+    constructor(type, cellCount, label) {
+        const layout = {};
+        MEMBERS.forEach(member => { layout[member] = { type, atomic: true }; });
+        this.buffer = new StructuredArray(layout, cellCount, label);
+    }
+
+    /**
+     * Declares which members the next kernel accesses atomically; the others are read or written plainly.
+     */
+    setAtomic(atomicMembers) {
+        MEMBERS.forEach(member => this.buffer.setAtomic(member, atomicMembers.includes(member)));
+    }
+
+    element(index) {
+        return this.buffer.element(index);
+    }
+
+    // Zero bits are 0 in both encodings
+    clear(cell) {
+        MEMBERS.forEach(member => cell.get(member).assign(0));
+    }
+}
+
+/**
+ * Integer grid with a runtime scale: `value * scale` is accumulated with atomicAdd.
+ * The simulator adapts the scale to the peak values it measures, see mlsMpmSimulator.updateFixedPointScale().
+ */
+export class FixedPointGrid extends Grid {
+    isFixedPoint = true;
+
+    constructor(cellCount, scale) {
+        super("int", cellCount, "cellData");
+        this.scale = scale;
+    }
+
+    add(cell, member, value) {
+        atomicAdd(cell.get(member), int(value.mul(this.scale)));
+    }
+
+    load(cell, member) {
+        return float(cell.get(member)).div(this.scale);
+    }
+
+    encode(value) {
+        return int(value.mul(this.scale));
+    }
+
+    addRaw(cell, member, value) {
+        atomicAdd(cell.get(member), value);
+    }
+
+    // The raw int, for saturation checks
+    raw(cell, member) {
+        return cell.get(member);
+    }
+}
+
+/**
+ * f32 grid in u32 atomics, added with a compare-exchange loop. No range limits, but contended cells retry.
+ */
+export class FloatAtomicGrid extends Grid {
+    isFixedPoint = false;
+
+    constructor(cellCount) {
+        super("uint", cellCount, "cellDataFloat");
+    }
+
+    add(cell, member, value) {
+        atomicAddFloat(cell.get(member), value).toStack();
+    }
+
+    load(cell, member) {
+        return bitsToFloat(cell.get(member));
+    }
+}
+
+/**
+ * Kernel body for a P2G scatter through workgroup memory. The tile covers the sort block of the workgroup's
+ * first particle plus a one cell halo; contributions outside of it, from particles that moved since the last
+ * sort, go to the grid directly. The integer sums are the same as with the plain kernels.
+ * Fixed point grids only, and the kernel has to run with WORKGROUP_SIZE threads.
+ *
+ * @param {FixedPointGrid} grid
+ * @param {string[]} members the members `body` scatters, accessed atomically by the kernel
+ * @param {Node} origin ivec3 first tile cell, uniform across the workgroup
+ * @param {Node} gridSize ivec3 cells per axis
+ * @param {function(Node): Node} getCell grid element at an ivec3 cell
+ * @param {Node} active bool, whether this thread has a particle to scatter
+ * @param {function(function(Node, Object))} body scatters one particle by calling `scatter(cell, { member: value })`
+ */
+export const sharedScatter = (grid, members, origin, gridSize, getCell, active, body) => {
+    const inTile = (local) => local.x.greaterThanEqual(0).and(local.y.greaterThanEqual(0)).and(local.z.greaterThanEqual(0))
+        .and(local.x.lessThan(TILE_SIZE)).and(local.y.lessThan(TILE_SIZE)).and(local.z.lessThan(TILE_SIZE));
+
+    Loop({ start: localId.x, end: uint(TILE_CELLS * MEMBERS.length), type: 'uint', name: 'ti', condition: '<', update: WORKGROUP_SIZE }, ({ti}) => {
+        tileClear(ti).toStack();
+    });
+    workgroupBarrier();
+
+    If(active, () => {
+        body((cellX, values) => {
+            const local = cellX.sub(origin).toConst("local");
+            If(inTile(local), () => {
+                const base = uint(local.x.mul(TILE_SIZE * TILE_SIZE).add(local.y.mul(TILE_SIZE)).add(local.z)).mul(MEMBERS.length).toConst("base");
+                Object.entries(values).forEach(([member, value]) => {
+                    tileAdd(base.add(MEMBERS.indexOf(member)), grid.encode(value)).toStack();
+                });
+            }).Else(() => {
+                const cell = getCell(cellX);
+                Object.entries(values).forEach(([member, value]) => grid.add(cell, member, value));
+            });
+        });
+    });
+    workgroupBarrier();
+
+    Loop({ start: localId.x, end: uint(TILE_CELLS), type: 'uint', name: 'tc', condition: '<', update: WORKGROUP_SIZE }, ({tc}) => {
+        const local = ivec3(int(tc).div(TILE_SIZE * TILE_SIZE), int(tc).div(TILE_SIZE).mod(TILE_SIZE), int(tc).mod(TILE_SIZE));
+        const cellX = origin.add(local).toConst("cellX");
+        const inGrid = cellX.x.greaterThanEqual(0).and(cellX.y.greaterThanEqual(0)).and(cellX.z.greaterThanEqual(0))
+            .and(cellX.x.lessThan(gridSize.x)).and(cellX.y.lessThan(gridSize.y)).and(cellX.z.lessThan(gridSize.z));
+        If(inGrid, () => {
+            const cell = getCell(cellX);
+            members.forEach(member => {
+                const m = MEMBERS.indexOf(member);
+                const value = tileLoad(tc.mul(MEMBERS.length).add(m)).toConst("tileValue" + m);
+                If(value.notEqual(int(0)), () => {
+                    grid.addRaw(cell, member, value);
+                });
+            });
+        });
+    });
+};
@@ -0,0 +1,314 @@
+import * as THREE from "three/webgpu";
+import {OBJLoader} from "three/examples/jsm/loaders/OBJLoader";
+import {GLTFLoader} from "three/examples/jsm/loaders/GLTFLoader.js";
+import boxSmoothObj from '../assets/boxSmooth.obj';
+
+/*
+ * Initial conditions are lists of sources. A source fills a region of the grid with particles and gives each
+ * of them an initial velocity and color:
+ *   { volume, sample(random, position, velocity, color) }
+ * `sample` writes into the three vectors/color it is given. Particles are spread over the sources in
+ * proportion to their volume, and every particle picks its source at random, so any prefix of the particle
+ * buffer (the `particles` slider) is an unbiased subset of the scene.
+ *
+ * Regions are given in normalized domain coordinates (0-1 on each axis) so every condition adapts to the grid.
+ */
+
+const toColor = (color) => new THREE.Color(color ?? 0xffffff);
+const toVector = (v, fallback = 0) => new THREE.Vector3(v?.x ?? fallback, v?.y ?? fallback, v?.z ?? fallback);
+
+/**
+ * Axis aligned box between `min` and `max`.
+ */
+export const box = (gridSize, { min, max, velocity, color }) => {
+    const lo = toVector(min).multiply(gridSize);
+    const hi = toVector(max).multiply(gridSize);
+    const extent = hi.clone().sub(lo);
+    const v = toVector(velocity);
+    const c = toColor(color);
+    return {
+        volume: extent.x * extent.y * extent.z,
+        sample(random, position, velocity, color) {
+            position.set(random(), random(), random()).multiply(extent).add(lo);
+            velocity.copy(v);
+            color.copy(c);
+        },
+    };
+};
+
+/**
+ * Ellipsoid around `center`, `radius` is a number or per-axis radii (fractions of the domain).
+ */
+export const blob = (gridSize, { center, radius, velocity, color }) => {
+    const c0 = toVector(center).multiply(gridSize);
+    const r = (typeof radius === 'number' ? new THREE.Vector3(radius, radius, radius) : toVector(radius)).multiply(gridSize);
+    const v = toVector(velocity);
+    const c = toColor(color);
+    return {
+        volume: 4 / 3 * Math.PI * r.x * r.y * r.z,
+        sample(random, position, velocity, color) {
+            do {
+                position.set(random(), random(), random()).multiplyScalar(2.0).subScalar(1.0);
+            } while (position.lengthSq() > 1);
+            position.multiply(r).add(c0);
+            velocity.copy(v);
+            color.copy(c);
+        },
+    };
+};
+
+/**
+ * A set of filled grid cells, as produced by `voxelizeMesh`.
+ */
+export const voxels = (gridSize, { cells, velocity, color }) => {
+    const v = toVector(velocity);
+    const c = toColor(color);
+    return {
+        volume: cells.length / 3,
+        sample(random, position, velocity, color) {
+            const i = Math.floor(random() * cells.length / 3) * 3;
+            position.set(cells[i] + random(), cells[i + 1] + random(), cells[i + 2] + random());
+            velocity.copy(v);
+            color.copy(c);
+        },
+    };
+};
+
+/**
+ * Opaque pixels of a canvas, mapped into `region` (min/max in x and y) and extruded between `region.min.z` and
+ * `region.max.z`. Particles take the pixel color unless the source has its own.
+ */
+export const extrudedCanvas = (gridSize, { canvas, region, velocity, color }) => {
+    const { width, height } = canvas;
+    const data = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+    const pixels = [];
+    for (let i = 0; i < width * height; i++) {
+        if (data[i * 4 + 3] > 127) {
+            pixels.push(i);
+        }
+    }
+    if (pixels.length === 0) {
+        throw new Error("The image has no opaque pixels to seed particles from");
+    }
+
+    // Fit the picture into the region, keeping its aspect ratio and centering it
+    const lo = toVector(region.min).multiply(gridSize);
+    const hi = toVector(region.max).multiply(gridSize);
+    const scale = Math.min((hi.x - lo.x) / width, (hi.y - lo.y) / height);
+    const origin = new THREE.Vector2((lo.x + hi.x - width * scale) / 2, (lo.y + hi.y - height * scale) / 2);
+
+    const v = toVector(velocity);
+    const c = color !== undefined ? toColor(color) : null;
+    return {
+        volume: pixels.length * scale * scale * (hi.z - lo.z),
+        sample(random, position, velocity, color) {
+            const pixel = pixels[Math.floor(random() * pixels.length)];
+            const px = pixel % width;
+            const py = Math.floor(pixel / width);
+            position.set(
+                origin.x + (px + random()) * scale,
+                origin.y + (height - py - random()) * scale,
+                lo.z + random() * (hi.z - lo.z),
+            );
+            velocity.copy(v);
+            if (c) {
+                color.copy(c);
+            } else {
+                color.setRGB(data[pixel * 4] / 255, data[pixel * 4 + 1] / 255, data[pixel * 4 + 2] / 255, THREE.SRGBColorSpace);
+            }
+        },
+    };
+};
+
+/**
+ * Collects the world space triangles of every mesh below `object`.
+ */
+const collectTriangles = (object) => {
+    const triangles = [];
+    object.updateMatrixWorld(true);
+    object.traverse(child => {
+        if (!child.isMesh) { return; }
+        const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+        const positions = geometry.attributes.position;
+        for (let i = 0; i < positions.count; i += 3) {
+            const triangle = new THREE.Triangle(
+                new THREE.Vector3().fromBufferAttribute(positions, i),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 1),
+                new THREE.Vector3().fromBufferAttribute(positions, i + 2),
+            );
+            triangle.a.applyMatrix4(child.matrixWorld);
+            triangle.b.applyMatrix4(child.matrixWorld);
+            triangle.c.applyMatrix4(child.matrixWorld);
+            triangles.push(triangle);
+        }
+    });
+    return triangles;
+};
+
+/**
+ * Parses an OBJ (text) or GLB (ArrayBuffer) file into an Object3D.
+ */
+export const loadMesh = async (data) => {
+    if (typeof data === 'string') {
+        return new OBJLoader().parse(data);
+    }
+    const gltf = await new GLTFLoader().parseAsync(data, '');
+    return gltf.scene;
+};
+
+/**
+ * Fills the grid cells inside a closed mesh, fitted into `region` with its aspect ratio kept.
+ * Casts one ray per (y, z) cell row along x and fills between pairs of crossings.
+ * @returns {Int32Array} x, y, z cell triplets
+ */
+export const voxelizeMesh = (object, gridSize, region) => {
+    const triangles = collectTriangles(object);
+    if (triangles.length === 0) {
+        throw new Error("The mesh has no triangles to voxelize");
+    }
+    const bounds = new THREE.Box3();
+    triangles.forEach(t => bounds.expandByPoint(t.a).expandByPoint(t.b).expandByPoint(t.c));
+    const meshSize = bounds.getSize(new THREE.Vector3());
+    const meshCenter = bounds.getCenter(new THREE.Vector3());
+
+    const lo = toVector(region.min).multiply(gridSize);
+    const hi = toVector(region.max).multiply(gridSize);
+    const regionSize = hi.clone().sub(lo);
+    const scale = Math.min(regionSize.x / meshSize.x, regionSize.y / meshSize.y, regionSize.z / meshSize.z);
+    const center = lo.clone().add(hi).multiplyScalar(0.5);
+    const transform = new THREE.Matrix4().makeTranslation(center).multiply(new THREE.Matrix4().makeScale(scale, scale, scale)).multiply(new THREE.Matrix4().makeTranslation(meshCenter.negate()));
+    triangles.forEach(t => { t.a.applyMatrix4(transform); t.b.applyMatrix4(transform); t.c.applyMatrix4(transform); });
+
+    const cells = [];
+    const ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(1, 0, 0));
+    const hit = new THREE.Vector3();
+    const x0 = Math.max(Math.floor(lo.x), 0);
+    const x1 = Math.min(Math.ceil(hi.x), gridSize.x);
+    for (let y = Math.max(Math.floor(lo.y), 0); y < Math.min(Math.ceil(hi.y), gridSize.y); y++) {
+        for (let z = Math.max(Math.floor(lo.z), 0); z < Math.min(Math.ceil(hi.z), gridSize.z); z++) {
+            // Slightly off the cell center so rays don't run exactly through shared edges
+            ray.origin.set(x0 - 1, y + 0.5013, z + 0.4987);
+            const crossings = [];
+            triangles.forEach(t => {
+                if (ray.intersectTriangle(t.a, t.b, t.c, false, hit)) {
+                    crossings.push(hit.x);
+                }
+            });
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                for (let x = Math.max(Math.ceil(crossings[i] - 0.5), x0); x < Math.min(crossings[i + 1] - 0.5, x1); x++) {
+                    cells.push(x, y, z);
+                }
+            }
+        }
+    }
+    if (cells.length === 0) {
+        throw new Error("The mesh is too small or not closed, no cells are inside it");
+    }
+    return new Int32Array(cells);
+};
+
+const textCanvas = (text) => {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    const font = "bold 96px sans-serif";
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = 120;
+    context.font = font;
+    context.textBaseline = "middle";
+    context.fillStyle = "#ffffff";
+    context.fillText(text, 8, canvas.height / 2);
+    return canvas;
+};
+
+const imageCanvas = (image) => {
+    const canvas = document.createElement("canvas");
+    const scale = Math.min(1, 256 / Math.max(image.width, image.height));
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+/**
+ * The available initial conditions. Each builds its sources for a grid size; `options` carries the text and
+ * the user supplied mesh/image (see `conf.initialText`, `conf.initialMesh`, `conf.initialImage`).
+ */
+export const INITIAL_CONDITIONS = {
+    "sphere": async (gridSize) => [
+        blob(gridSize, { center: { x: 0.5, y: 0.5, z: 0.5 }, radius: 0.4 }),
+    ],
+    "blobs": async (gridSize) => [
+        blob(gridSize, { center: { x: 0.3, y: 0.55, z: 0.5 }, radius: 0.18, velocity: { x: 1.2, y: 0, z: 0 }, color: 0xff8a80 }),
+        blob(gridSize, { center: { x: 0.7, y: 0.45, z: 0.5 }, radius: 0.18, velocity: { x: -1.2, y: 0, z: 0 }, color: 0x80d8ff }),
+        blob(gridSize, { center: { x: 0.5, y: 0.8, z: 0.5 }, radius: 0.12, velocity: { x: 0, y: -0.6, z: 0 }, color: 0xfff59d }),
+    ],
+    "boxes": async (gridSize) => [
+        box(gridSize, { min: { x: 0.1, y: 0.05, z: 0.2 }, max: { x: 0.4, y: 0.35, z: 0.8 }, color: 0xef9a9a }),
+        box(gridSize, { min: { x: 0.55, y: 0.05, z: 0.2 }, max: { x: 0.9, y: 0.3, z: 0.8 }, color: 0x90caf9 }),
+        box(gridSize, { min: { x: 0.35, y: 0.55, z: 0.3 }, max: { x: 0.65, y: 0.85, z: 0.7 }, velocity: { x: 0, y: -0.5, z: 0 }, color: 0xa5d6a7 }),
+    ],
+    // Two dyes side by side, for dye mixing
+    "marble": async (gridSize) => [
+        box(gridSize, { min: { x: 0.1, y: 0.3, z: 0.2 }, max: { x: 0.5, y: 0.9, z: 0.8 }, velocity: { x: 0.4, y: 0, z: 0 }, color: 0xff5a5f }),
+        box(gridSize, { min: { x: 0.5, y: 0.3, z: 0.2 }, max: { x: 0.9, y: 0.9, z: 0.8 }, velocity: { x: -0.4, y: 0, z: 0 }, color: 0x3d8bff }),
+    ],
+    "dam break": async (gridSize) => [
+        box(gridSize, { min: { x: 0.05, y: 0.05, z: 0.05 }, max: { x: 0.4, y: 0.85, z: 0.95 } }),
+    ],
+    "mesh": async (gridSize, { mesh }) => {
+        const object = await loadMesh(mesh ?? boxSmoothObj);
+        const region = { min: { x: 0.2, y: 0.1, z: 0.2 }, max: { x: 0.8, y: 0.7, z: 0.8 } };
+        return [voxels(gridSize, { cells: voxelizeMesh(object, gridSize, region) })];
+    },
+    "text": async (gridSize, { text }) => [
+        extrudedCanvas(gridSize, {
+            canvas: textCanvas(text || " "),
+            region: { min: { x: 0.08, y: 0.35, z: 0.4 }, max: { x: 0.92, y: 0.85, z: 0.6 } },
+        }),
+    ],
+    "image": async (gridSize, { image }) => {
+        if (!image) {
+            throw new Error("No image loaded, use 'load image' first");
+        }
+        return [extrudedCanvas(gridSize, {
+            canvas: imageCanvas(image),
+            region: { min: { x: 0.08, y: 0.2, z: 0.4 }, max: { x: 0.92, y: 0.9, z: 0.6 } },
+        })];
+    },
+};
+
+/**
+ * Builds the sources of an initial condition.
+ */
+export const createInitialCondition = async (name, gridSize, options = {}) => {
+    const build = INITIAL_CONDITIONS[name];
+    if (!build) {
+        throw new Error("Unknown initial condition '" + name + "'");
+    }
+    return build(gridSize, options);
+};
+
+/**
+ * Draws `count` particles from the sources and hands each one to `callback(index, position, velocity, color)`.
+ */
+export const seedParticles = (sources, count, random, callback) => {
+    const totalVolume = sources.reduce((sum, source) => sum + source.volume, 0);
+    const position = new THREE.Vector3();
+    const velocity = new THREE.Vector3();
+    const color = new THREE.Color();
+    for (let i = 0; i < count; i++) {
+        let pick = random() * totalVolume;
+        let source = sources[sources.length - 1];
+        for (let j = 0; j < sources.length; j++) {
+            pick -= sources[j].volume;
+            if (pick <= 0) {
+                source = sources[j];
+                break;
+            }
+        }
+        source.sample(random, position, velocity, color);
+        callback(i, position, velocity, color);
+    }
+};
@@ -0,0 +1,326 @@
+import * as THREE from "three/webgpu";
+import {
+    array,
+    atomicAdd,
+    atomicLoad,
+    atomicStore,
+    Break,
+    float,
+    Fn,
+    If,
+    instancedArray,
+    instanceIndex,
+    int,
+    ivec3,
+    Loop,
+    max,
+    min,
+    mix,
+    mrt,
+    Return,
+    storage,
+    transformNormalToView,
+    uint,
+    uniform,
+    varying,
+    vec3,
+    vec4,
+    vertexIndex,
+} from "three/tsl";
+import {conf} from "../conf";
+import {StructuredArray} from "./structuredArray.js";
+import {CORNER_OFFSETS, EDGE_VERTICES, MAX_TRIANGLES_PER_VOXEL, TRI_TABLE} from "./marchingCubesTables.js";
+
+class MarchingCubesRenderer {
+    mlsMpmSim = null;
+    renderer = null;
+    object = null;
+    bloom = false;
+    resolution = 0;
+    numParticles = 0;
+    maxVertices = Math.floor(1024 * 1024 * 2 / 3) * 3; // Whole triangles, the clamped vertex count never ends mid-triangle
+    fixedPointMultiplier = 1e5;
+    volumeSize = new THREE.Vector3();
+    uniforms = {};
+    kernels = {};
+
+    constructor(mlsMpmSim, renderer) {
+        this.mlsMpmSim = mlsMpmSim;
+        this.renderer = renderer;
+
+        this.uniforms.isoLevel = uniform(0.5);
+        this.uniforms.smoothness = uniform(2.0);
+        this.uniforms.numParticles = uniform(0, "uint");
+        this.uniforms.volumeSize = uniform(this.volumeSize, "ivec3");
+        this.uniforms.volumeScale = uniform(new THREE.Vector3());
+        this.uniforms.splatNormalization = uniform(1.0);
+
+        this.vertexCounter = instancedArray(1, 'uint').label('mcVertexCounter').toAtomic();
+        this.triTable = instancedArray(new Int32Array(TRI_TABLE), 'int').label('mcTriTable');
+
+        // [vertexCount, instanceCount, firstVertex, firstInstance], filled on the GPU
+        this.drawIndirect = new THREE.IndirectStorageBufferAttribute(new Uint32Array([0, 1, 0, 0]), 1);
+        this.drawBuffer = storage(this.drawIndirect, 'uint', 4).label('mcDrawIndirect');
+
+        this.kernels.finalize = Fn(() => {
+            const count = atomicLoad(this.vertexCounter.element(0));
+            this.drawBuffer.element(0).assign(min(count, uint(this.maxVertices)));
+            this.drawBuffer.element(1).assign(uint(1));
+        })().compute(1);
+
+        this.createMesh();
+    }
+
+    // The mesh output takes ~96 MB, so it is only allocated once the surface is first shown
+    createOutput() {
+        // Written by the marching cubes kernel, read by the vertex shader
+        this.positionBuffer = instancedArray(this.maxVertices, 'vec4').label('mcPositions');
+        this.normalBuffer = instancedArray(this.maxVertices, 'vec4').label('mcNormals');
+        this.colorBuffer = instancedArray(this.maxVertices, 'vec4').label('mcColors');
+
+        const vNormal = varying(vec3(0), "v_mcNormal");
+        const vColor = varying(vec3(0), "v_mcColor");
+        this.material.positionNode = Fn(() => {
+            // Undo the z squash on the normal (inverse transpose of the scale)
+            const normal = this.normalBuffer.element(vertexIndex).xyz.div(this.mlsMpmSim.domain.uniforms.positionScale).normalize();
+            vNormal.assign(transformNormalToView(normal));
+            vColor.assign(this.colorBuffer.element(vertexIndex).xyz);
+            return this.positionBuffer.element(vertexIndex).xyz.mul(this.mlsMpmSim.domain.uniforms.positionScale);
+        })();
+        this.material.normalNode = vNormal.normalize();
+        this.material.colorNode = vColor;
+        this.material.needsUpdate = true;
+    }
+
+    createVolume(resolution) {
+        Object.values(this.kernels).forEach(kernel => { if (kernel !== this.kernels.finalize) { kernel.dispose(); } });
+        if (this.volumeBuffer) {
+            this.mlsMpmSim.particleBuffer.removeUsers(this.kernels.splat);
+            this.volumeBuffer.dispose(this.renderer);
+        }
+        this.resolution = resolution;
+
+        // The volume spans the simulation grid with `resolution` voxels along the grid's longest axis
+        const {gridSize} = this.mlsMpmSim;
+        const maxGridSize = Math.max(gridSize.x, gridSize.y, gridSize.z);
+        this.volumeSize.copy(gridSize).multiplyScalar(resolution / maxGridSize).round();
+        this.uniforms.volumeScale.value.copy(this.volumeSize).divide(gridSize);
+        const volumeSize = this.volumeSize.clone();
+
+        const cellCount = volumeSize.x * volumeSize.y * volumeSize.z;
+        const voxelCount = (volumeSize.x - 1) * (volumeSize.y - 1) * (volumeSize.z - 1);
+        const volumeStruct = {
+            density: { type: 'int', atomic: true },
+            r: { type: 'int', atomic: true },
+            g: { type: 'int', atomic: true },
+            b: { type: 'int', atomic: true },
+        };
+        this.volumeBuffer = new StructuredArray(volumeStruct, cellCount, "mcVolume");
+
+        const setVolumeAtomic = (value) => {
+            Object.keys(volumeStruct).forEach(key => this.volumeBuffer.setAtomic(key, value));
+        };
+        const encodeFixedPoint = (f32) => {
+            return int(f32.mul(this.fixedPointMultiplier));
+        };
+        const decodeFixedPoint = (i32) => {
+            return float(i32).div(this.fixedPointMultiplier);
+        };
+        const getCellPtr = (ipos) => {
+            const size = this.uniforms.volumeSize;
+            return int(ipos.x).mul(size.y).mul(size.z).add(int(ipos.y).mul(size.z)).add(int(ipos.z));
+        };
+        const getCell = (ipos) => {
+            const clamped = ivec3(ipos).clamp(ivec3(0), this.uniforms.volumeSize.sub(1));
+            return this.volumeBuffer.element(getCellPtr(clamped));
+        };
+
+        this.kernels.clearVolume = Fn(() => {
+            setVolumeAtomic(false);
+
+            If(instanceIndex.equal(uint(0)), () => {
+                atomicStore(this.vertexCounter.element(0), uint(0));
+            });
+            If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
+                Return();
+            });
+            const cell = this.volumeBuffer.element(instanceIndex);
+            cell.get('density').assign(0);
+            cell.get('r').assign(0);
+            cell.get('g').assign(0);
+            cell.get('b').assign(0);
+        })().compute(cellCount);
+
+        this.kernels.splat = Fn(() => {
+            setVolumeAtomic(true);
+
+            If(instanceIndex.greaterThanEqual(this.uniforms.numParticles), () => {
+                Return();
+            });
+            const particle = this.mlsMpmSim.particleBuffer.element(instanceIndex);
+            If(particle.get('alive').equal(int(0)), () => {
+                Return();
+            });
+            const volumePosition = particle.get('position').mul(this.uniforms.volumeScale).toConst("volumePosition");
+            const color = particle.get('shade').toConst("color");
+
+            const radius = this.uniforms.smoothness;
+            const extent = int(radius.ceil()).toConst("extent");
+            const centerCell = ivec3(volumePosition).toConst("centerCell");
+            Loop({ start: extent.negate(), end: extent, type: 'int', name: 'dx', condition: '<=' }, ({dx}) => {
+                Loop({ start: extent.negate(), end: extent, type: 'int', name: 'dy', condition: '<=' }, ({dy}) => {
+                    Loop({ start: extent.negate(), end: extent, type: 'int', name: 'dz', condition: '<=' }, ({dz}) => {
+                        const cellX = centerCell.add(ivec3(dx, dy, dz)).toConst("cellX");
+                        const inside = cellX.x.greaterThanEqual(0).and(cellX.y.greaterThanEqual(0)).and(cellX.z.greaterThanEqual(0))
+                            .and(cellX.x.lessThan(this.uniforms.volumeSize.x)).and(cellX.y.lessThan(this.uniforms.volumeSize.y)).and(cellX.z.lessThan(this.uniforms.volumeSize.z));
+                        const dist = vec3(cellX).add(0.5).sub(volumePosition).length();
+                        const weight = max(0.0, float(1).sub(dist.div(radius))).pow(3).mul(this.uniforms.splatNormalization).toConst("weight");
+                        If(inside.and(weight.greaterThan(0.001)), () => {
+                            const cell = this.volumeBuffer.element(getCellPtr(cellX));
+                            atomicAdd(cell.get('density'), encodeFixedPoint(weight));
+                            atomicAdd(cell.get('r'), encodeFixedPoint(color.x.mul(weight)));
+                            atomicAdd(cell.get('g'), encodeFixedPoint(color.y.mul(weight)));
+                            atomicAdd(cell.get('b'), encodeFixedPoint(color.z.mul(weight)));
+                        });
+                    });
+                });
+            });
+        })().compute(1);
+        this.mlsMpmSim.particleBuffer.addUsers(this.kernels.splat);
+
+        this.kernels.marchingCubes = Fn(() => {
+            setVolumeAtomic(false);
+
+            If(instanceIndex.greaterThanEqual(uint(voxelCount)), () => {
+                Return();
+            });
+            const cornerOffsets = array(CORNER_OFFSETS.map(o => ivec3(...o))).toConst("cornerOffsets");
+            const edgeStart = array(EDGE_VERTICES.map(e => int(e[0]))).toConst("edgeStart");
+            const edgeEnd = array(EDGE_VERTICES.map(e => int(e[1]))).toConst("edgeEnd");
+            const innerSize = this.uniforms.volumeSize.sub(1).toConst("innerSize");
+            const vx = int(instanceIndex).div(innerSize.z).div(innerSize.y);
+            const vy = int(instanceIndex).div(innerSize.z).mod(innerSize.y);
+            const vz = int(instanceIndex).mod(innerSize.z);
+            const voxel = ivec3(vx, vy, vz).toConst("voxel");
+
+            const density = (ipos) => decodeFixedPoint(getCell(ipos).get('density'));
+            const gradient = (ipos) => vec3(
+                density(ipos.add(ivec3(1,0,0))).sub(density(ipos.sub(ivec3(1,0,0)))),
+                density(ipos.add(ivec3(0,1,0))).sub(density(ipos.sub(ivec3(0,1,0)))),
+                density(ipos.add(ivec3(0,0,1))).sub(density(ipos.sub(ivec3(0,0,1)))),
+            );
+            const cellColor = (ipos) => {
+                const cell = getCell(ipos);
+                const weight = max(decodeFixedPoint(cell.get('density')), 0.0001);
+                return vec3(decodeFixedPoint(cell.get('r')), decodeFixedPoint(cell.get('g')), decodeFixedPoint(cell.get('b'))).div(weight);
+            };
+
+            const cornerDensity = array('float', 8).toVar("cornerDensity");
+            const cubeIndex = int(0).toVar("cubeIndex");
+            Loop({ start: 0, end: 8, type: 'int', name: 'i', condition: '<' }, ({i}) => {
+                const d = density(voxel.add(cornerOffsets.element(i))).toConst();
+                cornerDensity.element(i).assign(d);
+                If(d.lessThan(this.uniforms.isoLevel), () => {
+                    cubeIndex.assign(cubeIndex.bitOr(int(1).shiftLeft(i)));
+                });
+            });
+            If(cubeIndex.equal(0).or(cubeIndex.equal(255)), () => {
+                Return();
+            });
+
+            Loop({ start: 0, end: MAX_TRIANGLES_PER_VOXEL, type: 'int', name: 't', condition: '<' }, ({t}) => {
+                const triPtr = cubeIndex.mul(16).add(t.mul(3)).toConst("triPtr");
+                If(this.triTable.element(triPtr).lessThan(0), () => {
+                    Break();
+                });
+                const baseIndex = atomicAdd(this.vertexCounter.element(0), uint(3)).toConst("baseIndex");
+                If(baseIndex.add(3).greaterThan(uint(this.maxVertices)), () => {
+                    Break();
+                });
+
+                Loop({ start: 0, end: 3, type: 'int', name: 'k', condition: '<' }, ({k}) => {
+                    const edge = this.triTable.element(triPtr.add(k)).toConst("edge");
+                    const a = edgeStart.element(edge).toConst("a");
+                    const b = edgeEnd.element(edge).toConst("b");
+                    const cellA = voxel.add(cornerOffsets.element(a)).toConst("cellA");
+                    const cellB = voxel.add(cornerOffsets.element(b)).toConst("cellB");
+                    const dA = cornerDensity.element(a);
+                    const dB = cornerDensity.element(b);
+                    const f = this.uniforms.isoLevel.sub(dA).div(dB.sub(dA)).clamp(0, 1).toConst("f");
+
+                    // Volume cell centers sit at +0.5, then scale back into simulation grid space
+                    const position = mix(vec3(cellA), vec3(cellB), f).add(0.5).div(this.uniforms.volumeScale);
+                    // Density grows towards the inside, so the outward normal is the negated gradient
+                    const normal = mix(gradient(cellA), gradient(cellB), f).negate().normalize();
+                    const color = mix(cellColor(cellA), cellColor(cellB), f);
+
+                    const vertex = baseIndex.add(uint(k));
+                    this.positionBuffer.element(vertex).assign(vec4(position, 1));
+                    this.normalBuffer.element(vertex).assign(vec4(normal, 0));
+                    this.colorBuffer.element(vertex).assign(vec4(color, 1));
+                });
+            });
+        })().compute(voxelCount);
+
+        this.numParticles = 0;
+    }
+
+    createMesh() {
+        // Vertex count comes from the indirect buffer, the position attribute is just a placeholder; the
+        // vertex nodes are set up in createOutput()
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3, false));
+        this.geometry.setIndirect(this.drawIndirect);
+
+        this.material = new THREE.MeshStandardNodeMaterial({
+            roughness: 0.85,
+            metalness: 0.0,
+            side: THREE.DoubleSide,
+        });
+
+        this.object = new THREE.Mesh(this.geometry, this.material);
+        this.object.frustumCulled = false;
+
+        this.mlsMpmSim.domain.applyTo(this.object);
+        this.object.castShadow = true;
+        this.object.receiveShadow = true;
+    }
+
+    async update() {
+        const { bloom, surfaceIsoLevel, surfaceSmoothness, surfaceResolution } = conf;
+        this.uniforms.isoLevel.value = surfaceIsoLevel;
+        this.uniforms.smoothness.value = surfaceSmoothness;
+
+        if (!this.positionBuffer) {
+            this.createOutput();
+        }
+        if (surfaceResolution !== this.resolution) {
+            this.createVolume(surfaceResolution);
+        }
+
+        // The cubic kernel integrates to PI*r^3/15 voxels. Dividing by that and by the voxels per grid cell
+        // makes the splatted density read as "particles per simulation cell", independent of radius and resolution.
+        const { volumeScale } = this.uniforms;
+        const kernelIntegral = Math.PI * Math.pow(surfaceSmoothness, 3) / 15;
+        this.uniforms.splatNormalization.value = volumeScale.value.x * volumeScale.value.y * volumeScale.value.z / kernelIntegral;
+
+        const { numParticles } = this.mlsMpmSim;
+        if (numParticles !== this.numParticles) {
+            this.numParticles = numParticles;
+            this.uniforms.numParticles.value = numParticles;
+            this.kernels.splat.count = numParticles;
+            this.kernels.splat.updateDispatchCount();
+        }
+
+        if (bloom !== this.bloom) {
+            this.bloom = bloom;
+            this.material.mrtNode = bloom ? mrt( {
+                bloomIntensity: 1
+            } ) : null;
+        }
+
+        const kernels = [this.kernels.clearVolume, this.kernels.splat, this.kernels.marchingCubes, this.kernels.finalize];
+        await this.renderer.computeAsync(kernels);
+    }
+}
+export default MarchingCubesRenderer;
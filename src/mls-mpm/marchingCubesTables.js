@@ -0,0 +1,21 @@
+import {triTable} from "three/examples/jsm/objects/MarchingCubes.js";
+
+// Classic Paul Bourke marching cubes tables, as shipped with three.js.
+// A corner contributes its bit to the cube index when its density is BELOW the iso level.
+export const TRI_TABLE = triTable;
+
+// Corner offsets in voxel space, indexed by corner bit (0-7)
+export const CORNER_OFFSETS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],  // Bottom corners
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1],  // Top corners
+];
+
+// Edge to corner mapping: which two corners each of the 12 edges connects
+export const EDGE_VERTICES = [
+    [0, 1], [1, 2], [2, 3], [3, 0],  // Bottom face edges
+    [4, 5], [5, 6], [6, 7], [7, 4],  // Top face edges
+    [0, 4], [1, 5], [2, 6], [3, 7],  // Vertical edges
+];
+
+// Max triangles a single voxel can emit
+export const MAX_TRIANGLES_PER_VOXEL = 5;
@@ -0,0 +1,176 @@
+import {abs, cross, dot, exp, float, If, log, mat3, max, select, sqrt, vec3} from "three/tsl";
+
+// Material ids stored per particle in `particleStruct.material`
+export const MATERIALS = {
+    fluid: 0,
+    jelly: 1,
+    snow: 2,
+    sand: 3,
+};
+
+// conf.material -> simulator materialMode uniform, "sand on jelly" layers sand over a jelly base
+export const MATERIAL_MODES = {
+    fluid: 0,
+    jelly: 1,
+    snow: 2,
+    sand: 3,
+    "sand on jelly": 4,
+};
+
+// Snow plasticity (Stomakhin et al. 2013)
+const SNOW_CRITICAL_COMPRESSION = 2.5e-2;
+const SNOW_CRITICAL_STRETCH = 7.5e-3;
+const SNOW_HARDENING = 10.0;
+
+export const identity = () => mat3(1,0,0, 0,1,0, 0,0,1);
+
+// a * b^T
+const outer = (a, b) => mat3(a.mul(b.x), a.mul(b.y), a.mul(b.z));
+
+const determinant = (F) => dot(F.element(0), cross(F.element(1), F.element(2)));
+
+/**
+ * Lamé parameters from Young's modulus and Poisson ratio.
+ * @returns {{mu: number, lambda: number}}
+ */
+export const lameParameters = (youngsModulus, poissonRatio) => {
+    const mu = youngsModulus / (2 * (1 + poissonRatio));
+    const lambda = youngsModulus * poissonRatio / ((1 + poissonRatio) * (1 - 2 * poissonRatio));
+    return { mu, lambda };
+};
+
+/**
+ * Drucker-Prager cone coefficient for a friction angle in degrees (Klár et al. 2016).
+ */
+export const frictionAlpha = (frictionAngle) => {
+    const s = Math.sin(frictionAngle * Math.PI / 180);
+    return Math.sqrt(2 / 3) * 2 * s / (3 - s);
+};
+
+/**
+ * Singular value decomposition F = U * diag(sigma) * V^T of a 3x3 matrix.
+ * Diagonalizes F^T F with a fixed number of cyclic Jacobi sweeps, then recovers U = F V / sigma.
+ * Must be called inside a Fn, returns TSL vars.
+ */
+export const svd3 = (F, sweeps = 4) => {
+    const c0 = F.element(0).toConst();
+    const c1 = F.element(1).toConst();
+    const c2 = F.element(2).toConst();
+
+    // Symmetric A = F^T F, stored as its upper triangle
+    const a = [
+        [dot(c0, c0).toVar(), dot(c0, c1).toVar(), dot(c0, c2).toVar()],
+        [null, dot(c1, c1).toVar(), dot(c1, c2).toVar()],
+        [null, null, dot(c2, c2).toVar()],
+    ];
+    const A = (i, j) => i <= j ? a[i][j] : a[j][i];
+    const v = [vec3(1,0,0).toVar(), vec3(0,1,0).toVar(), vec3(0,0,1).toVar()];
+
+    const rotate = (p, q, r) => {
+        const apq = A(p, q);
+        If(abs(apq).greaterThan(1e-9), () => {
+            const theta = A(q, q).sub(A(p, p)).div(apq.mul(2.0)).toConst();
+            const t = select(theta.greaterThanEqual(0.0), float(1.0), float(-1.0)).div(abs(theta).add(sqrt(theta.mul(theta).add(1.0)))).toConst();
+            const c = float(1.0).div(sqrt(t.mul(t).add(1.0))).toConst();
+            const s = t.mul(c).toConst();
+
+            const arp = A(r, p).toConst();
+            const arq = A(r, q).toConst();
+            A(p, p).subAssign(t.mul(apq));
+            A(q, q).addAssign(t.mul(apq));
+            A(r, p).assign(c.mul(arp).sub(s.mul(arq)));
+            A(r, q).assign(s.mul(arp).add(c.mul(arq)));
+            apq.assign(0.0);
+
+            const vp = v[p].toConst();
+            const vq = v[q].toConst();
+            v[p].assign(vp.mul(c).sub(vq.mul(s)));
+            v[q].assign(vp.mul(s).add(vq.mul(c)));
+        });
+    };
+    for (let i = 0; i < sweeps; i++) {
+        rotate(0, 1, 2);
+        rotate(0, 2, 1);
+        rotate(1, 2, 0);
+    }
+
+    const sigma = sqrt(max(vec3(A(0,0), A(1,1), A(2,2)), vec3(0.0))).toVar();
+    const u0 = F.mul(v[0]).div(max(sigma.x, 1e-6)).toVar();
+    const u1 = F.mul(v[1]).div(max(sigma.y, 1e-6)).toVar();
+    // A collapsed third stretch would divide by ~0, complete the basis instead
+    const u2 = select(sigma.z.greaterThan(1e-4), F.mul(v[2]).div(max(sigma.z, 1e-6)), cross(u0, u1)).toVar();
+
+    return { U: [u0, u1, u2], sigma, V: v };
+};
+
+/**
+ * U * diag(s) * V^T
+ */
+export const recompose = (U, s, V) => {
+    return outer(U[0], V[0]).mul(s.x).add(outer(U[1], V[1]).mul(s.y)).add(outer(U[2], V[2]).mul(s.z));
+};
+
+/**
+ * Kirchhoff stress of a compressible neo-Hookean solid (jelly).
+ */
+export const neoHookeanStress = (F, mu, lambda) => {
+    const J = max(determinant(F), 0.05);
+    return F.mul(F.transpose()).sub(identity()).mul(mu).add(identity().mul(log(J).mul(lambda)));
+};
+
+/**
+ * Snow return mapping: clamps the singular values of F into the elastic band and moves the
+ * excess into the plastic volume ratio Jp.
+ * @returns {{F: Node<mat3>, Jp: Node<float>}}
+ */
+export const snowPlasticity = (F, Jp) => {
+    const { U, sigma, V } = svd3(F);
+    const clamped = sigma.clamp(1.0 - SNOW_CRITICAL_COMPRESSION, 1.0 + SNOW_CRITICAL_STRETCH).toConst();
+    const ratio = sigma.div(clamped);
+    const newJp = Jp.mul(ratio.x).mul(ratio.y).mul(ratio.z).clamp(0.6, 20.0);
+    return { F: recompose(U, clamped, V), Jp: newJp };
+};
+
+/**
+ * Kirchhoff stress of fixed-corotated snow, with Lamé parameters hardened by compaction.
+ */
+export const snowStress = (F, Jp, mu, lambda) => {
+    const { U, sigma, V } = svd3(F);
+    const hardening = exp(float(1.0).sub(Jp).mul(SNOW_HARDENING)).clamp(0.1, 5.0).toConst();
+    const J = sigma.x.mul(sigma.y).mul(sigma.z).toConst();
+    const R = recompose(U, vec3(1.0), V);
+    const corotated = F.sub(R).mul(F.transpose()).mul(hardening.mul(mu).mul(2.0));
+    return corotated.add(identity().mul(hardening.mul(lambda).mul(J).mul(J.sub(1.0))));
+};
+
+/**
+ * Drucker-Prager return mapping in Hencky strain space (Klár et al. 2016).
+ * Expansion projects to the cone tip (stress free), otherwise the deviatoric strain is
+ * shrunk until the state lies on the friction cone.
+ */
+export const sandPlasticity = (F, mu, lambda, alpha) => {
+    const { U, sigma, V } = svd3(F);
+    const epsilon = log(max(sigma, vec3(1e-4))).toVar();
+    const trace = epsilon.x.add(epsilon.y).add(epsilon.z).toConst();
+    const deviatoric = epsilon.sub(trace.div(3.0)).toConst();
+    const deviatoricNorm = deviatoric.length().toConst();
+    const deltaGamma = deviatoricNorm.add(trace.mul(alpha).mul(float(lambda).mul(3.0).add(float(mu).mul(2.0))).div(float(mu).mul(2.0))).toConst();
+
+    If(trace.greaterThanEqual(0.0), () => {
+        epsilon.assign(vec3(0.0));
+    }).ElseIf(deltaGamma.greaterThan(0.0).and(deviatoricNorm.greaterThan(1e-8)), () => {
+        epsilon.subAssign(deviatoric.mul(deltaGamma.div(deviatoricNorm)));
+    });
+    return recompose(U, exp(epsilon), V);
+};
+
+/**
+ * Kirchhoff stress of the St. Venant-Kirchhoff model in Hencky strain, used for sand.
+ */
+export const sandStress = (F, mu, lambda) => {
+    const { U, sigma } = svd3(F);
+    const epsilon = log(max(sigma, vec3(1e-4))).toConst();
+    const trace = epsilon.x.add(epsilon.y).add(epsilon.z);
+    const principal = epsilon.mul(float(mu).mul(2.0)).add(trace.mul(lambda)).toConst();
+    return outer(U[0], U[0]).mul(principal.x).add(outer(U[1], U[1]).mul(principal.y)).add(outer(U[2], U[2]).mul(principal.z));
+};
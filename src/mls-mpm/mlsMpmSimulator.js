@@ -13,18 +13,48 @@ import {
     vec3,
     vec4,
     atomicAdd,
+    atomicMax,
+    atomicStore,
     uint,
     max,
     pow,
     mat3,
     clamp,
-    time,
-    cross, mix, mx_hsvtorgb, select, ivec3
+    mix, mx_hsvtorgb, select, ivec3, localId, cross
 } from "three/tsl";
-import {triNoise3Dvec} from "../common/noise";
 import {conf} from "../conf";
 import {StructuredArray} from "./structuredArray.js";
-import {hsvtorgb} from "../common/hsv.js";
+import Colliders from "./colliders.js";
+import Domain from "./domain.js";
+import Emitters from "./emitters.js";
+import ForceFields from "./forceFields.js";
+import Palette from "./palette.js";
+import Brushes from "./brushes.js";
+import {
+    BLOCK_SIZE,
+    FixedPointGrid,
+    FloatAtomicGrid,
+    SATURATION_LIMIT,
+    sharedScatter,
+    supportsFloatAtomics,
+    WORKGROUP_SIZE
+} from "./gridAccumulator.js";
+import {FIXED_POINT_INITIAL, nextFixedPointScale} from "./fixedPointScale.js";
+import ParticleSorter from "./particleSorter.js";
+import {createInitialCondition, seedParticles} from "./initialConditions.js";
+import {createRandom} from "../common/random.js";
+import {
+    frictionAlpha,
+    identity,
+    lameParameters,
+    MATERIAL_MODES,
+    MATERIALS,
+    neoHookeanStress,
+    sandPlasticity,
+    sandStress,
+    snowPlasticity,
+    snowStress
+} from "./materials.js";
 
 class mlsMpmSimulator {
     renderer = null;
@@ -33,16 +63,36 @@ class mlsMpmSimulator {
     gridCellSize = new THREE.Vector3(0,0,0);
     uniforms = {};
     kernels = {};
-    fixedPointMultiplier = 1e7;
-    mousePos = new THREE.Vector3();
-    mousePosArray = [];
+    material = null;
+    noiseSeed = null;
+    maxSpeed = 0; // Largest particle speed of the last step, in cells per unit of dt
+    maxVorticity = 0; // Largest grid vorticity magnitude of the last step, in 1 / unit of dt
+    statsReadback = null; // stepStats readback of an interactive frame that is still in flight
+    pendingStats = null;  // Its result, applied by the next update
+    substeps = 1;
+    gridMode = "fixed";
+    lastSaturationWarning = -Infinity;
+    colliders = null;
+    domain = null;
+    emitters = null;
+    sorter = null;
+    forceFields = null;
+    brushes = null;
 
     constructor(renderer) {
         this.renderer = renderer;
+        const { gridResolution, domainSize, depthScale } = conf;
+        this.domain = new Domain(gridResolution, domainSize, depthScale);
+        this.colliders = new Colliders(this.domain);
+        this.emitters = new Emitters(this);
+        this.forceFields = new ForceFields(this);
+        this.brushes = new Brushes(this);
+        this.palette = new Palette(this);
+        this.sorter = new ParticleSorter(this);
     }
     async init() {
         const {maxParticles} = conf;
-        this.gridSize.set(64,64,64);
+        this.gridSize.copy(this.domain.gridSize);
 
         const particleStruct =  {
             position: { type: 'vec3' },
@@ -51,236 +101,368 @@ class mlsMpmSimulator {
             mass: { type: 'float' },
             C: { type: 'mat3' },
             direction: { type: 'vec3' },
-            color: { type: 'vec3' },
+            color: { type: 'vec3' }, // dye, carried with the particle and mixed through the grid
+            material: { type: 'int' },
+            Jp: { type: 'float' }, // plastic volume ratio (snow)
+            F: { type: 'mat3' }, // elastic deformation gradient
+            shade: { type: 'vec3' }, // displayed color, written by g2p (see palette.js)
+            vorticity: { type: 'float' }, // grid vorticity magnitude around the particle, written by g2p
+            alive: { type: 'int' }, // 0 for free slots in the particle pool
+            age: { type: 'float' }, // seconds since emission
+            pinned: { type: 'int' }, // 1 while held in place by the pin brush
         };
         this.particleBuffer = new StructuredArray(particleStruct, maxParticles, "particleData");
-
-        const vec = new THREE.Vector3();
-        for (let i = 0; i < maxParticles; i++) {
-            let dist = 2;
-            while (dist > 1) {
-                vec.set(Math.random(),Math.random(),Math.random()).multiplyScalar(2.0).subScalar(1.0);
-                dist = vec.length();
-                vec.multiplyScalar(0.8).addScalar(1.0).divideScalar(2.0).multiply(this.gridSize);
-            }
-            const mass = 1.0 - Math.random() * 0.002;
-            this.particleBuffer.set(i, "position", vec);
-            this.particleBuffer.set(i, "mass", mass);
-        }
+        await this.seed();
 
         const cellCount = this.gridSize.x * this.gridSize.y * this.gridSize.z;
-        const cellStruct ={
-            x: { type: 'int', atomic: true },
-            y: { type: 'int', atomic: true },
-            z: { type: 'int', atomic: true },
-            mass: { type: 'int', atomic: true },
-        };
-        this.cellBuffer = new StructuredArray(cellStruct, cellCount, "cellData");
         this.cellBufferF = instancedArray(cellCount, 'vec4').label('cellDataF');
+        // Average dye per cell in xyz, w = 1 for cells with mass; written while dye mixing is on
+        this.cellDyeBuffer = instancedArray(cellCount, 'vec4').label('cellDye');
+        // Curl of the grid velocity in xyz, its magnitude in w; 0 outside the fluid
+        this.cellVorticityBuffer = instancedArray(cellCount, 'vec4').label('cellVorticity');
+        // Per frame reductions, read back after the last substep:
+        // [0] max particle speed in 1/1000 cells, [1] peak fixed point magnitude, [2] saturated cells (debug mode),
+        // [3] max vorticity magnitude in 1/1000
+        this.stepStats = instancedArray(4, 'uint').label('stepStats').toAtomic();
+
+        this.colliders.init();
 
-        this.uniforms.gravityType = uniform(0, "uint");
-        this.uniforms.gravity = uniform(new THREE.Vector3());
         this.uniforms.stiffness = uniform(0);
         this.uniforms.restDensity = uniform(0);
         this.uniforms.dynamicViscosity = uniform(0);
-        this.uniforms.noise = uniform(0);
+        this.uniforms.noiseOffset = uniform(new THREE.Vector3()); // Shifts the turbulence fields, derived from conf.noiseSeed
+        this.uniforms.mu = uniform(0);
+        this.uniforms.lambda = uniform(0);
+        this.uniforms.frictionAlpha = uniform(0);
+        this.uniforms.materialMode = uniform(0, "int");
 
         this.uniforms.gridSize = uniform(this.gridSize, "ivec3");
         this.uniforms.gridCellSize = uniform(this.gridCellSize);
         this.uniforms.dt = uniform(0.1);
+        this.uniforms.dyeBlend = uniform(0); // Share of the dye replaced by the grid average per substep, 0 = no mixing
+        this.uniforms.vorticityConfinement = uniform(0);
+        this.uniforms.vorticityEnabled = uniform(0, "int"); // 1 while computeVorticity runs, cellVorticityBuffer is stale otherwise
+        this.uniforms.time = uniform(0); // Simulated seconds, drives noise and color cycling instead of the wall clock
         this.uniforms.numParticles = uniform(0, "uint");
 
-        this.uniforms.mouseRayDirection = uniform(new THREE.Vector3());
-        this.uniforms.mouseRayOrigin = uniform(new THREE.Vector3());
-        this.uniforms.mouseForce = uniform(new THREE.Vector3());
-
-        this.kernels.clearGrid = Fn(() => {
-            this.cellBuffer.setAtomic("x", false);
-            this.cellBuffer.setAtomic("y", false);
-            this.cellBuffer.setAtomic("z", false);
-            this.cellBuffer.setAtomic("mass", false);
+        this.uniforms.fixedPointScale = uniform(FIXED_POINT_INITIAL);
+        this.uniforms.debugSaturation = uniform(0, "uint");
 
-            If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
-                Return();
-            });
-
-            this.cellBuffer.element(instanceIndex).get('x').assign(0);
-            this.cellBuffer.element(instanceIndex).get('y').assign(0);
-            this.cellBuffer.element(instanceIndex).get('z').assign(0);
-            this.cellBuffer.element(instanceIndex).get('mass').assign(0);
-            this.cellBufferF.element(instanceIndex).assign(0);
-        })().compute(cellCount);
-
-        const encodeFixedPoint = (f32) => {
-            return int(f32.mul(this.fixedPointMultiplier));
-        }
-        const decodeFixedPoint = (i32) => {
-            return float(i32).div(this.fixedPointMultiplier);
+        // The fixed point grid always exists, the float atomic one where the adapter can compile it
+        this.grids = { fixed: new FixedPointGrid(cellCount, this.uniforms.fixedPointScale) };
+        if (supportsFloatAtomics()) {
+            this.grids.float = new FloatAtomicGrid(cellCount);
         }
 
+        this.kernels.resetStats = Fn(() => {
+            atomicStore(this.stepStats.element(0), uint(0));
+            atomicStore(this.stepStats.element(1), uint(0));
+            atomicStore(this.stepStats.element(2), uint(0));
+            atomicStore(this.stepStats.element(3), uint(0));
+        })().compute(1);
+
         const getCellPtr = (ipos) => {
             const gridSize = this.uniforms.gridSize;
             const cellPtr = int(ipos.x).mul(gridSize.y).mul(gridSize.z).add(int(ipos.y).mul(gridSize.z)).add(int(ipos.z)).toConst();
             return cellPtr;
         };
-        const getCell = (ipos) => {
-            return this.cellBuffer.element(getCellPtr(ipos));
-        };
-
-        this.kernels.p2g1 = Fn(() => {
-            this.cellBuffer.setAtomic("x", true);
-            this.cellBuffer.setAtomic("y", true);
-            this.cellBuffer.setAtomic("z", true);
-            this.cellBuffer.setAtomic("mass", true);
 
-            If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
-                Return();
-            });
-            const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
-            const particleVelocity = this.particleBuffer.element(instanceIndex).get('velocity').xyz.toConst("particleVelocity");
+        const particleActive = () => {
+            return instanceIndex.lessThan(this.uniforms.numParticles).and(this.particleBuffer.element(instanceIndex).get('alive').notEqual(int(0))).toConst("active");
+        };
+        // First cell of the shared P2G tile: the sort block of the workgroup's first particle, minus the halo
+        const tileOrigin = () => {
+            const first = this.particleBuffer.element(instanceIndex.sub(localId.x)).get('position').xyz;
+            return ivec3(first).div(BLOCK_SIZE).mul(BLOCK_SIZE).sub(1).toConst("tileOrigin");
+        };
 
-            const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
-            const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
-            const w0 = float(0.5).mul(float(0.5).sub(cellDiff)).mul(float(0.5).sub(cellDiff));
-            const w1 = float(0.75).sub(cellDiff.mul(cellDiff));
-            const w2 = float(0.5).mul(float(0.5).add(cellDiff)).mul(float(0.5).add(cellDiff));
-            const weights = array([w0,w1,w2]).toConst("weights");
+        // clearGrid, p2g1, p2g2 and updateGrid for one grid encoding, plus the shared memory P2G for fixed point
+        const createGridKernels = (grid) => {
+            const kernels = {};
+            const getCell = (ipos) => {
+                return grid.element(getCellPtr(ipos));
+            };
+            const globalScatter = (cellX, values) => {
+                const cell = getCell(cellX);
+                Object.entries(values).forEach(([member, value]) => grid.add(cell, member, value));
+            };
+
+            kernels.clearGrid = Fn(() => {
+                grid.setAtomic([]);
+
+                If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
+                    Return();
+                });
 
-            const C = this.particleBuffer.element(instanceIndex).get('C').toConst();
-            Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
-                Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
-                    Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
-                        const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
-                        const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
-                        const cellDist = vec3(cellX).add(0.5).sub(particlePosition).toConst("cellDist");
-                        const Q = C.mul(cellDist);
-
-                        const massContrib = weight; // assuming particle mass = 1.0
-                        const velContrib = massContrib.mul(particleVelocity.add(Q)).toConst("velContrib");
-                        const cell = getCell(cellX);
-                        atomicAdd(cell.get('x'), encodeFixedPoint(velContrib.x));
-                        atomicAdd(cell.get('y'), encodeFixedPoint(velContrib.y));
-                        atomicAdd(cell.get('z'), encodeFixedPoint(velContrib.z));
-                        atomicAdd(cell.get('mass'), encodeFixedPoint(massContrib));
+                grid.clear(grid.element(instanceIndex));
+                this.cellBufferF.element(instanceIndex).assign(0);
+                this.cellDyeBuffer.element(instanceIndex).assign(0);
+            })().compute(cellCount);
+
+            const p2g1 = (scatter) => {
+                const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
+                const particleVelocity = this.particleBuffer.element(instanceIndex).get('velocity').xyz.toConst("particleVelocity");
+
+                const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
+                const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
+                const w0 = float(0.5).mul(float(0.5).sub(cellDiff)).mul(float(0.5).sub(cellDiff));
+                const w1 = float(0.75).sub(cellDiff.mul(cellDiff));
+                const w2 = float(0.5).mul(float(0.5).add(cellDiff)).mul(float(0.5).add(cellDiff));
+                const weights = array([w0,w1,w2]).toConst("weights");
+
+                const C = this.particleBuffer.element(instanceIndex).get('C').toConst();
+                const dye = this.particleBuffer.element(instanceIndex).get('color').toConst("dye");
+                Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
+                    Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
+                        Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
+                            const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
+                            const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
+                            const cellDist = vec3(cellX).add(0.5).sub(particlePosition).toConst("cellDist");
+                            const Q = C.mul(cellDist);
+
+                            const massContrib = weight; // assuming particle mass = 1.0
+                            const velContrib = massContrib.mul(particleVelocity.add(Q)).toConst("velContrib");
+                            scatter(cellX, { x: velContrib.x, y: velContrib.y, z: velContrib.z, mass: massContrib });
+                            If(this.uniforms.dyeBlend.greaterThan(0), () => {
+                                const dyeContrib = dye.mul(massContrib).toConst("dyeContrib");
+                                scatter(cellX, { r: dyeContrib.x, g: dyeContrib.y, b: dyeContrib.z });
+                            });
+                        });
                     });
                 });
-            });
-        })().compute(1);
-
-
-        this.kernels.p2g2 = Fn(() => {
-            this.cellBuffer.setAtomic("x", true);
-            this.cellBuffer.setAtomic("y", true);
-            this.cellBuffer.setAtomic("z", true);
-            this.cellBuffer.setAtomic("mass", false);
-
-            If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
-                Return();
-            });
-            const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
-
-            const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
-            const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
-            const w0 = float(0.5).mul(float(0.5).sub(cellDiff)).mul(float(0.5).sub(cellDiff));
-            const w1 = float(0.75).sub(cellDiff.mul(cellDiff));
-            const w2 = float(0.5).mul(float(0.5).add(cellDiff)).mul(float(0.5).add(cellDiff));
-            const weights = array([w0,w1,w2]).toConst("weights");
-
-            const density = float(0).toVar("density");
-            Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
-                Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
-                    Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
-                        const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
-                        const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
-                        const cell = getCell(cellX);
-                        density.addAssign(decodeFixedPoint(cell.get('mass')).mul(weight));
+            };
+            kernels.p2g1 = Fn(() => {
+                grid.setAtomic(["x", "y", "z", "mass", "r", "g", "b"]);
+                If(particleActive().not(), () => {
+                    Return();
+                });
+                p2g1(globalScatter);
+            })().compute(1);
+
+
+            const p2g2 = (scatter) => {
+                const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
+
+                const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
+                const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
+                const w0 = float(0.5).mul(float(0.5).sub(cellDiff)).mul(float(0.5).sub(cellDiff));
+                const w1 = float(0.75).sub(cellDiff.mul(cellDiff));
+                const w2 = float(0.5).mul(float(0.5).add(cellDiff)).mul(float(0.5).add(cellDiff));
+                const weights = array([w0,w1,w2]).toConst("weights");
+
+                const density = float(0).toVar("density");
+                Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
+                    Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
+                        Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
+                            const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
+                            const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
+                            const cell = getCell(cellX);
+                            density.addAssign(grid.load(cell, 'mass').mul(weight));
+                        });
                     });
                 });
-            });
-            const densityStore = this.particleBuffer.element(instanceIndex).get('density');
-            densityStore.assign(mix(densityStore, density, 0.05));
+                const densityStore = this.particleBuffer.element(instanceIndex).get('density');
+                densityStore.assign(mix(densityStore, density, 0.05));
+
+                // Fluids use the Cauchy stress with the current volume, solids the Kirchhoff stress with the rest volume
+                const material = this.particleBuffer.element(instanceIndex).get('material').toConst('material');
+                const F = this.particleBuffer.element(instanceIndex).get('F').toConst('F');
+                const volume = float(1).div(this.uniforms.restDensity).toVar('volume');
+                const stress = mat3(0).toVar('stress');
+                If(material.equal(int(MATERIALS.fluid)), () => {
+                    volume.assign(float(1).div(density));
+                    const pressure = max(0.0, pow(density.div(this.uniforms.restDensity), 5.0).sub(1).mul(this.uniforms.stiffness)).toConst('pressure');
+                    stress.assign(mat3(pressure.negate(), 0, 0, 0, pressure.negate(), 0, 0, 0, pressure.negate()));
+                    const dudv = this.particleBuffer.element(instanceIndex).get('C').toConst('C');
+
+                    const strain = dudv.add(dudv.transpose());
+                    stress.addAssign(strain.mul(this.uniforms.dynamicViscosity));
+                }).ElseIf(material.equal(int(MATERIALS.jelly)), () => {
+                    stress.assign(neoHookeanStress(F, this.uniforms.mu, this.uniforms.lambda));
+                }).ElseIf(material.equal(int(MATERIALS.snow)), () => {
+                    const Jp = this.particleBuffer.element(instanceIndex).get('Jp');
+                    stress.assign(snowStress(F, Jp, this.uniforms.mu, this.uniforms.lambda));
+                }).Else(() => {
+                    stress.assign(sandStress(F, this.uniforms.mu, this.uniforms.lambda));
+                });
+                const eq16Term0 = volume.mul(-4).mul(stress).mul(this.uniforms.dt);
+
+                Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
+                    Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
+                        Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
+                            const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
+                            const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
+                            const cellDist = vec3(cellX).add(0.5).sub(particlePosition).toConst("cellDist");
+
+                            const momentum = eq16Term0.mul(weight).mul(cellDist).toConst("momentum");
+                            scatter(cellX, { x: momentum.x, y: momentum.y, z: momentum.z });
+                        });
+                    });
+                });
+            };
+            kernels.p2g2 = Fn(() => {
+                grid.setAtomic(["x", "y", "z"]);
+                If(particleActive().not(), () => {
+                    Return();
+                });
+                p2g2(globalScatter);
+            })().compute(1);
+
+            // Same particle code, but the scatter goes through workgroup memory. Barriers rule out early returns.
+            if (grid.isFixedPoint) {
+                kernels.p2g1Shared = Fn(() => {
+                    grid.setAtomic(["x", "y", "z", "mass", "r", "g", "b"]);
+                    sharedScatter(grid, ["x", "y", "z", "mass", "r", "g", "b"], tileOrigin(), this.uniforms.gridSize, getCell, particleActive(), p2g1);
+                })().compute(1, [WORKGROUP_SIZE]);
+                kernels.p2g2Shared = Fn(() => {
+                    grid.setAtomic(["x", "y", "z"]);
+                    sharedScatter(grid, ["x", "y", "z"], tileOrigin(), this.uniforms.gridSize, getCell, particleActive(), p2g2);
+                })().compute(1, [WORKGROUP_SIZE]);
+            }
 
-            const volume = float(1).div(density);
-            const pressure = max(0.0, pow(density.div(this.uniforms.restDensity), 5.0).sub(1).mul(this.uniforms.stiffness)).toConst('pressure');
-            const stress = mat3(pressure.negate(), 0, 0, 0, pressure.negate(), 0, 0, 0, pressure.negate()).toVar('stress');
-            const dudv = this.particleBuffer.element(instanceIndex).get('C').toConst('C');
 
-            const strain = dudv.add(dudv.transpose());
-            stress.addAssign(strain.mul(this.uniforms.dynamicViscosity));
-            const eq16Term0 = volume.mul(-4).mul(stress).mul(this.uniforms.dt);
+            kernels.updateGrid = Fn(() => {
+                grid.setAtomic([]);
 
-            Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
-                Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
-                    Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
-                        const weight = weights.element(gx).x.mul(weights.element(gy).y).mul(weights.element(gz).z);
-                        const cellX = cellIndex.add(ivec3(gx,gy,gz)).toConst();
-                        const cellDist = vec3(cellX).add(0.5).sub(particlePosition).toConst("cellDist");
-                        const cell= getCell(cellX);
-
-                        const momentum = eq16Term0.mul(weight).mul(cellDist).toConst("momentum");
-                        atomicAdd(cell.get('x'), encodeFixedPoint(momentum.x));
-                        atomicAdd(cell.get('y'), encodeFixedPoint(momentum.y));
-                        atomicAdd(cell.get('z'), encodeFixedPoint(momentum.z));
+                If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
+                    Return();
+                });
+                const cell = grid.element(instanceIndex).toConst("cell");
+
+                if (grid.isFixedPoint) {
+                    // Peak magnitude for the adaptive scale; in debug mode also count cells about to wrap around
+                    const peak = max(max(grid.raw(cell, 'x').abs(), grid.raw(cell, 'y').abs()), max(grid.raw(cell, 'z').abs(), grid.raw(cell, 'mass').abs())).toConst("peak");
+                    // abs() leaves the most negative int negative, it still converts to the largest magnitude
+                    If(peak.notEqual(int(0)), () => {
+                        atomicMax(this.stepStats.element(1), uint(peak));
+                    });
+                    If(this.uniforms.debugSaturation.equal(uint(1)), () => {
+                        If(uint(peak).greaterThanEqual(uint(SATURATION_LIMIT)).or(grid.raw(cell, 'mass').lessThan(int(0))), () => {
+                            atomicAdd(this.stepStats.element(2), uint(1));
+                        });
                     });
+                }
+
+                const mass = grid.load(cell, 'mass').toConst();
+                If(mass.lessThanEqual(0), () => { Return(); });
+
+                const vx = grid.load(cell, 'x').div(mass).toVar();
+                const vy = grid.load(cell, 'y').div(mass).toVar();
+                const vz = grid.load(cell, 'z').div(mass).toVar();
+
+                const x = int(instanceIndex).div(this.uniforms.gridSize.z).div(this.uniforms.gridSize.y);
+                const y = int(instanceIndex).div(this.uniforms.gridSize.z).mod(this.uniforms.gridSize.y);
+                const z = int(instanceIndex).mod(this.uniforms.gridSize.z);
+
+                const collider = this.colliders.closest(vec3(x,y,z));
+                If(collider.distance.lessThan(0.0), () => {
+                    const velocity = vec3(vx,vy,vz).toVar("velocity");
+                    this.colliders.project(collider.index, this.colliders.normal(collider.index, vec3(x,y,z)), velocity);
+                    vx.assign(velocity.x);
+                    vy.assign(velocity.y);
+                    vz.assign(velocity.z);
                 });
-            });
-        })().compute(1);
 
+                If(x.lessThan(int(2)).or(x.greaterThan(this.uniforms.gridSize.x.sub(int(2)))), () => {
+                    vx.assign(0);
+                });
+                If(y.lessThan(int(2)).or(y.greaterThan(this.uniforms.gridSize.y.sub(int(2)))), () => {
+                    vy.assign(0);
+                });
+                If(z.lessThan(int(2)).or(z.greaterThan(this.uniforms.gridSize.z.sub(int(2)))), () => {
+                    vz.assign(0);
+                });
+
+                this.cellBufferF.element(instanceIndex).assign(vec4(vx,vy,vz,mass));
+                If(this.uniforms.dyeBlend.greaterThan(0), () => {
+                    this.cellDyeBuffer.element(instanceIndex).assign(vec4(grid.load(cell, 'r'), grid.load(cell, 'g'), grid.load(cell, 'b'), mass).div(mass));
+                });
+            })().compute(cellCount);
 
-        this.kernels.updateGrid = Fn(() => {
-            this.cellBuffer.setAtomic("x", false);
-            this.cellBuffer.setAtomic("y", false);
-            this.cellBuffer.setAtomic("z", false);
-            this.cellBuffer.setAtomic("mass", false);
+            return kernels;
+        };
+        this.gridKernels = {};
+        Object.entries(this.grids).forEach(([mode, grid]) => {
+            this.gridKernels[mode] = createGridKernels(grid);
+            grid.buffer.addUsers(...Object.values(this.gridKernels[mode]));
+        });
+        Object.assign(this.kernels, this.gridKernels.fixed);
+
+        const cellCoords = () => {
+            const gridSize = this.uniforms.gridSize;
+            return ivec3(
+                int(instanceIndex).div(gridSize.z).div(gridSize.y),
+                int(instanceIndex).div(gridSize.z).mod(gridSize.y),
+                int(instanceIndex).mod(gridSize.z),
+            ).toConst("cellCoords");
+        };
 
+        // Curl of the grid velocity by central differences, after updateGrid. Neighbors without mass count with
+        // the cell's own velocity, so the free surface doesn't show up as a shear layer.
+        this.kernels.computeVorticity = Fn(() => {
             If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
                 Return();
             });
-            const cell = this.cellBuffer.element(instanceIndex).toConst("cell");
-
-            const mass = decodeFixedPoint(cell.get('mass')).toConst();
-            If(mass.lessThanEqual(0), () => { Return(); });
-
-            const vx = decodeFixedPoint(cell.get('x')).div(mass).toVar();
-            const vy = decodeFixedPoint(cell.get('y')).div(mass).toVar();
-            const vz = decodeFixedPoint(cell.get('z')).div(mass).toVar();
-
-            const x = int(instanceIndex).div(this.uniforms.gridSize.z).div(this.uniforms.gridSize.y);
-            const y = int(instanceIndex).div(this.uniforms.gridSize.z).mod(this.uniforms.gridSize.y);
-            const z = int(instanceIndex).mod(this.uniforms.gridSize.z);
+            const vorticity = this.cellVorticityBuffer.element(instanceIndex);
+            vorticity.assign(vec4(0));
+            const cell = this.cellBufferF.element(instanceIndex).toConst("cell");
+            const ipos = cellCoords();
+            const gridSize = this.uniforms.gridSize;
+            If(cell.w.lessThanEqual(0).or(ipos.greaterThanEqual(ivec3(1)).all().not()).or(ipos.lessThan(gridSize.sub(1)).all().not()), () => {
+                Return();
+            });
 
+            const velocity = (offset) => {
+                const neighbor = this.cellBufferF.element(getCellPtr(ipos.add(offset))).toConst();
+                return select(neighbor.w.greaterThan(0), neighbor.xyz, cell.xyz);
+            };
+            const dx = velocity(ivec3(1,0,0)).sub(velocity(ivec3(-1,0,0))).mul(0.5).toConst("dvdx");
+            const dy = velocity(ivec3(0,1,0)).sub(velocity(ivec3(0,-1,0))).mul(0.5).toConst("dvdy");
+            const dz = velocity(ivec3(0,0,1)).sub(velocity(ivec3(0,0,-1))).mul(0.5).toConst("dvdz");
+            const curl = vec3(dy.z.sub(dz.y), dz.x.sub(dx.z), dx.y.sub(dy.x)).toConst("curl");
+            const magnitude = curl.length().toConst("magnitude");
+            vorticity.assign(vec4(curl, magnitude));
+            atomicMax(this.stepStats.element(3), uint(magnitude.min(1e6).mul(1000)));
+        })().compute(cellCount);
 
-            If(x.lessThan(int(2)).or(x.greaterThan(this.uniforms.gridSize.x.sub(int(2)))), () => {
-                vx.assign(0);
-            });
-            If(y.lessThan(int(2)).or(y.greaterThan(this.uniforms.gridSize.y.sub(int(2)))), () => {
-                vy.assign(0);
+        // Vorticity confinement (Fedkiw et al. 2001): adds strength * (N x curl) to the grid velocity, N pointing up
+        // the gradient of the vorticity magnitude, which puts back the swirls the grid transfers smooth out
+        this.kernels.confineVorticity = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
+                Return();
             });
-            If(z.lessThan(int(2)).or(z.greaterThan(this.uniforms.gridSize.z.sub(int(2)))), () => {
-                vz.assign(0);
+            const vorticity = this.cellVorticityBuffer.element(instanceIndex).toConst("vorticity");
+            const ipos = cellCoords();
+            const gridSize = this.uniforms.gridSize;
+            // Leaves the walls alone, where updateGrid zeroed the velocity into them
+            If(vorticity.w.lessThanEqual(0).or(ipos.greaterThanEqual(ivec3(2)).all().not()).or(ipos.lessThanEqual(gridSize.sub(2)).all().not()), () => {
+                Return();
             });
 
-            this.cellBufferF.element(instanceIndex).assign(vec4(vx,vy,vz,mass));
+            const magnitude = (offset) => this.cellVorticityBuffer.element(getCellPtr(ipos.add(offset))).w;
+            const gradient = vec3(
+                magnitude(ivec3(1,0,0)).sub(magnitude(ivec3(-1,0,0))),
+                magnitude(ivec3(0,1,0)).sub(magnitude(ivec3(0,-1,0))),
+                magnitude(ivec3(0,0,1)).sub(magnitude(ivec3(0,0,-1))),
+            ).mul(0.5).toConst("gradient");
+            const N = gradient.div(gradient.length().add(1e-5)).toConst("N");
+            const force = cross(N, vorticity.xyz).mul(this.uniforms.vorticityConfinement);
+            const cell = this.cellBufferF.element(instanceIndex);
+            cell.assign(vec4(cell.xyz.add(force.mul(this.uniforms.dt)), cell.w));
         })().compute(cellCount);
 
         this.kernels.g2p = Fn(() => {
             If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
                 Return();
             });
+            If(this.particleBuffer.element(instanceIndex).get('alive').equal(int(0)), () => {
+                Return();
+            });
             const particleMass = this.particleBuffer.element(instanceIndex).get('mass').toConst("particleMass");
             const particleDensity = this.particleBuffer.element(instanceIndex).get('density').toConst("particleDensity");
             const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toVar("particlePosition");
-            const particleVelocity = vec3(0).toVar();
-            If(this.uniforms.gravityType.equal(uint(2)), () => {
-                const pn = particlePosition.div(vec3(this.uniforms.gridSize.sub(1))).sub(0.5).normalize().toConst();
-                particleVelocity.subAssign(pn.mul(0.3).mul(this.uniforms.dt));
-            }).Else(() => {
-                particleVelocity.addAssign(this.uniforms.gravity.mul(this.uniforms.dt));
-            });
-
-
-            const noise = triNoise3Dvec(particlePosition.mul(0.015), time, 0.11).sub(0.285).normalize().mul(0.28).toVar();
-            particleVelocity.subAssign(noise.mul(this.uniforms.noise).mul(this.uniforms.dt));
+            const previousVelocity = this.particleBuffer.element(instanceIndex).get('velocity').xyz.toConst("previousVelocity");
+            const particleVelocity = this.forceFields.acceleration(particlePosition, previousVelocity).mul(this.uniforms.dt).toVar("particleVelocity");
 
             const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
             const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
@@ -291,6 +473,8 @@ class mlsMpmSimulator {
             const weights = array([w0,w1,w2]).toConst("weights");
 
             const B = mat3(0).toVar("B");
+            const dyeSum = vec4(0).toVar("dyeSum");
+            const vorticity = float(0).toVar("vorticity");
             Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
                 Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
                     Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
@@ -307,18 +491,59 @@ class mlsMpmSimulator {
                         );
                         B.addAssign(term);
                         particleVelocity.addAssign(weightedVelocity);
+                        If(this.uniforms.dyeBlend.greaterThan(0), () => {
+                            dyeSum.addAssign(this.cellDyeBuffer.element(cellPtr).mul(weight));
+                        });
+                        If(this.uniforms.vorticityEnabled.equal(1), () => {
+                            vorticity.addAssign(this.cellVorticityBuffer.element(cellPtr).w.mul(weight));
+                        });
                     });
                 });
             });
 
-            const dist = cross(this.uniforms.mouseRayDirection, particlePosition.mul(vec3(1,1,0.4)).sub(this.uniforms.mouseRayOrigin)).length()
-            const force = dist.mul(0.1).oneMinus().max(0.0).pow(2);
-            //particleVelocity.assign(mix(particleVelocity, this.uniforms.mouseForce.mul(6), force));
-            particleVelocity.addAssign(this.uniforms.mouseForce.mul(1).mul(force));
+            // Dye mixing: the dye moves towards the average of the cells around the particle
+            If(this.uniforms.dyeBlend.greaterThan(0).and(dyeSum.w.greaterThan(0)), () => {
+                const dye = this.particleBuffer.element(instanceIndex).get('color');
+                dye.assign(mix(dye, dyeSum.xyz.div(dyeSum.w), this.uniforms.dyeBlend));
+            });
+            this.particleBuffer.element(instanceIndex).get('vorticity').assign(vorticity);
+
+            const brushHighlight = this.brushes.apply(this.particleBuffer.element(instanceIndex), particlePosition, particleVelocity);
             particleVelocity.mulAssign(particleMass); // to ensure difference between particles
 
-            this.particleBuffer.element(instanceIndex).get('C').assign(B.mul(4));
+            // Pinned particles stay put, the grid still sees their mass
+            const C = B.mul(4).toVar("C");
+            If(this.particleBuffer.element(instanceIndex).get('pinned').notEqual(int(0)), () => {
+                particleVelocity.assign(vec3(0));
+                C.assign(mat3(0));
+            });
+            this.particleBuffer.element(instanceIndex).get('C').assign(C);
+
+            // Advance the deformation gradient of solids and project it back onto their yield surface
+            const material = this.particleBuffer.element(instanceIndex).get('material').toConst("material");
+            If(material.notEqual(int(MATERIALS.fluid)), () => {
+                const FStore = this.particleBuffer.element(instanceIndex).get('F');
+                const F = identity().add(C.mul(this.uniforms.dt)).mul(FStore).toConst("F");
+                If(material.equal(int(MATERIALS.snow)), () => {
+                    const JpStore = this.particleBuffer.element(instanceIndex).get('Jp');
+                    const plastic = snowPlasticity(F, JpStore);
+                    FStore.assign(plastic.F);
+                    JpStore.assign(plastic.Jp);
+                }).ElseIf(material.equal(int(MATERIALS.sand)), () => {
+                    FStore.assign(sandPlasticity(F, this.uniforms.mu, this.uniforms.lambda, this.uniforms.frictionAlpha));
+                }).Else(() => {
+                    FStore.assign(F);
+                });
+            });
             particlePosition.addAssign(particleVelocity.mul(this.uniforms.dt));
+
+            // Particles that ended up inside a collider are moved back onto its surface
+            const collider = this.colliders.closest(particlePosition);
+            If(collider.distance.lessThan(0.0), () => {
+                const normal = this.colliders.normal(collider.index, particlePosition);
+                particlePosition.subAssign(normal.mul(collider.distance));
+                this.colliders.project(collider.index, normal, particleVelocity);
+            });
             particlePosition.assign(clamp(particlePosition, vec3(2), this.uniforms.gridSize.sub(2)));
 
             const wallStiffness = 0.3;
@@ -334,66 +559,329 @@ class mlsMpmSimulator {
 
             this.particleBuffer.element(instanceIndex).get('position').assign(particlePosition)
             this.particleBuffer.element(instanceIndex).get('velocity').assign(particleVelocity)
+            atomicMax(this.stepStats.element(0), uint(particleVelocity.length().min(1e6).mul(1000)));
 
             const direction = this.particleBuffer.element(instanceIndex).get('direction');
             direction.assign(mix(direction,particleVelocity, 0.1));
 
-            const color = hsvtorgb(vec3(particleDensity.div(this.uniforms.restDensity).mul(0.25).add(time.mul(0.05)), particleVelocity.length().mul(0.5).clamp(0,1).mul(0.3).add(0.7), force.mul(0.3).add(0.7)));
-            this.particleBuffer.element(instanceIndex).get('color').assign(color);
+            const color = this.palette.color(this.particleBuffer.element(instanceIndex), particlePosition, particleVelocity, particleDensity, brushHighlight);
+            this.particleBuffer.element(instanceIndex).get('shade').assign(color);
         })().compute(1);
+
+        this.kernels.assignMaterials = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(maxParticles)), () => {
+                Return();
+            });
+            const particle = this.particleBuffer.element(instanceIndex);
+            const mode = this.uniforms.materialMode;
+            const material = mode.toVar("material");
+            If(mode.equal(int(MATERIAL_MODES["sand on jelly"])), () => {
+                const isLower = particle.get('position').y.lessThan(float(this.uniforms.gridSize.y).mul(0.5));
+                material.assign(select(isLower, int(MATERIALS.jelly), int(MATERIALS.sand)));
+            });
+            particle.get('material').assign(material);
+            particle.get('F').assign(identity());
+            particle.get('Jp').assign(1.0);
+        })().compute(maxParticles);
+
+        this.emitters.init();
+        this.sorter.init();
+        this.brushes.init();
+        // StructuredArray.resize() rebuilds these against the new buffers
+        this.particleBuffer.addUsers(...Object.values(this.kernels));
+        Object.values(this.gridKernels).forEach(kernels => this.particleBuffer.addUsers(...Object.values(kernels)));
     }
 
-    setMouseRay(origin, direction, pos) {
-        origin.multiplyScalar(64);
-        pos.multiplyScalar(64);
-        origin.add(new THREE.Vector3(32,0,0));
-        this.uniforms.mouseRayDirection.value.copy(direction.normalize());
-        this.uniforms.mouseRayOrigin.value.copy(origin);
-        this.mousePos.copy(pos);
+    /**
+     * Fills the particle buffer on the CPU from `conf.initialCondition`.
+     * Falls back to the sphere when the chosen condition can't be built (e.g. no image loaded yet).
+     */
+    async seed() {
+        const { maxParticles, initialCondition, initialText, initialMesh, initialImage } = conf;
+        let sources = null;
+        try {
+            sources = await createInitialCondition(initialCondition, this.gridSize, { text: initialText, mesh: initialMesh, image: initialImage });
+        } catch (e) {
+            console.error(e);
+            sources = await createInitialCondition("sphere", this.gridSize);
+        }
+
+        // Same seed, same particles: positions, velocities and the mass jitter all draw from conf.seed
+        const random = createRandom(conf.seed);
+        seedParticles(sources, maxParticles, random, (i, position, velocity, color) => {
+            this.particleBuffer.set(i, "position", position);
+            this.particleBuffer.set(i, "velocity", velocity);
+            this.particleBuffer.set(i, "direction", velocity);
+            this.particleBuffer.set(i, "color", color.toArray());
+            this.particleBuffer.set(i, "shade", color.toArray());
+            this.particleBuffer.set(i, "vorticity", 0);
+            this.particleBuffer.set(i, "mass", 1.0 - random() * 0.002);
+            this.particleBuffer.set(i, "density", 0);
+            this.particleBuffer.set(i, "C", [0,0,0,0, 0,0,0,0, 0,0,0,0]);
+            this.particleBuffer.set(i, "Jp", 1.0);
+            this.particleBuffer.set(i, "F", [1,0,0,0, 0,1,0,0, 0,0,1,0]);
+            this.particleBuffer.set(i, "alive", 1);
+            this.particleBuffer.set(i, "age", 0);
+            this.particleBuffer.set(i, "pinned", 0);
+        });
     }
 
-    async update(interval, elapsed) {
-        const { particles, run, noise, dynamicViscosity, stiffness, restDensity, speed, gravity, gravitySensorReading, accelerometerReading } = conf;
+    /**
+     * Re-seeds all particles without reloading: uploads the new particle data, then materials and the
+     * particle pool are rebuilt on the next update.
+     */
+    async reset() {
+        // Stats of the old scene would move the fixed point scale of the new one
+        await this.statsReadback;
+        this.pendingStats = null;
+        await this.seed();
+        this.particleBuffer.upload();
+        this.material = null;
+        this.emitters.initialCount = -1;
+        this.uniforms.time.value = 0;
+        this.uniforms.fixedPointScale.value = FIXED_POINT_INITIAL;
+    }
 
-        this.uniforms.noise.value = noise;
-        this.uniforms.stiffness.value = stiffness;
-        this.uniforms.gravityType.value = gravity;
-        if (gravity === 0) {
-            this.uniforms.gravity.value.set(0,0,0.2);
-        } else if (gravity === 1) {
-            this.uniforms.gravity.value.set(0,-0.2,0);
-        } else if (gravity === 3) {
-            this.uniforms.gravity.value.copy(gravitySensorReading).add(accelerometerReading);
+    /**
+     * Advances the simulation by one frame of `interval` seconds.
+     * @param {boolean} synchronous waits for the step stats (max speed, fixed point peak) of this frame, so the
+     * next substep count doesn't depend on GPU timing; offline renders need that, interactive frames use the
+     * stats of an earlier frame instead of stalling on the GPU
+     */
+    async update(interval, elapsed, synchronous = false) {
+        const { maxParticles, particles, run, resetRequested, benchmarkRequested, p2gMode, p2gDebug, sortParticles, sortEvery, sharedP2G, adaptiveSteps, cfl, maxSubsteps, noiseSeed, dynamicViscosity, stiffness, restDensity, speed, material, youngsModulus, poissonRatio, frictionAngle } = conf;
+
+        if (resetRequested) {
+            conf.resetRequested = false;
+            await this.reset();
+        }
+
+        if (synchronous) {
+            // Offline frames read their own stats, one still in flight from an interactive frame is dropped
+            await this.statsReadback;
+            this.pendingStats = null;
+        } else if (this.pendingStats) {
+            this.applyStats(this.pendingStats, elapsed);
+            this.pendingStats = null;
+        }
+
+        if (noiseSeed !== this.noiseSeed) {
+            // Seed 0 keeps the original field
+            this.noiseSeed = noiseSeed;
+            const random = createRandom(noiseSeed);
+            this.uniforms.noiseOffset.value.set(random(), random(), random()).multiplyScalar(noiseSeed === 0 ? 0 : 100);
         }
+        this.uniforms.stiffness.value = stiffness;
+        this.forceFields.update(this.uniforms.time.value);
+        this.palette.update();
         this.uniforms.dynamicViscosity.value = dynamicViscosity;
         this.uniforms.restDensity.value = restDensity;
+        this.uniforms.debugSaturation.value = p2gDebug ? 1 : 0;
+        // Sort ranks come from atomics, so the slot order changes from run to run; only the integer grid sums
+        // make the step independent of it
+        this.setGridMode(sortParticles ? "fixed" : p2gMode);
+
+        this.colliders.update();
+
+        const { mu, lambda } = lameParameters(youngsModulus, poissonRatio);
+        this.uniforms.mu.value = mu;
+        this.uniforms.lambda.value = lambda;
+        this.uniforms.frictionAlpha.value = frictionAlpha(frictionAngle);
+
+        if (material !== this.material) {
+            this.material = material;
+            this.uniforms.materialMode.value = MATERIAL_MODES[material];
+            await this.renderer.computeAsync(this.kernels.assignMaterials);
+        }
 
-        if (particles !== this.numParticles) {
-            this.numParticles = particles;
-            this.uniforms.numParticles.value = particles;
-            this.kernels.p2g1.count = particles;
-            this.kernels.p2g1.updateDispatchCount();
-            this.kernels.p2g2.count = particles;
-            this.kernels.p2g2.updateDispatchCount();
-            this.kernels.g2p.count = particles;
+        // With emitters, sinks or lifetimes the live particles are scattered over the whole pool
+        const dynamic = await this.emitters.updatePool();
+        const numParticles = dynamic ? maxParticles : particles;
+        if (numParticles !== this.numParticles) {
+            this.numParticles = numParticles;
+            this.uniforms.numParticles.value = numParticles;
+            Object.values(this.gridKernels).forEach(kernels => {
+                ["p2g1", "p2g2", "p2g1Shared", "p2g2Shared"].filter(name => kernels[name]).forEach(name => {
+                    kernels[name].count = numParticles;
+                    kernels[name].updateDispatchCount();
+                });
+            });
+            this.sorter.setCount(numParticles);
+            this.kernels.g2p.count = numParticles;
             this.kernels.g2p.updateDispatchCount();
         }
 
         interval = Math.min(interval, 1/60);
-        const dt = interval * 6 * speed;
+        const frameDt = interval * 6 * speed;
+        const substeps = adaptiveSteps ? this.stableSubsteps(frameDt, cfl, maxSubsteps, mu, lambda) : 1;
+        const dt = frameDt / substeps;
         this.uniforms.dt.value = dt;
+        // conf.dyeMixing is a rate per unit of simulation time, so it follows speed and substeps like the integrator
+        this.uniforms.dyeBlend.value = conf.dyeMixing > 0 ? 1 - Math.exp(-conf.dyeMixing * dt) : 0;
+        this.uniforms.vorticityConfinement.value = conf.vorticityConfinement;
+        // The curl is only worth a grid pass for the confinement, the vorticity color mode or the visible stat
+        const vorticityNeeded = conf.vorticityConfinement > 0 || conf.colorMode === "vorticity" || conf.statsVisible;
+        this.uniforms.vorticityEnabled.value = vorticityNeeded ? 1 : 0;
+        this.substeps = substeps;
+        conf.substeps = substeps;
+        conf.effectiveDt = dt;
+
+        await this.brushes.update(substeps, synchronous);
+
+        if (benchmarkRequested) {
+            conf.benchmarkRequested = false;
+            await this.benchmarkP2G();
+        }
 
-        this.mousePosArray.push(this.mousePos.clone())
-        if (this.mousePosArray.length > 3) { this.mousePosArray.shift(); }
-        if (this.mousePosArray.length > 1) {
-            this.uniforms.mouseForce.value.copy(this.mousePosArray[this.mousePosArray.length - 1]).sub(this.mousePosArray[0]).divideScalar(this.mousePosArray.length);
+        if (run) {
+            if (sortParticles) {
+                const sortKernels = this.sorter.update(sortEvery, dynamic);
+                if (sortKernels.length > 0) {
+                    await this.renderer.computeAsync(sortKernels);
+                }
+            }
+            const gridKernels = this.gridPassKernels(this.gridMode, sharedP2G);
+            const vorticityKernels = [
+                ...(vorticityNeeded ? [this.kernels.computeVorticity] : []),
+                ...(conf.vorticityConfinement > 0 ? [this.kernels.confineVorticity] : []),
+            ];
+            // One submission per substep, the emitters change buffers and uniforms in between
+            for (let i = 0; i < substeps; i++) {
+                const kernels = [
+                    ...(i === 0 ? [this.kernels.resetStats] : []),
+                    ...this.emitters.preStep(interval / substeps),
+                    ...gridKernels, ...vorticityKernels, this.kernels.g2p,
+                    ...this.emitters.postStep(interval / substeps),
+                ];
+                await this.renderer.computeAsync(kernels);
+            }
+            this.uniforms.time.value += interval;
+
+            const gridMode = this.gridMode;
+            if (synchronous) {
+                const stats = new Uint32Array(await this.renderer.getArrayBufferAsync(this.stepStats.value));
+                this.applyStats({ stats, gridMode }, elapsed);
+            } else if (!this.statsReadback) {
+                // Skipped while the last one is in flight, the GPU is more than a frame behind then
+                this.statsReadback = this.renderer.getArrayBufferAsync(this.stepStats.value).then(buffer => {
+                    this.pendingStats = { stats: new Uint32Array(buffer), gridMode };
+                }).catch(e => {
+                    // The frame's stats are lost, the next frame reads its own
+                    conf.reportError(e);
+                }).finally(() => {
+                    this.statsReadback = null;
+                });
+            }
         }
+    }
 
+    /**
+     * Takes over the step stats of a frame: the max speed for the substep count, the vorticity stat and, for
+     * fixed point frames, the peak that adapts the scale and the saturated cells.
+     * @param {{stats: Uint32Array, gridMode: string}} frameStats stepStats as read back and the grid mode they
+     * were accumulated in
+     */
+    applyStats({ stats, gridMode }, elapsed) {
+        const [maxSpeed, peak, saturatedCells, maxVorticity] = stats;
+        this.maxSpeed = maxSpeed / 1000;
+        this.maxVorticity = maxVorticity / 1000;
+        conf.maxVorticity = this.maxVorticity;
+        if (gridMode === "fixed" && this.gridMode === "fixed") {
+            this.updateFixedPointScale(peak);
+            this.reportSaturation(conf.p2gDebug ? saturatedCells : 0, elapsed);
+        }
+    }
 
-        if (run) {
-            const kernels = [this.kernels.clearGrid, this.kernels.p2g1, this.kernels.p2g2, this.kernels.updateGrid, this.kernels.g2p];
-            await this.renderer.computeAsync(kernels);
+    /**
+     * clearGrid, p2g1, p2g2 and updateGrid of a grid mode. The shared memory P2G only exists for fixed point.
+     */
+    gridPassKernels(mode, shared) {
+        const { clearGrid, p2g1, p2g2, p2g1Shared, p2g2Shared, updateGrid } = this.gridKernels[mode];
+        if (shared && p2g1Shared) {
+            return [clearGrid, p2g1Shared, p2g2Shared, updateGrid];
+        }
+        return [clearGrid, p2g1, p2g2, updateGrid];
+    }
+
+    /**
+     * Switches the grid kernels between the fixed point and the float atomic accumulation.
+     * Falls back to fixed point where float atomics don't compile.
+     */
+    setGridMode(mode) {
+        if (!this.gridKernels[mode]) {
+            if (mode !== "fixed" && this.gridMode !== "fixed") {
+                console.warn("P2G mode '" + mode + "' is not supported by this adapter, using fixed point");
+            }
+            mode = "fixed";
+        }
+        if (mode === this.gridMode) { return; }
+        this.gridMode = mode;
+        Object.assign(this.kernels, this.gridKernels[mode]);
+        conf.saturatedCells = 0;
+    }
+
+    /**
+     * Adapts the fixed point scale to the peak raw grid magnitude of the last frame, so dense clusters don't wrap
+     * around and sparse ones keep their precision. The new scale applies from the next frame on.
+     */
+    updateFixedPointScale(peak) {
+        const next = nextFixedPointScale(this.uniforms.fixedPointScale.value, peak);
+        this.uniforms.fixedPointScale.value = next;
+        conf.fixedPointScale = next;
+    }
+
+    // Saturated cells only show up when a frame grows faster than the scale can follow
+    reportSaturation(saturatedCells, elapsed) {
+        conf.saturatedCells = saturatedCells;
+        if (saturatedCells > 0 && elapsed - this.lastSaturationWarning > 1) {
+            this.lastSaturationWarning = elapsed;
+            console.warn(saturatedCells + " grid cells saturated the fixed point range at scale " + this.uniforms.fixedPointScale.value.toExponential(2));
+        }
+    }
+
+    /**
+     * Times clearGrid, p2g1, p2g2 and updateGrid of every available grid mode on the current particles, in the
+     * current sort order. Each run is synchronized with a readback, so the numbers include submission overhead
+     * but no overlap. The simulation state is unchanged, g2p doesn't run.
+     */
+    async benchmarkP2G(iterations = 30) {
+        const results = {};
+        const variants = {};
+        Object.keys(this.gridKernels).forEach(mode => {
+            variants[mode] = this.gridPassKernels(mode, false);
+            if (this.gridKernels[mode].p2g1Shared) {
+                variants[mode + " shared"] = this.gridPassKernels(mode, true);
+            }
+        });
+        for (const [mode, pass] of Object.entries(variants)) {
+            // Warm up, compiles the pipelines
+            await this.renderer.computeAsync(pass);
+            await this.renderer.getArrayBufferAsync(this.stepStats.value);
+            const start = performance.now();
+            for (let i = 0; i < iterations; i++) {
+                await this.renderer.computeAsync(pass);
+            }
+            await this.renderer.getArrayBufferAsync(this.stepStats.value);
+            results[mode] = { "ms per step": (performance.now() - start) / iterations, particles: this.numParticles };
+        }
+        console.table(results);
+        conf.benchmarkResult = Object.entries(results).map(([mode, { "ms per step": ms }]) => mode + " " + ms.toFixed(2) + " ms").join(", ");
+        return results;
+    }
+
+    /**
+     * Number of substeps that keeps a frame of length `frameDt` within the CFL condition
+     * `dt * (maxSpeed + soundSpeed) <= cfl` (one grid cell), capped at `maxSubsteps`.
+     */
+    stableSubsteps(frameDt, cfl, maxSubsteps, mu, lambda) {
+        const { stiffness, restDensity, material } = conf;
+        // Fluid: c^2 = dp/drho of the EOS at rest density. Solids: P-wave speed sqrt((lambda + 2 mu) / rho).
+        let soundSpeed = Math.sqrt(5 * stiffness / restDensity);
+        if (material !== "fluid") {
+            soundSpeed = Math.max(soundSpeed, Math.sqrt((lambda + 2 * mu) / restDensity));
         }
+        const stableDt = cfl / (this.maxSpeed + soundSpeed);
+        return Math.min(Math.max(Math.ceil(frameDt / stableDt), 1), maxSubsteps);
     }
 }
 
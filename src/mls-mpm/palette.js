@@ -0,0 +1,86 @@
+import * as THREE from "three/webgpu";
+import {float, Fn, If, int, Loop, max, mix, uniform, uniformArray, vec3} from "three/tsl";
+import {hsvtorgb} from "../common/hsv.js";
+import {conf} from "../conf";
+import {COLOR_MODES, MAX_STOPS} from "./paletteSettings.js";
+
+// Bring the magnitudes to roughly [0, 1] at colorScale 1
+const SPEED_SCALE = 0.5;
+const DENSITY_SCALE = 0.5;
+const VORTICITY_SCALE = 0.1;
+
+/**
+ * Particle colors, computed in `g2p` into the `shade` member that every renderer shows. Palette modes look the
+ * value up in the gradient `conf.palette` (2 to 8 stops of position in [0, 1] and sRGB hex color, uploaded as a
+ * uniform array) and multiply it with the particle dye (`color`); see COLOR_MODES.
+ */
+class Palette {
+    uniforms = {};
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+        this.stops = Array.from({ length: MAX_STOPS }, () => new THREE.Vector4());
+        this.uniforms.stops = uniformArray(this.stops, 'vec4'); // rgb in linear, stop position in w
+        this.uniforms.count = uniform(MAX_STOPS, "int");
+        this.uniforms.mode = uniform(COLOR_MODES.seed, "int");
+        this.uniforms.scale = uniform(1);
+    }
+
+    // Gradient color at t, held before the first and after the last stop
+    sample(t) {
+        return Fn(() => {
+            const stops = this.uniforms.stops;
+            const color = stops.element(0).xyz.toVar("paletteColor");
+            Loop({ start: 1, end: MAX_STOPS, type: 'int', name: 'i', condition: '<' }, ({ i }) => {
+                const a = stops.element(i.sub(1));
+                const b = stops.element(i);
+                If(i.lessThan(this.uniforms.count).and(t.greaterThan(a.w)), () => {
+                    color.assign(mix(a.xyz, b.xyz, t.sub(a.w).div(max(b.w.sub(a.w), 1e-5)).clamp(0, 1)));
+                });
+            });
+            return color;
+        })();
+    }
+
+    // The particle color of the active mode, brightened towards white under a brush
+    color(particle, position, velocity, density, brushHighlight) {
+        const { restDensity, gridSize, time } = this.mlsMpmSim.uniforms;
+        const { mode, scale } = this.uniforms;
+        const dye = particle.get('color');
+        const t = float(0).toVar("paletteT");
+        If(mode.equal(int(COLOR_MODES.seed)), () => {
+            t.assign(particle.get('mass').fract().mul(10).add(density.mul(0.3)).fract());
+        }).ElseIf(mode.equal(int(COLOR_MODES.speed)), () => {
+            t.assign(velocity.length().mul(SPEED_SCALE).mul(scale));
+        }).ElseIf(mode.equal(int(COLOR_MODES.density)), () => {
+            t.assign(density.div(restDensity).mul(DENSITY_SCALE).mul(scale));
+        }).ElseIf(mode.equal(int(COLOR_MODES.vorticity)), () => {
+            t.assign(particle.get('vorticity').mul(VORTICITY_SCALE).mul(scale));
+        }).ElseIf(mode.equal(int(COLOR_MODES.depth)), () => {
+            t.assign(position.z.div(float(gridSize.z)));
+        });
+        const color = this.sample(t.clamp(0, 1)).mul(dye).toVar("particleColor");
+        If(mode.equal(int(COLOR_MODES.dye)), () => {
+            color.assign(dye);
+        });
+        color.assign(mix(color, vec3(1), brushHighlight.min(1).mul(0.3)));
+        If(mode.equal(int(COLOR_MODES.hsv)), () => {
+            color.assign(hsvtorgb(vec3(density.div(restDensity).mul(0.25).add(time.mul(0.05)), velocity.length().mul(0.5).clamp(0, 1).mul(0.3).add(0.7), brushHighlight.min(1.0).mul(0.3).add(0.7))).mul(dye));
+        });
+        return color;
+    }
+
+    update() {
+        const { colorMode, colorScale, palette } = conf;
+        this.uniforms.mode.value = COLOR_MODES[colorMode];
+        this.uniforms.scale.value = colorScale;
+        const stops = [...palette].sort((a, b) => a.position - b.position).slice(0, MAX_STOPS);
+        const color = new THREE.Color();
+        stops.forEach((stop, i) => {
+            color.set(stop.color);
+            this.stops[i].set(color.r, color.g, color.b, stop.position);
+        });
+        this.uniforms.count.value = Math.max(stops.length, 1);
+    }
+}
+export default Palette;
@@ -0,0 +1,73 @@
+// Color modes and palette stops as conf stores them. No conf import, conf.js builds its GUI from these.
+
+import * as THREE from "three/webgpu";
+
+// seed: a stable random value per particle, shifted by its density
+// speed, density, vorticity: the magnitude, scaled by `conf.colorScale`; vorticity is the grid curl around the
+// particle (see computeVorticity in mlsMpmSimulator.js)
+// depth: the grid z, near to far
+// dye: the particle dye alone (seed colors, emitters, the paint brush, mixed by `conf.dyeMixing`)
+// hsv: hue cycling with density and time
+export const COLOR_MODES = {
+    seed: 0,
+    speed: 1,
+    density: 2,
+    vorticity: 3,
+    depth: 4,
+    dye: 5,
+    hsv: 6,
+};
+
+export const MIN_STOPS = 2;
+export const MAX_STOPS = 8;
+
+export class PaletteError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PaletteError";
+    }
+}
+
+// Spreads colors evenly over [0, 1]
+const evenStops = (colors) => colors.map((color, i) => ({ position: i / (colors.length - 1), color }));
+
+/**
+ * Stops from a list of hex colors ("#ff8800, 3af 112233"), evenly spaced.
+ * @throws {PaletteError}
+ */
+export const paletteFromHex = (text) => {
+    const codes = text.split(/[\s,;]+/).filter(code => code.length > 0);
+    const colors = codes.map(code => {
+        const match = code.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) {
+            throw new PaletteError("'" + code + "' is not a hex color");
+        }
+        const hex = match[1].length === 3 ? match[1].split("").map(c => c + c).join("") : match[1];
+        return "#" + hex.toLowerCase();
+    });
+    if (colors.length < MIN_STOPS || colors.length > MAX_STOPS) {
+        throw new PaletteError("A palette has " + MIN_STOPS + " to " + MAX_STOPS + " colors, got " + colors.length);
+    }
+    return evenStops(colors);
+};
+
+/**
+ * Stops from an image strip, read left to right along its middle row: one stop per column for strips up to
+ * MAX_STOPS pixels wide, MAX_STOPS evenly spaced samples for wider ones.
+ * @param {ImageBitmap} image
+ */
+export const paletteFromImage = (image) => {
+    if (image.width < MIN_STOPS) {
+        throw new PaletteError("The palette image has to be at least " + MIN_STOPS + " pixels wide");
+    }
+    const canvas = new OffscreenCanvas(image.width, 1);
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, Math.floor(image.height / 2), image.width, 1, 0, 0, image.width, 1);
+    const pixels = context.getImageData(0, 0, image.width, 1).data;
+    const count = Math.min(image.width, MAX_STOPS);
+    const colors = Array.from({ length: count }, (_, i) => {
+        const x = Math.round(i * (image.width - 1) / (count - 1));
+        return "#" + new THREE.Color().setRGB(pixels[x * 4] / 255, pixels[x * 4 + 1] / 255, pixels[x * 4 + 2] / 255, THREE.SRGBColorSpace).getHexString();
+    });
+    return evenStops(colors);
+};
@@ -153,6 +153,7 @@ class ParticleRenderer {
         const vNormal = varying(vec3(0), "v_normalView");
 
         const particle = this.mlsMpmSim.particleBuffer.element(instanceIndex);
+        this.mlsMpmSim.particleBuffer.addUsers(this.material);
         this.material.positionNode = Fn(() => {
             const particlePosition = particle.get("position");
             const particleDensity = particle.get("density");
@@ -162,7 +163,7 @@ class ParticleRenderer {
             vNormal.assign(transformNormalToView(normalLocal));
 
             // Depth-based AO for atmosphere
-            vAo.assign(particlePosition.z.div(64));
+            vAo.assign(particlePosition.z.div(float(this.mlsMpmSim.uniforms.gridSize.z)));
             vAo.assign(vAo.mul(vAo).oneMinus().mul(0.7).add(0.3));
 
             // === Size Variation ===
@@ -174,47 +175,26 @@ class ParticleRenderer {
             const sizeVar = rand.mul(this.uniforms.sizeVariation).mul(2.0).sub(this.uniforms.sizeVariation).add(1.0);
 
             // Combine with density-based size
-            const sizeScale = particleDensity.mul(0.2).add(0.8).clamp(0.6, 1.2);
-            return attribute("position").xyz.mul(this.uniforms.size).mul(sizeScale).mul(sizeVar).add(particlePosition.mul(vec3(1,1,0.4)));
+            const sizeScale = particleDensity.mul(0.2).add(0.8).clamp(0.6, 1.2).mul(this.mlsMpmSim.emitters.visibility(particle));
+            return attribute("position").xyz.mul(this.uniforms.size).mul(sizeScale).mul(sizeVar).add(particlePosition.mul(this.mlsMpmSim.domain.uniforms.positionScale));
         })();
 
-        // Custom color: muted reds/pinks + white/gray palette
+        // Particle shade from the simulator (see palette.js)
         // With depth-based brightness for 3D volumetric effect
         this.material.colorNode = Fn(() => {
             const particlePosition = particle.get("position");
-            const particleVelocity = particle.get("velocity");
-            const particleDensity = particle.get("density");
-            const particleMass = particle.get("mass");
-
-            // Use mass as a stable per-particle random seed
-            const seed = particleMass.fract().mul(10.0);
-
-            // Base color: mix between deep red and soft pink/white
-            const speed = particleVelocity.length();
-            const t = seed.add(particleDensity.mul(0.3)).fract();
-
-            // Muted red/pink palette
-            const deepRed = vec3(0.45, 0.08, 0.12);
-            const softPink = vec3(0.65, 0.25, 0.35);
-            const warmWhite = vec3(0.85, 0.82, 0.80);
-            const coolGray = vec3(0.5, 0.48, 0.52);
-
-            // Blend based on particle properties
-            const color1 = mix(deepRed, softPink, t);
-            const color2 = mix(coolGray, warmWhite, t.mul(0.5).add(0.5));
-            const baseColor = mix(color1, color2, speed.mul(0.3).clamp(0, 0.6));
 
             // === Depth-Based Brightness ===
-            // Z ranges roughly 0-64 in particle space, normalize to 0-1
+            // Z ranges 0-gridSize.z in particle space, normalize to 0-1
             // Lower Z = closer to camera = brighter
-            const depthNorm = particlePosition.z.div(64.0).clamp(0, 1);
+            const depthNorm = particlePosition.z.div(float(this.mlsMpmSim.uniforms.gridSize.z)).clamp(0, 1);
             // Invert: closer (low Z) = 1, farther (high Z) = 0
             const closeness = float(1.0).sub(depthNorm);
             // Apply brightness boost based on closeness
             // At depthBrightness=0.5: close particles get up to 1.5x brightness, far get 0.5x
             const brightnessMult = closeness.mul(this.uniforms.depthBrightness).add(float(1.0).sub(this.uniforms.depthBrightness.mul(0.5)));
 
-            return baseColor.mul(brightnessMult);
+            return particle.get("shade").mul(brightnessMult);
         })();
         this.material.aoNode = vAo;
 
@@ -240,20 +220,18 @@ class ParticleRenderer {
 
         this.object.frustumCulled = false;
 
-        const s = (1/64);
-        this.object.position.set(-32.0*s,0,0);
-        this.object.scale.set(s,s,s);
+        this.mlsMpmSim.domain.applyTo(this.object);
         this.object.castShadow = true;
         this.object.receiveShadow = true;
     }
 
     update() {
-        const { particles, bloom, actualSize, sizeVariation, opacityVariation, depthBrightness } = conf;
+        const { bloom, actualSize, sizeVariation, opacityVariation, depthBrightness } = conf;
         this.uniforms.size.value = actualSize;
         this.uniforms.sizeVariation.value = sizeVariation;
         this.uniforms.opacityVariation.value = opacityVariation;
         this.uniforms.depthBrightness.value = depthBrightness;
-        this.geometry.instanceCount = particles;
+        this.geometry.instanceCount = this.mlsMpmSim.numParticles;
 
         if (bloom !== this.bloom) {
             this.bloom = bloom;
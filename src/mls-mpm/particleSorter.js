@@ -0,0 +1,175 @@
+import {
+    atomicAdd,
+    atomicLoad,
+    atomicStore,
+    clamp,
+    Fn,
+    If,
+    instancedArray,
+    instanceIndex,
+    int,
+    ivec3,
+    localId,
+    Loop,
+    min,
+    Return,
+    uint,
+    uniform,
+    workgroupArray,
+    workgroupBarrier,
+} from "three/tsl";
+import {StructuredArray} from "./structuredArray.js";
+import {BLOCK_SIZE} from "./gridAccumulator.js";
+import {conf} from "../conf";
+
+const SCAN_THREADS = 256;
+
+/**
+ * GPU counting sort of the particle pool by grid block (BLOCK_SIZE^3 cells), so that neighboring threads touch
+ * neighboring cells. That is what makes the shared memory P2G kernels effective, and it keeps particle reads
+ * in g2p and the renderers coherent.
+ *
+ * count: every particle takes a rank within its block with atomicAdd. scan: one workgroup turns the block
+ * counts into offsets. scatter: particles are copied to offset + rank in a second buffer, copyBack copies them
+ * home so every other kernel and material keeps its bindings. Free slots of a dynamic pool sort behind all live
+ * particles and the emitter free-list is rebuilt from the live count.
+ *
+ * Ranks come from atomics, so the order inside a block differs between runs. The simulator therefore switches
+ * to the fixed point grid while sorting is on (float atomic sums depend on the order they are added in), and
+ * integer grid sums don't depend on it. A stable rank would need a per block prefix over the original index.
+ */
+class ParticleSorter {
+    mlsMpmSim = null;
+    uniforms = {};
+    kernels = {};
+    framesSinceSort = Infinity;
+
+    constructor(mlsMpmSim) {
+        this.mlsMpmSim = mlsMpmSim;
+    }
+
+    init() {
+        const {maxParticles} = conf;
+        const {particleBuffer, gridSize, emitters} = this.mlsMpmSim;
+
+        const blocks = gridSize.clone().divideScalar(BLOCK_SIZE).ceil();
+        const blockCount = blocks.x * blocks.y * blocks.z;
+        const keyCount = blockCount + 1; // the last key collects free slots
+        const keysPerThread = Math.ceil(keyCount / SCAN_THREADS);
+
+        this.sortedBuffer = new StructuredArray(particleBuffer.layout, maxParticles, "particleDataSorted");
+        this.counts = instancedArray(keyCount, 'uint').label('sortCounts').toAtomic();
+        this.offsets = instancedArray(keyCount, 'uint').label('sortOffsets');
+        this.keys = instancedArray(maxParticles, 'uint').label('sortKeys');
+        this.ranks = instancedArray(maxParticles, 'uint').label('sortRanks');
+
+        this.uniforms.blocks = uniform(blocks, "ivec3");
+
+        this.kernels.clearCounts = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(keyCount)), () => {
+                Return();
+            });
+            atomicStore(this.counts.element(instanceIndex), uint(0));
+        })().compute(keyCount);
+
+        this.kernels.count = Fn(() => {
+            If(instanceIndex.greaterThanEqual(this.mlsMpmSim.uniforms.numParticles), () => {
+                Return();
+            });
+            const particle = particleBuffer.element(instanceIndex);
+            const key = uint(blockCount).toVar("key");
+            If(particle.get('alive').notEqual(int(0)), () => {
+                const block = clamp(ivec3(particle.get('position').xyz).div(BLOCK_SIZE), ivec3(0), this.uniforms.blocks.sub(1)).toConst("block");
+                key.assign(uint(block.x.mul(this.uniforms.blocks.y).mul(this.uniforms.blocks.z).add(block.y.mul(this.uniforms.blocks.z)).add(block.z)));
+            });
+            this.keys.element(instanceIndex).assign(key);
+            this.ranks.element(instanceIndex).assign(atomicAdd(this.counts.element(key), uint(1)));
+        })().compute(1);
+
+        // Exclusive prefix sum over the block counts in a single workgroup: per thread sums of a contiguous
+        // range of keys, a Hillis-Steele scan of those in workgroup memory, then per thread offsets again.
+        const partial = workgroupArray('uint', SCAN_THREADS);
+        this.kernels.scan = Fn(() => {
+            const start = localId.x.mul(keysPerThread).toConst("start");
+            const end = min(start.add(keysPerThread), uint(keyCount)).toConst("end");
+            const sum = uint(0).toVar("sum");
+            Loop({ start, end, type: 'uint', name: 'k', condition: '<' }, ({k}) => {
+                sum.addAssign(atomicLoad(this.counts.element(k)));
+            });
+            partial.element(localId.x).assign(sum);
+            workgroupBarrier();
+            for (let offset = 1; offset < SCAN_THREADS; offset *= 2) {
+                const value = uint(0).toVar("value" + offset);
+                If(localId.x.greaterThanEqual(uint(offset)), () => {
+                    value.assign(partial.element(localId.x.sub(offset)));
+                });
+                workgroupBarrier();
+                partial.element(localId.x).addAssign(value);
+                workgroupBarrier();
+            }
+            const offset = partial.element(localId.x).sub(sum).toVar("offset");
+            Loop({ start, end, type: 'uint', name: 'k', condition: '<' }, ({k}) => {
+                this.offsets.element(k).assign(offset);
+                offset.addAssign(atomicLoad(this.counts.element(k)));
+            });
+        })().compute(SCAN_THREADS, [SCAN_THREADS]);
+
+        const copy = (target, source) => {
+            Object.keys(particleBuffer.layout).forEach(member => {
+                target.get(member).assign(source.get(member));
+            });
+        };
+        this.kernels.scatter = Fn(() => {
+            If(instanceIndex.greaterThanEqual(this.mlsMpmSim.uniforms.numParticles), () => {
+                Return();
+            });
+            const target = this.offsets.element(this.keys.element(instanceIndex)).add(this.ranks.element(instanceIndex));
+            copy(this.sortedBuffer.element(target), particleBuffer.element(instanceIndex));
+        })().compute(1);
+
+        this.kernels.copyBack = Fn(() => {
+            If(instanceIndex.greaterThanEqual(this.mlsMpmSim.uniforms.numParticles), () => {
+                Return();
+            });
+            copy(particleBuffer.element(instanceIndex), this.sortedBuffer.element(instanceIndex));
+        })().compute(1);
+
+        // Free slots now sit at [liveCount, maxParticles), stacked like emitters.resetPool does it
+        this.kernels.rebuildFreeList = Fn(() => {
+            If(instanceIndex.greaterThanEqual(uint(maxParticles)), () => {
+                Return();
+            });
+            const liveCount = this.offsets.element(blockCount).toConst("liveCount");
+            If(instanceIndex.greaterThanEqual(liveCount), () => {
+                emitters.freeList.element(uint(maxParticles - 1).sub(instanceIndex)).assign(instanceIndex);
+            });
+            If(instanceIndex.equal(uint(0)), () => {
+                atomicStore(emitters.freeCount.element(0), int(maxParticles).sub(int(liveCount)));
+            });
+        })().compute(maxParticles);
+
+        particleBuffer.addUsers(this.kernels.count, this.kernels.scatter, this.kernels.copyBack);
+        this.sortedBuffer.addUsers(this.kernels.scatter, this.kernels.copyBack);
+    }
+
+    setCount(numParticles) {
+        ["count", "scatter", "copyBack"].forEach(name => {
+            this.kernels[name].count = numParticles;
+            this.kernels[name].updateDispatchCount();
+        });
+    }
+
+    /**
+     * Kernels that sort the pool, empty on frames between sorts.
+     * @param {number} every sort interval in frames
+     * @param {boolean} dynamic whether the emitter free-list has to be rebuilt
+     */
+    update(every, dynamic) {
+        this.framesSinceSort++;
+        if (this.framesSinceSort < every) { return []; }
+        this.framesSinceSort = 0;
+        const { clearCounts, count, scan, scatter, copyBack, rebuildFreeList } = this.kernels;
+        return [clearCounts, count, scan, scatter, copyBack, ...(dynamic ? [rebuildFreeList] : [])];
+    }
+}
+export default ParticleSorter;
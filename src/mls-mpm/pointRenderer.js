@@ -1,6 +1,5 @@
 import * as THREE from "three/webgpu";
-import {Fn, vec3,instanceIndex} from "three/tsl";
-import {conf} from "../conf";
+import {Fn, instanceIndex} from "three/tsl";
 
 class PointRenderer {
     mlsMpmSim = null;
@@ -14,22 +13,28 @@ class PointRenderer {
         const material = new THREE.PointsNodeMaterial();
         this.geometry.setAttribute('position', positionBuffer);
         this.object = new THREE.Points(this.geometry, material);
+        // Free pool slots are cut away by the alpha test
+        material.opacityNode = Fn(() => {
+            return this.mlsMpmSim.emitters.visibility(this.mlsMpmSim.particleBuffer.element(instanceIndex));
+        })();
+        material.alphaTest = 0.01;
+        material.colorNode = Fn(() => {
+            return this.mlsMpmSim.particleBuffer.element(instanceIndex).get('shade');
+        })();
+        this.mlsMpmSim.particleBuffer.addUsers(material);
         material.positionNode = Fn(() => {
-            return this.mlsMpmSim.particleBuffer.element(instanceIndex).get('position').mul(vec3(1,1,0.4));
+            return this.mlsMpmSim.particleBuffer.element(instanceIndex).get('position').mul(this.mlsMpmSim.domain.uniforms.positionScale);
         })();
 
         this.object.frustumCulled = false;
 
-        const s = (1/64);
-        this.object.position.set(-32.0*s,0,0);
-        this.object.scale.set(s,s,s);
+        this.mlsMpmSim.domain.applyTo(this.object);
         this.object.castShadow = true;
         this.object.receiveShadow = true;
     }
 
     update() {
-        const { particles } = conf;
-        this.geometry.instanceCount = particles;
+        this.geometry.instanceCount = this.mlsMpmSim.numParticles;
     }
 }
 export default PointRenderer;
\ No newline at end of file
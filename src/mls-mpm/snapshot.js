@@ -0,0 +1,346 @@
+import {conf} from "../conf";
+import {restoreConf, serializeConf, serializeValue, validateConfValues} from "../confState.js";
+import {assignValue, RUNTIME_CONF_FIELDS, STARTUP_CONF_FIELDS, VIRTUAL_FIELDS} from "../confSettings.js";
+
+/*
+ * Snapshot file layout (little endian):
+ *   magic "MPMS" | uint32 format version | uint32 header byte length | header JSON (utf-8), padded to 4 bytes
+ *   followed by the binary sections listed in `header.sections`, in order, each padded to 4 bytes.
+ *
+ * The header records the particle struct layout, so files written before a change to `particleStruct` can be
+ * migrated member by member (see MIGRATIONS) or rejected with a clear error. Every change of the particle layout
+ * or of the meaning of saved conf values bumps SNAPSHOT_VERSION and adds a migration step.
+ */
+
+const MAGIC = "MPMS";
+export const SNAPSHOT_VERSION = 6;
+
+// Positions of the conf scene objects, in grid cells before version 5
+const SCENE_OBJECT_LISTS = ["colliders", "forceFields", "emitters", "sinks"];
+
+// Extents of the conf scene objects, in grid cells before version 6: vectors scale per axis, lengths with the
+// shortest axis. The turbulence `scale` is a noise frequency and stays.
+const SCENE_OBJECT_EXTENTS = {
+    colliders: { vectors: ["size", "axis"], lengths: ["radius", "scale", "thickness"] },
+    forceFields: { vectors: [], lengths: ["radius"] },
+    emitters: { vectors: ["size"], lengths: ["radius"] },
+    sinks: { vectors: ["size"], lengths: [] },
+};
+
+/*
+ * What changed with each format version after 1. A file of an older version goes through every later step:
+ *   added:   particle members the step introduced, with their value for older files
+ *   renamed: particle members older files stored under another name
+ *   conf:    rewrites the saved conf values, given the header
+ */
+const MIGRATIONS = [
+    // Pin brush
+    { version: 2, added: { pinned: () => [0] } },
+    // Dye mixing: the dye moved from `tint` to `color`, the displayed color from `color` to `shade`
+    { version: 3, renamed: { color: "tint", shade: "color" } },
+    // Grid vorticity
+    { version: 4, added: { vorticity: () => [0] } },
+    // Scene objects are placed in domain fractions instead of grid cells
+    { version: 5, conf: (values, header) => {
+        SCENE_OBJECT_LISTS.forEach(list => (values[list] || []).forEach(object => {
+            if (object.position) {
+                ["x", "y", "z"].forEach((axis, k) => { object.position[axis] /= header.gridSize[k]; });
+            }
+        }));
+    } },
+    // Scene objects are sized in domain fractions instead of grid cells
+    { version: 6, conf: (values, header) => {
+        const shortestAxis = Math.min(...header.gridSize);
+        Object.entries(SCENE_OBJECT_EXTENTS).forEach(([list, { vectors, lengths }]) => (values[list] || []).forEach(object => {
+            vectors.filter(key => object[key]).forEach(key => {
+                ["x", "y", "z"].forEach((axis, k) => { object[key][axis] /= header.gridSize[k]; });
+            });
+            lengths.filter(key => typeof object[key] === "number").forEach(key => { object[key] /= shortestAxis; });
+            // Orbits are lengths too, pulses a fraction of the strength already
+            if (list === "forceFields" && object.animation === "orbit" && typeof object.animationAmount === "number") {
+                object.animationAmount /= shortestAxis;
+            }
+        }));
+    } },
+];
+
+export class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SnapshotError";
+    }
+}
+
+const pad4 = (n) => (n + 3) & ~3;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// The header fields loadSnapshot reads, every format version has them
+const HEADER_FIELDS = {
+    gridSize: (value) => Array.isArray(value) && value.length === 3 && value.every(isCount),
+    particles: (value) => isObject(value) && isCount(value.length) && isCount(value.structSize) && isObject(value.layout),
+    conf: isObject,
+    uniforms: isObject,
+    state: isObject,
+    sections: (value) => Array.isArray(value) && value.every(section => isObject(section) && isCount(section.byteLength)),
+};
+
+const serializeUniforms = (uniforms) => {
+    const result = {};
+    Object.entries(uniforms).forEach(([key, uniform]) => {
+        const value = serializeValue(uniform.value);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+};
+
+const restoreUniforms = (uniforms, values = {}) => {
+    Object.entries(values).forEach(([key, value]) => {
+        if (uniforms[key]) {
+            assignValue(uniforms[key], "value", value);
+        }
+    });
+};
+
+/**
+ * Reads the particle pool back from the GPU and packs it with conf and uniforms into a snapshot.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const saveSnapshot = async (mlsMpmSim) => {
+    const { renderer, particleBuffer, emitters, gridSize } = mlsMpmSim;
+    await particleBuffer.read(renderer);
+    const freeList = new Uint8Array(await renderer.getArrayBufferAsync(emitters.freeList.value));
+    const freeCount = new Uint8Array(await renderer.getArrayBufferAsync(emitters.freeCount.value));
+    const particles = new Uint8Array(particleBuffer.floatArray.buffer);
+
+    const sections = [
+        { name: "particles", data: particles },
+        { name: "freeList", data: freeList },
+        { name: "freeCount", data: freeCount },
+    ];
+    const layout = {};
+    Object.entries(particleBuffer.layout).forEach(([key, { type, offset, size }]) => {
+        layout[key] = { type, offset, size };
+    });
+    const header = {
+        version: SNAPSHOT_VERSION,
+        created: new Date().toISOString(),
+        gridSize: gridSize.toArray(),
+        particles: {
+            length: particleBuffer.length,
+            structSize: particleBuffer.structSize,
+            layout,
+        },
+        conf: serializeConf(),
+        uniforms: {
+            simulator: serializeUniforms(mlsMpmSim.uniforms),
+            emitters: serializeUniforms(emitters.uniforms),
+        },
+        state: {
+            numParticles: mlsMpmSim.numParticles,
+            dynamic: emitters.dynamic,
+            initialCount: emitters.initialCount,
+        },
+        sections: sections.map(({ name, data }) => ({ name, byteLength: data.byteLength })),
+    };
+
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const headerLength = pad4(headerBytes.byteLength);
+    const totalLength = 12 + headerLength + sections.reduce((sum, { data }) => sum + pad4(data.byteLength), 0);
+    const bytes = new Uint8Array(totalLength);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, headerLength, true);
+    bytes.fill(0x20, 12, 12 + headerLength); // pad the JSON with spaces
+    bytes.set(headerBytes, 12);
+    let offset = 12 + headerLength;
+    sections.forEach(({ data }) => {
+        bytes.set(data, offset);
+        offset += pad4(data.byteLength);
+    });
+    return bytes.buffer;
+};
+
+const parseSnapshot = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (bytes.byteLength < 12 || new TextDecoder().decode(bytes.subarray(0, 4)) !== MAGIC) {
+        throw new SnapshotError("Not a simulation snapshot file");
+    }
+    const version = view.getUint32(4, true);
+    if (version < 1) {
+        throw new SnapshotError("Snapshot format version " + version + " is invalid");
+    }
+    if (version > SNAPSHOT_VERSION) {
+        throw new SnapshotError("Snapshot format version " + version + " is newer than the supported version " + SNAPSHOT_VERSION);
+    }
+    const headerLength = view.getUint32(8, true);
+    if (12 + headerLength > bytes.byteLength) {
+        throw new SnapshotError("Snapshot is truncated in the header");
+    }
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    } catch (e) {
+        throw new SnapshotError("Snapshot header is corrupt: " + e.message);
+    }
+    if (!isObject(header)) {
+        throw new SnapshotError("Snapshot header is corrupt: not an object");
+    }
+    Object.entries(HEADER_FIELDS).forEach(([key, check]) => {
+        if (!check(header[key])) {
+            throw new SnapshotError("Snapshot header is corrupt: '" + key + "' is " + (key in header ? "invalid" : "missing"));
+        }
+    });
+
+    const sections = {};
+    let offset = 12 + headerLength;
+    header.sections.forEach(({ name, byteLength }) => {
+        if (offset + byteLength > bytes.byteLength) {
+            throw new SnapshotError("Snapshot is truncated in section '" + name + "'");
+        }
+        sections[name] = buffer.slice(offset, offset + byteLength);
+        offset += pad4(byteLength);
+    });
+    return { version, header, sections };
+};
+
+/**
+ * Where the file of format `version` keeps the current particle member `key`: `{ name }` of the stored member,
+ * or `{ value }` for a member added after the file was written.
+ */
+const storedMember = (key, version) => {
+    let name = key;
+    for (let i = MIGRATIONS.length - 1; i >= 0 && MIGRATIONS[i].version > version; i--) {
+        const { added = {}, renamed = {} } = MIGRATIONS[i];
+        if (added[name]) {
+            return { value: added[name]() };
+        }
+        name = renamed[name] || name;
+    }
+    return { name };
+};
+
+/**
+ * Copies particles from the snapshot layout into the current one, member by member.
+ */
+const migrateParticles = (particleBuffer, version, header, data) => {
+    const { layout, structSize, length } = header.particles;
+    if (!data || data.byteLength !== length * structSize * 4) {
+        throw new SnapshotError("Snapshot particle section doesn't match its " + length + " particles of " + structSize * 4 + " bytes");
+    }
+    const source = new Float32Array(data);
+
+    const sources = {};
+    Object.entries(particleBuffer.layout).forEach(([key, member]) => {
+        const { name, value } = storedMember(key, version);
+        const stored = name && layout[name];
+        if (name && !stored) {
+            throw new SnapshotError("Particle member '" + key + "' is missing from the version " + version + " snapshot and has no migration");
+        }
+        if (stored && stored.type !== member.type) {
+            throw new SnapshotError("Particle member '" + key + "' changed type from " + stored.type + " to " + member.type + ", no migration available");
+        }
+        sources[key] = { stored, value };
+    });
+    const used = Object.values(sources).map(({ stored }) => stored);
+    Object.entries(layout).forEach(([key, stored]) => {
+        if (!used.includes(stored)) {
+            console.warn("Snapshot particle member '" + key + "' no longer exists and is dropped");
+        }
+    });
+
+    // Raw copy through the float view keeps int members bit exact
+    const target = particleBuffer.floatArray;
+    Object.entries(particleBuffer.layout).forEach(([key, member]) => {
+        const { stored, value: fallback } = sources[key];
+        for (let i = 0; i < length; i++) {
+            const dst = i * particleBuffer.structSize + member.offset;
+            if (stored) {
+                const src = i * structSize + stored.offset;
+                for (let j = 0; j < member.size; j++) {
+                    target[dst + j] = source[src + j];
+                }
+            } else {
+                particleBuffer.set(i, key, member.size === 1 ? fallback[0] : fallback);
+            }
+        }
+    });
+};
+
+/**
+ * The saved settings, migrated to the current format and checked like a preset. The buffer sizes are fixed at
+ * startup and stay as they are; fields that no longer exist are dropped.
+ */
+const snapshotConf = (version, header) => {
+    const values = {};
+    Object.entries(header.conf).forEach(([key, value]) => {
+        if (STARTUP_CONF_FIELDS.includes(key) || RUNTIME_CONF_FIELDS.includes(key)) { return; }
+        if (!(key in conf) && !VIRTUAL_FIELDS[key]) {
+            console.warn("Snapshot conf field '" + key + "' no longer exists and is dropped");
+            return;
+        }
+        values[key] = value;
+    });
+    MIGRATIONS.filter(step => step.version > version && step.conf).forEach(step => step.conf(values, header));
+    const problems = validateConfValues(values);
+    if (problems.length > 0) {
+        throw new SnapshotError("Snapshot settings are invalid: " + problems.join("; "));
+    }
+    return values;
+};
+
+/**
+ * Restores conf, uniforms and the particle pool from a snapshot. The simulation continues from the saved state.
+ * @throws {SnapshotError} when the file is invalid or can't be migrated to the current particle layout
+ */
+export const loadSnapshot = async (mlsMpmSim, buffer) => {
+    const { version, header, sections } = parseSnapshot(buffer);
+    const { particleBuffer, emitters, gridSize } = mlsMpmSim;
+
+    const [gx, gy, gz] = header.gridSize;
+    if (gx !== gridSize.x || gy !== gridSize.y || gz !== gridSize.z) {
+        throw new SnapshotError("Snapshot was taken on a " + gx + "x" + gy + "x" + gz + " grid, reload with ?grid=" + gx + "x" + gy + "x" + gz + " to open it");
+    }
+    // The free list indexes the saved pool, a pool of another size (desktop and mobile differ) can't take it
+    if (header.particles.length !== particleBuffer.length) {
+        throw new SnapshotError("Snapshot holds a pool of " + header.particles.length + " particles, this device allocates " + particleBuffer.length);
+    }
+    if (!sections.freeList || sections.freeList.byteLength !== particleBuffer.length * 4) {
+        throw new SnapshotError("Snapshot free list doesn't match its particle pool");
+    }
+    if (!sections.freeCount || sections.freeCount.byteLength !== emitters.freeCount.value.array.byteLength) {
+        throw new SnapshotError("Snapshot free list counter is missing or has the wrong size");
+    }
+    // Everything is checked before the first value changes
+    const values = snapshotConf(version, header);
+    migrateParticles(particleBuffer, version, header, sections.particles);
+    particleBuffer.buffer.value.needsUpdate = true;
+
+    const freeList = emitters.freeList.value;
+    freeList.array.set(new Uint32Array(sections.freeList));
+    freeList.needsUpdate = true;
+    const freeCount = emitters.freeCount.value;
+    freeCount.array.set(new Int32Array(sections.freeCount));
+    freeCount.needsUpdate = true;
+
+    const listsChanged = restoreConf(values, STARTUP_CONF_FIELDS);
+    if (conf.gui) {
+        if (listsChanged) {
+            conf.rebuildGui();
+        } else {
+            conf.gui.refresh();
+        }
+    }
+    restoreUniforms(mlsMpmSim.uniforms, header.uniforms.simulator);
+    restoreUniforms(emitters.uniforms, header.uniforms.emitters);
+
+    // Materials and the pool are part of the saved state, keep update() from rebuilding them
+    mlsMpmSim.material = conf.material;
+    emitters.dynamic = header.state.dynamic;
+    emitters.initialCount = header.state.initialCount;
+};
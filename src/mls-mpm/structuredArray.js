@@ -1,3 +1,4 @@
+import * as THREE from "three/webgpu";
 import {struct, instancedArray} from "three/tsl";
 
 const TYPES = {
@@ -22,13 +23,20 @@ const TYPES = {
     mat4: { size: 16, alignment: 4, isFloat: true },
 };
 
+// mat3 columns are padded to vec4, `elements` of a Matrix3 are not
+const MAT3_PADDED = [0, 1, 2, 4, 5, 6, 8, 9, 10];
+
 export class StructuredArray {
     structNode = null;
     buffer = null;
     layout = null;
     structSize = 0;
+    dirtyStart = Infinity;
+    dirtyEnd = -1;
+    users = new Set();
 
     constructor(layout, length, label) {
+        this.label = label;
         this.layout = this._parse(layout);
         this.length = length;
         this.structNode = struct(this.layout);
@@ -44,32 +52,191 @@ export class StructuredArray {
         }
     }
 
-    set(index, element, value) {
+    _member(index, element) {
         const member = this.layout[element];
         if (!member) {
-            return console.error("Unknown element '" + element + "'");
+            throw new Error(this.label + ": unknown element '" + element + "', expected one of " + Object.keys(this.layout).join(", "));
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= this.length) {
+            throw new Error(this.label + ": index " + index + " is out of range [0, " + this.length + ")");
         }
+        return member;
+    }
+
+    _markDirty(start, end) {
+        this.dirtyStart = Math.min(this.dirtyStart, start);
+        this.dirtyEnd = Math.max(this.dirtyEnd, end);
+    }
+
+    set(index, element, value) {
+        const member = this._member(index, element);
         const offset = index * this.structSize + member.offset;
         const array = member.isFloat ? this.floatArray : this.intArray;
 
         if (member.size === 1) {
             if (typeof value !== 'number') {
-                return console.error("Expected a Number value for element '" + element + "'");
+                throw new Error(this.label + ": expected a number for element '" + element + "', got " + typeof value);
             }
             array[offset] = value;
         }
         if (member.size > 1) {
-            if (typeof value === 'object' && !Array.isArray(value)) {
+            if (value && value.isColor) {
+                value = [value.r, value.g, value.b];
+            } else if (value && value.isMatrix3) {
+                value = MAT3_PADDED.reduce((padded, i, j) => { padded[i] = value.elements[j]; return padded; }, new Array(12).fill(0));
+            } else if (value && (value.isMatrix2 || value.isMatrix4)) {
+                value = value.elements;
+            } else if (typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value)) {
                 const obj = value;
                 value = [obj.x, obj.y || 0, obj.z || 0, obj.w || 0];
             }
-            if (!Array.isArray(value) || value.length < member.size) {
-                return console.error("Expected an array of length " + member.size + " for element '" + element + "'");
+            if (!value || value.length === undefined || value.length < member.size) {
+                throw new Error(this.label + ": expected an array of length " + member.size + " for element '" + element + "' (" + member.type + ")");
             }
             for (let i = 0; i < member.size; i++) {
                 array[offset + i] = value[i];
             }
         }
+        this._markDirty(index, index + 1);
+    }
+
+    /**
+     * Reads a member from the CPU copy: a number for scalars, a Vector2/3/4 for vectors, a Matrix2/3/4 for matrices.
+     * Call `read()` first to see what the GPU wrote.
+     */
+    getValue(index, element) {
+        const member = this._member(index, element);
+        const offset = index * this.structSize + member.offset;
+        const array = member.isFloat ? this.floatArray : this.intArray;
+        const values = Array.from(array.subarray(offset, offset + member.size));
+        if (member.type.startsWith("u")) {
+            values.forEach((v, i) => { values[i] = v >>> 0; });
+        }
+        switch (member.type) {
+            case "mat2": return new THREE.Matrix2().fromArray(values);
+            case "mat3": return new THREE.Matrix3().fromArray(MAT3_PADDED.map(i => values[i]));
+            case "mat4": return new THREE.Matrix4().fromArray(values);
+        }
+        switch (member.size) {
+            case 1: return values[0];
+            case 2: return new THREE.Vector2().fromArray(values);
+            case 3: return new THREE.Vector3().fromArray(values);
+            default: return new THREE.Vector4().fromArray(values);
+        }
+    }
+
+    /**
+     * Copies whole structs, packed with `structSize` values each, starting at element `index`.
+     * Int32Array and Uint32Array data is copied bit for bit, anything else is written as floats.
+     */
+    setRange(index, data) {
+        if (data.length % this.structSize !== 0) {
+            throw new Error(this.label + ": setRange expects a multiple of the struct size " + this.structSize + ", got " + data.length + " values");
+        }
+        const count = data.length / this.structSize;
+        if (!Number.isInteger(index) || index < 0 || index + count > this.length) {
+            throw new Error(this.label + ": setRange of " + count + " elements at " + index + " exceeds the length " + this.length);
+        }
+        const isInt = data instanceof Int32Array || data instanceof Uint32Array;
+        const target = isInt ? this.intArray : this.floatArray;
+        target.set(isInt ? new Int32Array(data.buffer, data.byteOffset, data.length) : data, index * this.structSize);
+        this._markDirty(index, index + count);
+    }
+
+    /**
+     * Uploads the elements changed by `set()` and `setRange()` since the last upload.
+     */
+    upload() {
+        if (this.dirtyEnd < 0) { return; }
+        const attribute = this.buffer.value;
+        attribute.clearUpdateRanges();
+        attribute.addUpdateRange(this.dirtyStart * this.structSize, (this.dirtyEnd - this.dirtyStart) * this.structSize);
+        attribute.needsUpdate = true;
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = -1;
+    }
+
+    /**
+     * Uploads only the given elements (ascending indices) and drops the other changes, for buffers whose other
+     * elements the GPU has moved on from.
+     */
+    uploadElements(indices) {
+        const attribute = this.buffer.value;
+        attribute.clearUpdateRanges();
+        let start = 0;
+        for (let i = 1; i <= indices.length; i++) {
+            if (i === indices.length || indices[i] !== indices[i - 1] + 1) {
+                attribute.addUpdateRange(indices[start] * this.structSize, (indices[i - 1] + 1 - indices[start]) * this.structSize);
+                start = i;
+            }
+        }
+        attribute.needsUpdate = indices.length > 0;
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = -1;
+    }
+
+    /**
+     * Copies the current GPU contents back into `floatArray`/`intArray`.
+     */
+    async read(renderer) {
+        const data = await renderer.getArrayBufferAsync(this.buffer.value);
+        this.floatArray.set(new Float32Array(data, 0, this.floatArray.length));
+    }
+
+    /**
+     * Registers compute nodes and materials that access this buffer, so `resize()` can rebuild them.
+     */
+    addUsers(...users) {
+        users.forEach(user => this.users.add(user));
+    }
+
+    removeUsers(...users) {
+        users.forEach(user => this.users.delete(user));
+    }
+
+    /**
+     * Frees the GPU buffer; the array can't be used afterwards.
+     */
+    dispose(renderer) {
+        this._destroyAttribute(renderer, this.buffer.value);
+        this.users.clear();
+    }
+
+    _destroyAttribute(renderer, attribute) {
+        if (renderer.backend.has(attribute)) {
+            renderer.backend.destroyAttribute(attribute);
+        }
+    }
+
+    /**
+     * Grows or shrinks the buffer, keeping the leading elements. Shader code keeps working because the
+     * storage node stays the same; registered users are rebuilt against the new GPU buffer and the old one is freed.
+     */
+    resize(length, renderer) {
+        if (!Number.isInteger(length) || length <= 0) {
+            throw new Error(this.label + ": invalid length " + length);
+        }
+        if (length === this.length) { return; }
+        const floatArray = new Float32Array(this.structSize * length);
+        floatArray.set(this.floatArray.subarray(0, Math.min(this.floatArray.length, floatArray.length)));
+        this.floatArray = floatArray;
+        this.intArray = new Int32Array(floatArray.buffer);
+        this.length = length;
+
+        const previous = this.buffer.value;
+        this.buffer.value = new THREE.StorageInstancedBufferAttribute(floatArray, previous.itemSize);
+        this.buffer.bufferCount = this.buffer.value.count;
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = -1;
+
+        this.users.forEach(user => {
+            if (user.isComputeNode) {
+                user.dispose();
+            } else if (user.isMaterial) {
+                user.needsUpdate = true;
+            }
+        });
+        this._destroyAttribute(renderer, previous);
     }
 
     element(index) {
@@ -80,8 +247,15 @@ export class StructuredArray {
         return this.buffer.element(index).get(element);
     }
 
+    /**
+     * Computes the WGSL (std430) layout in float units: each member starts at a multiple of its alignment,
+     * and the struct size, which is the array stride, is rounded up to the largest member alignment.
+     * Nested structs aren't supported, three.js only declares struct types that are bound directly.
+     */
     _parse(layout) {
+        const label = this.label || "StructuredArray";
         let offset = 0;
+        let structAlignment = 1;
         const parsedLayout = {};
 
         const keys = Object.keys(layout);
@@ -89,15 +263,19 @@ export class StructuredArray {
             const key = keys[i];
             let member = layout[key];
             if (typeof member === 'string' || member instanceof String) {
-                member = { type: member };
+                member = { type: String(member) };
             }
             const type = member.type;
+            if (type === undefined && typeof member === 'object') {
+                throw new Error(label + ": member '" + key + "' is a nested struct, flatten it into prefixed members");
+            }
             if (!TYPES[type]) {
-                return console.error("Unknown type '" + type + "'");
+                throw new Error(label + ": unknown type '" + type + "' for member '" + key + "', expected one of " + Object.keys(TYPES).join(", "));
             }
             const { size, alignment, isFloat } = TYPES[type];
             member.size = size;
             member.isFloat = isFloat;
+            structAlignment = Math.max(structAlignment, alignment);
 
             const rest = offset % alignment;
             if (rest !== 0) {
@@ -109,12 +287,12 @@ export class StructuredArray {
             parsedLayout[key] = member;
         }
 
-        const rest = offset % 4;
+        const rest = offset % structAlignment;
         if (rest !== 0) {
-            offset += (4 - rest);
+            offset += (structAlignment - rest);
         }
 
         this.structSize = offset;
         return parsedLayout;
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,240 @@
+import {conf} from "./conf";
+import {createZip} from "./common/zip.js";
+import {createWebm} from "./common/webm.js";
+import {downloadBlob} from "./common/download.js";
+
+// The simulator never takes steps longer than this, see mlsMpmSimulator.update()
+const MAX_STEP = 1 / 60;
+
+// WebCodecs codec strings, tried in order, with their Matroska codec ids
+const CODECS = [
+    { codec: "vp09.00.10.08", id: "V_VP9" },
+    { codec: "vp8", id: "V_VP8" },
+];
+
+/**
+ * Deterministic offline rendering: every output frame advances the simulation by exactly 1 / fps seconds,
+ * in equal fixed steps, whatever the display refresh rate or the time a frame takes to render. The canvas is
+ * resized to the capture resolution while recording and each frame is captured after the full post-processing
+ * chain, as numbered PNG files or as a WebM video encoded with WebCodecs.
+ *
+ * Recording starts from a reset, so runs with the same settings replay the same simulation.
+ */
+class OfflineRecorder {
+    app = null;
+    recording = false;
+    frame = 0;
+    files = [];
+    chunks = [];
+    encoder = null;
+    encoderError = null;
+    codec = null;
+    directory = null;
+    pixelRatio = 1;
+
+    constructor(app) {
+        this.app = app;
+    }
+
+    async createEncoder() {
+        const { renderWidth, renderHeight, renderFps, renderBitrate } = conf;
+        if (!window.VideoEncoder) {
+            throw new Error("This browser has no WebCodecs support, render PNG frames instead");
+        }
+        const config = { width: renderWidth, height: renderHeight, bitrate: renderBitrate * 1e6, framerate: renderFps };
+        for (const { codec, id } of CODECS) {
+            const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec });
+            if (supported) {
+                this.codec = id;
+                this.encoder = new VideoEncoder({
+                    output: (chunk) => {
+                        const data = new Uint8Array(chunk.byteLength);
+                        chunk.copyTo(data);
+                        this.chunks.push({ data, time: Math.round(chunk.timestamp / 1000), key: chunk.type === "key" });
+                    },
+                    // The encoder closes itself after an error, the next capture ends the recording
+                    error: (e) => {
+                        this.encoderError = e;
+                        conf.reportError(e);
+                    },
+                });
+                this.encoder.configure({ ...config, codec });
+                return;
+            }
+        }
+        throw new Error("No WebM encoder for " + renderWidth + "x" + renderHeight + " in this browser");
+    }
+
+    async start() {
+        const { renderFormat, renderTarget, exportDirectory } = conf;
+        this.frame = 0;
+        this.files = [];
+        this.chunks = [];
+        this.directory = null;
+        this.encoderError = null;
+        if (renderFormat === "webm") {
+            await this.createEncoder();
+        } else if (renderTarget === "directory") {
+            // Shares the directory picked for the frame export, the picker needs a user gesture
+            if (!exportDirectory) {
+                throw new Error("No export directory chosen, use 'choose directory' in 'export frames' first");
+            }
+            this.directory = exportDirectory;
+        }
+        this.pixelRatio = this.app.renderer.getPixelRatio();
+        conf.resetRequested = true;
+        this.recording = true;
+    }
+
+    /**
+     * Saves what was recorded and gives the canvas its size back, also when saving fails.
+     */
+    async stop() {
+        this.recording = false;
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const encoder = this.encoder;
+        this.encoder = null;
+        try {
+            if (encoder) {
+                // After an error the encoder is closed already, the chunks before it still make a video
+                if (encoder.state !== "closed") {
+                    await encoder.flush();
+                }
+                if (this.chunks.length > 0) {
+                    const { renderWidth, renderHeight, renderFps } = conf;
+                    const duration = this.frame * 1000 / renderFps;
+                    downloadBlob(createWebm({ codec: this.codec, width: renderWidth, height: renderHeight, duration }, this.chunks), "render-" + stamp + ".webm");
+                }
+            } else if (this.files.length > 0) {
+                downloadBlob(createZip(this.files), "render-" + stamp + ".zip");
+            }
+        } finally {
+            if (encoder && encoder.state !== "closed") {
+                encoder.close();
+            }
+            this.files = [];
+            this.chunks = [];
+            this.directory = null;
+
+            const { renderer } = this.app;
+            renderer.setPixelRatio(this.pixelRatio);
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            this.app.resize(window.innerWidth, window.innerHeight);
+        }
+    }
+
+    // Ends the recording from within the frame loop: after the last frame or a failed one
+    async end() {
+        conf.renderRecording = false;
+        conf.gui.refresh();
+        try {
+            await this.stop();
+        } catch (e) {
+            conf.reportError(e);
+        }
+    }
+
+    // Keeps the canvas at the capture resolution, window resizes would change it otherwise
+    applySize() {
+        const { renderWidth, renderHeight } = conf;
+        const { renderer } = this.app;
+        const canvas = renderer.domElement;
+        if (canvas.width !== renderWidth || canvas.height !== renderHeight) {
+            renderer.setPixelRatio(1);
+            renderer.setSize(renderWidth, renderHeight, false);
+            this.app.resize(renderWidth, renderHeight);
+        }
+    }
+
+    /**
+     * Starts or stops recording when `conf.renderRecording` changes. Call once per displayed frame.
+     */
+    async update() {
+        const { renderRecording } = conf;
+        if (renderRecording && !this.recording) {
+            try {
+                await this.start();
+            } catch (e) {
+                conf.reportError(e);
+                conf.renderRecording = false;
+                conf.gui.refresh();
+            }
+        } else if (!renderRecording && this.recording) {
+            try {
+                await this.stop();
+            } catch (e) {
+                conf.reportError(e);
+            }
+        }
+    }
+
+    /**
+     * Advances the simulation by one output frame, in equal steps no longer than the simulator accepts.
+     */
+    async step() {
+        this.applySize();
+        const frameInterval = 1 / conf.renderFps;
+        const steps = Math.ceil(frameInterval / MAX_STEP - 1e-6);
+        for (let i = 0; i < steps; i++) {
+            await this.app.mlsMpmSim.update(frameInterval / steps, this.frame * frameInterval, true);
+        }
+    }
+
+    /**
+     * Captures the frame that was just rendered. Must run right after rendering, before the canvas is presented.
+     */
+    async capture() {
+        // Paused frames are not new simulation frames
+        if (!conf.run) { return; }
+        if (this.encoderError) {
+            // Reported by the encoder already
+            await this.end();
+            return;
+        }
+        try {
+            await this.captureFrame();
+        } catch (e) {
+            // E.g. the directory permission was revoked; the frames so far are kept
+            conf.reportError(e);
+            await this.end();
+            return;
+        }
+        if (this.frame >= conf.renderFrames) {
+            await this.end();
+        }
+    }
+
+    // Encodes or writes the canvas as the next frame
+    async captureFrame() {
+        const { renderFormat, renderFps } = conf;
+        const canvas = this.app.renderer.domElement;
+        const frame = this.frame++;
+
+        if (renderFormat === "webm") {
+            const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(frame * 1e6 / renderFps), duration: Math.round(1e6 / renderFps) });
+            try {
+                this.encoder.encode(videoFrame, { keyFrame: frame % (renderFps * 2) === 0 });
+            } finally {
+                videoFrame.close();
+            }
+            // Keep the encoder queue short, frames are rendered faster than they are encoded
+            while (this.encoder.encodeQueueSize > 4) {
+                await new Promise(resolve => this.encoder.addEventListener("dequeue", resolve, { once: true }));
+            }
+        } else {
+            // toBlob snapshots the canvas synchronously, before anything is awaited
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+            const data = new Uint8Array(await blob.arrayBuffer());
+            const name = "frame_" + String(frame).padStart(5, "0") + ".png";
+            if (this.directory) {
+                const handle = await this.directory.getFileHandle(name, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(data);
+                await writable.close();
+            } else {
+                this.files.push({ name, data });
+            }
+        }
+    }
+}
+export default OfflineRecorder;
@@ -0,0 +1,285 @@
+import {conf} from "./conf";
+import {numericLeaves, restoreConf, serializeConf, validateConfValues} from "./confState.js";
+import {STARTUP_CONF_FIELDS} from "./confSettings.js";
+import {downloadBlob} from "./common/download.js";
+import builtInPresets from "./presets.json";
+
+// localStorage keys
+const USER_PRESETS_KEY = "flow.presets";
+const SESSION_KEY = "flow.session";
+// Seconds between checks whether the session changed
+const SESSION_INTERVAL = 2;
+// Identifies exported preset files
+const EXPORT_FORMAT = "flow-presets";
+const EXPORT_VERSION = 1;
+
+// Settings that only take effect on a re-seed
+const SEED_FIELDS = ["seed", "initialCondition", "initialText"];
+
+export class PresetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PresetError";
+    }
+}
+
+const validate = (name, values) => {
+    const problems = validateConfValues(values);
+    if (problems.length > 0) {
+        throw new PresetError("Preset '" + name + "' is invalid: " + problems.join("; "));
+    }
+};
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+
+const transform = async (bytes, stream) => {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+};
+
+/**
+ * Named conf states. Built-in presets come from src/presets.json and may set a subset of the fields, user
+ * presets hold every setting and live in localStorage. Values are checked against the conf fields before they
+ * are applied (see confState.js), so an unknown key or a wrong type throws a PresetError instead of being skipped.
+ *
+ * The whole state can also travel in the URL hash (`#preset=`, deflated JSON in base64url), and the last session
+ * is kept in localStorage and restored on the next start. The grid size stays in the `?grid=` parameter.
+ */
+class PresetManager {
+    builtIn = builtInPresets;
+    user = {};
+    savedSession = "";
+    sessionCleared = false;
+    lastSessionCheck = -Infinity;
+
+    // conf.js doesn't import this module, so conf is complete by now
+    constructor() {
+        Object.entries(this.builtIn).forEach(([name, values]) => validate(name, values));
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(USER_PRESETS_KEY)) || {};
+            Object.entries(stored).forEach(([name, values]) => {
+                try {
+                    validate(name, values);
+                    this.user[name] = values;
+                } catch (e) {
+                    console.error("Dropping stored preset: " + e.message);
+                }
+            });
+        } catch (e) {
+            console.error("Ignoring stored presets: " + e.message);
+        }
+    }
+
+    persist() {
+        localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(this.user));
+    }
+
+    names() {
+        return [...Object.keys(this.builtIn), ...Object.keys(this.user)];
+    }
+
+    isBuiltIn(name) {
+        return name in this.builtIn;
+    }
+
+    /**
+     * Validates and applies conf values; a changed seed or initial condition re-seeds the simulation.
+     * @param {number} crossfade seconds of simulated time the numeric settings blend over (see src/timeline.js),
+     * 0 applies them at once
+     * @throws {PresetError}
+     */
+    applyValues(name, values, crossfade = 0) {
+        validate(name, values);
+        const reseed = SEED_FIELDS.some(key => key in values && values[key] !== conf[key]);
+        const before = crossfade > 0 ? new Map(numericLeaves(STARTUP_CONF_FIELDS).map(leaf => [leaf.path, leaf.owner[leaf.key]])) : null;
+        const listsChanged = restoreConf(values, STARTUP_CONF_FIELDS);
+        if (reseed) {
+            conf.resetRequested = true;
+        }
+        if (before) {
+            // Back to where they were, the timeline takes them to the preset's values
+            const changes = numericLeaves(STARTUP_CONF_FIELDS)
+                .filter(({ path, owner, key }) => before.has(path) && before.get(path) !== owner[key] && !SEED_FIELDS.includes(path))
+                .map(leaf => ({ ...leaf, from: before.get(leaf.path), to: leaf.owner[leaf.key] }));
+            changes.forEach(({ owner, key, from }) => { owner[key] = from; });
+            conf.updateParams();
+            conf.crossfadeRequested = { duration: crossfade, changes };
+        }
+        if (conf.gui) {
+            if (listsChanged) {
+                conf.rebuildGui();
+            } else {
+                conf.gui.refresh();
+            }
+        }
+    }
+
+    apply(name, crossfade = 0) {
+        const values = this.builtIn[name] || this.user[name];
+        if (!values) {
+            throw new PresetError("There is no preset '" + name + "'");
+        }
+        this.applyValues(name, values, crossfade);
+    }
+
+    save(name) {
+        name = name.trim();
+        if (!name) {
+            throw new PresetError("A preset needs a name");
+        }
+        if (this.isBuiltIn(name)) {
+            throw new PresetError("'" + name + "' is a built-in preset, choose another name");
+        }
+        this.user[name] = serializeConf(STARTUP_CONF_FIELDS);
+        this.persist();
+    }
+
+    rename(from, to) {
+        to = to.trim();
+        if (!this.user[from]) {
+            throw new PresetError("Only saved presets can be renamed, '" + from + "' is not one");
+        }
+        if (!to || this.isBuiltIn(to) || this.user[to]) {
+            throw new PresetError("The name '" + to + "' is empty or already taken");
+        }
+        this.user[to] = this.user[from];
+        delete this.user[from];
+        this.persist();
+    }
+
+    remove(name) {
+        if (!this.user[name]) {
+            throw new PresetError("Only saved presets can be deleted, '" + name + "' is not one");
+        }
+        delete this.user[name];
+        this.persist();
+    }
+
+    exportJson() {
+        const data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, presets: this.user };
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), "presets.json");
+    }
+
+    /**
+     * Adds the presets of an exported file, replacing saved presets of the same name. Nothing is imported when
+     * one of them is invalid.
+     * @returns {string[]} the imported names
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new PresetError("Not a JSON file: " + e.message);
+        }
+        if (!data || data.format !== EXPORT_FORMAT || typeof data.presets !== "object") {
+            throw new PresetError("Not a preset file, expected the format '" + EXPORT_FORMAT + "'");
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new PresetError("Preset file version " + data.version + " is newer than the supported version " + EXPORT_VERSION);
+        }
+        const names = Object.keys(data.presets);
+        names.forEach(name => {
+            if (this.isBuiltIn(name)) {
+                throw new PresetError("'" + name + "' is a built-in preset, rename it in the file");
+            }
+            validate(name, data.presets[name]);
+        });
+        names.forEach(name => { this.user[name] = data.presets[name]; });
+        this.persist();
+        return names;
+    }
+
+    /**
+     * A link to this page that opens with the current settings.
+     */
+    async shareUrl() {
+        const json = new TextEncoder().encode(JSON.stringify(serializeConf(STARTUP_CONF_FIELDS)));
+        let hash = "j." + toBase64Url(json);
+        if (window.CompressionStream) {
+            hash = "z." + toBase64Url(await transform(json, new CompressionStream("deflate-raw")));
+        }
+        const url = new URL(window.location.href);
+        url.hash = "preset=" + hash;
+        return url.toString();
+    }
+
+    async readHash() {
+        const match = window.location.hash.match(/^#preset=([jz])\.([A-Za-z0-9_-]+)$/);
+        if (!match) { return null; }
+        let bytes = fromBase64Url(match[2]);
+        if (match[1] === "z") {
+            bytes = await transform(bytes, new DecompressionStream("deflate-raw"));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Loads the saved presets and restores the settings of the URL hash, or else of the last session.
+     * Runs before the GUI and the simulator are created.
+     */
+    async restoreStartup() {
+        this.load();
+        window.addEventListener("pagehide", () => this.saveSession());
+        await this.restoreShared() || this.restoreSession();
+        // The simulator is seeded from the restored settings anyway, and ?seed= in the URL wins over them
+        conf.resetRequested = false;
+        conf.readSeeds();
+    }
+
+    async restoreShared() {
+        try {
+            const shared = await this.readHash();
+            if (!shared) { return false; }
+            this.applyValues("from the link", shared);
+            // The session takes over from here, a reload shouldn't undo later changes
+            window.history.replaceState(null, "", window.location.pathname + window.location.search);
+            return true;
+        } catch (e) {
+            conf.reportError(e);
+            return false;
+        }
+    }
+
+    restoreSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+            if (session) {
+                this.applyValues("last session", session);
+            }
+        } catch (e) {
+            console.error("Not restoring the last session: " + e.message);
+        }
+    }
+
+    saveSession() {
+        if (this.sessionCleared) { return; }
+        const session = JSON.stringify(serializeConf(STARTUP_CONF_FIELDS));
+        if (session !== this.savedSession) {
+            this.savedSession = session;
+            localStorage.setItem(SESSION_KEY, session);
+        }
+    }
+
+    /**
+     * Forgets the last session, the caller reloads the page next. Nothing is saved from then on, or the
+     * pagehide of the reload would store the current settings again.
+     */
+    clearSession() {
+        localStorage.removeItem(SESSION_KEY);
+        this.savedSession = "";
+        this.sessionCleared = true;
+    }
+
+    update(elapsed) {
+        if (elapsed - this.lastSessionCheck >= SESSION_INTERVAL) {
+            this.lastSessionCheck = elapsed;
+            this.saveSession();
+        }
+    }
+}
+
+export const presets = new PresetManager();
@@ -0,0 +1,182 @@
+import * as THREE from "three/webgpu";
+import {conf} from "./conf";
+import {RUNTIME_CONF_FIELDS, STARTUP_CONF_FIELDS, VIRTUAL_FIELDS} from "./confSettings.js";
+import {TIMELINE_EASINGS} from "./timelineEasings.js";
+
+// Seconds the playhead has to move by outside the timeline to count as scrubbing, above the GUI rounding
+const SCRUB_TOLERANCE = 0.01;
+
+// Numeric fields that aren't settings: derived by updateParams(), or seeds, which only take effect on a reset
+const UNKEYABLE_FIELDS = ["actualSize", "restDensity", "seed", "noiseSeed"];
+// Fields that take whole numbers, their keyed and crossfaded values are rounded
+const INTEGER_FIELDS = ["particles", "maxSubsteps", "sortEvery", "surfaceResolution", "fluidBlurRadius"];
+
+/**
+ * The fields a track can key: the numeric conf settings except the startup sizes and the export and render
+ * settings, and turbulence.
+ */
+export const timelineTargets = () => {
+    const keys = Object.keys(conf).filter(key => typeof conf[key] === "number"
+        && !RUNTIME_CONF_FIELDS.includes(key) && !STARTUP_CONF_FIELDS.includes(key) && !UNKEYABLE_FIELDS.includes(key)
+        && !/^(export|render)/.test(key));
+    return [...Object.keys(VIRTUAL_FIELDS), ...keys.sort()];
+};
+
+export const readTimelineTarget = (target) => VIRTUAL_FIELDS[target] ? VIRTUAL_FIELDS[target].get(conf) : conf[target];
+
+const writeTarget = (target, value) => {
+    if (INTEGER_FIELDS.includes(target)) {
+        value = Math.round(value);
+    }
+    if (VIRTUAL_FIELDS[target]) {
+        VIRTUAL_FIELDS[target].apply(conf, value);
+    } else {
+        conf[target] = value;
+    }
+};
+
+/**
+ * Keys the current value of `target` at `time`, replacing a key at the same time.
+ * @returns {object} the track of the target
+ */
+export const addTimelineKey = (target, time) => {
+    let track = conf.timelineTracks.find(track => track.target === target);
+    if (!track) {
+        track = { target, enabled: true, keys: [] };
+        conf.timelineTracks.push(track);
+    }
+    const value = readTimelineTarget(target);
+    const key = track.keys.find(key => Math.abs(key.time - time) < 1e-3);
+    if (key) {
+        key.value = value;
+    } else {
+        track.keys.push({ time, value, easing: "ease in-out" });
+        track.keys.sort((a, b) => a.time - b.time);
+    }
+    return track;
+};
+
+// Value of a track at `time`; before the first and after the last key the track holds
+const evaluate = (keys, time) => {
+    if (time <= keys[0].time) { return keys[0].value; }
+    const last = keys[keys.length - 1];
+    if (time >= last.time) { return last.value; }
+    const i = keys.findIndex((key, j) => time >= key.time && time < keys[j + 1].time);
+    const a = keys[i], b = keys[i + 1];
+    const ease = TIMELINE_EASINGS[a.easing] || TIMELINE_EASINGS.linear;
+    return THREE.MathUtils.lerp(a.value, b.value, ease((time - a.time) / (b.time - a.time)));
+};
+
+/**
+ * Keyframe timeline and preset crossfades, both in simulated seconds: a paused or slowed simulation pauses or
+ * slows them, and offline renders, which step the simulation in fixed intervals, see the same values.
+ *
+ * Each of `conf.timelineTracks` keys one numeric conf field; a key's easing shapes the way to the next key.
+ * While playing, the playhead follows the simulated time, looping or stopping at `conf.timelineDuration`;
+ * dragging `conf.timelineTime` scrubs. A reset restarts the playhead at 0, so an offline render, which starts
+ * from a reset, plays the timeline from its beginning. While paused the tracks only apply on scrubbing, so
+ * values can be edited and keyed at the playhead.
+ *
+ * Crossfades come from presets (`conf.crossfadeRequested`, see src/presetManager.js): numeric settings blend
+ * from where they were to the preset's values over the crossfade time.
+ */
+class Timeline {
+    app = null;
+    origin = 0;         // Simulated time of playhead 0
+    lastTime = 0;
+    playing = false;
+    playhead = null;    // conf.timelineTime as last left, a different value means it was dragged
+    crossfade = null;   // { start, duration, changes: [{ path, owner, key, from, to }] }
+
+    constructor(app) {
+        this.app = app;
+    }
+
+    startCrossfade({ duration, changes }, time) {
+        // Fields still fading that the new preset leaves alone carry on from where they are
+        if (this.crossfade) {
+            this.crossfade.changes.forEach(change => {
+                if (!changes.some(c => c.owner === change.owner && c.key === change.key)) {
+                    changes.push({ ...change, from: change.owner[change.key] });
+                }
+            });
+        }
+        this.crossfade = { start: time, duration, changes };
+    }
+
+    updateCrossfade(time) {
+        const { start, duration, changes } = this.crossfade;
+        // A reset while fading jumps to the end
+        const u = time < start ? 1 : THREE.MathUtils.clamp((time - start) / duration, 0, 1);
+        const x = TIMELINE_EASINGS["ease in-out"](u);
+        changes.forEach(({ path, owner, key, from, to }) => {
+            const value = THREE.MathUtils.lerp(from, to, x);
+            owner[key] = INTEGER_FIELDS.includes(path) ? Math.round(value) : value;
+        });
+        if (u >= 1) {
+            this.crossfade = null;
+        }
+    }
+
+    updatePlayhead(time, scrubbed) {
+        const { timelineDuration, timelinePlaying, timelineMode } = conf;
+        if (time < this.lastTime) {
+            this.origin = 0;
+        }
+        this.lastTime = time;
+        if (timelinePlaying && !this.playing && timelineMode === "once" && conf.timelineTime >= timelineDuration) {
+            conf.timelineTime = 0;
+        }
+        if (scrubbed || (timelinePlaying && !this.playing)) {
+            this.origin = time - conf.timelineTime;
+        }
+        this.playing = timelinePlaying;
+        if (!timelinePlaying) { return; }
+
+        const playhead = time - this.origin;
+        if (timelineMode === "loop") {
+            conf.timelineTime = timelineDuration > 0 ? playhead - Math.floor(playhead / timelineDuration) * timelineDuration : 0;
+        } else if (playhead >= timelineDuration) {
+            conf.timelineTime = timelineDuration;
+            conf.timelinePlaying = false;
+            this.playing = false;
+        } else {
+            conf.timelineTime = playhead;
+        }
+    }
+
+    update() {
+        // A requested reset happens in this frame's simulator update, before the step these values are for
+        const time = conf.resetRequested ? 0 : this.app.mlsMpmSim.uniforms.time.value;
+        let changed = false;
+
+        if (conf.crossfadeRequested) {
+            this.startCrossfade(conf.crossfadeRequested, time);
+            conf.crossfadeRequested = null;
+        }
+        if (this.crossfade) {
+            this.updateCrossfade(time);
+            changed = true;
+        }
+
+        // Checked before the playhead moves, a timeline played once still applies its end
+        const scrubbed = this.playhead === null || Math.abs(conf.timelineTime - this.playhead) > SCRUB_TOLERANCE;
+        const apply = conf.timelinePlaying || scrubbed;
+        this.updatePlayhead(time, scrubbed);
+        this.playhead = conf.timelineTime;
+        if (apply) {
+            conf.timelineTracks.forEach(track => {
+                if (!track.enabled || track.keys.length === 0) { return; }
+                const keys = [...track.keys].sort((a, b) => a.time - b.time);
+                writeTarget(track.target, evaluate(keys, conf.timelineTime));
+                changed = true;
+            });
+        }
+
+        if (changed) {
+            conf.updateParams();
+            conf.gui.refresh();
+        }
+    }
+}
+export default Timeline;
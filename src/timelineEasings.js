@@ -0,0 +1,11 @@
+// Timeline key easings. No conf import, conf.js builds its GUI from these.
+
+// Shape the way from a key to the next one, u in [0, 1]
+export const TIMELINE_EASINGS = {
+    linear: u => u,
+    "ease in": u => u * u * u,
+    "ease out": u => 1 - Math.pow(1 - u, 3),
+    "ease in-out": u => u < 0.5 ? 4 * u * u * u : 1 - Math.pow(2 - 2 * u, 3) / 2,
+    sine: u => 0.5 - 0.5 * Math.cos(Math.PI * u),
+    hold: () => 0,
+};
@@ -0,0 +1,65 @@
+// Offline audio analysis on synthetic buffers: band levels of pure tones, the envelope and onset detection.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeBuffer, AUDIO_BANDS } from "../src/common/audioAnalysis.js";
+
+const SAMPLE_RATE = 44100;
+
+// Stands in for a decoded AudioBuffer, both channels carry the same signal
+const createBuffer = (seconds, sample) => {
+    const data = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < data.length; i++) {
+        data[i] = sample(i / SAMPLE_RATE, i);
+    }
+    return { numberOfChannels: 2, sampleRate: SAMPLE_RATE, getChannelData: () => data };
+};
+
+const sine = (frequency, amplitude = 0.5) => createBuffer(1, t => amplitude * Math.sin(2 * Math.PI * frequency * t));
+
+// Mean of a signal once the analysis window is filled
+const settled = (track, signal) => {
+    const frames = track.frames.slice(10);
+    return frames.reduce((sum, frame) => sum + frame[signal], 0) / frames.length;
+};
+
+const TONES = { bass: 80, lowMid: 400, highMid: 1200, treble: 5000 };
+
+Object.entries(TONES).forEach(([band, frequency]) => {
+    test(`a ${frequency} Hz tone shows up in ${band}`, () => {
+        const track = analyzeBuffer(sine(frequency));
+        const levels = Object.fromEntries(Object.keys(AUDIO_BANDS).map(name => [name, settled(track, name)]));
+        Object.keys(AUDIO_BANDS).filter(name => name !== band).forEach(other => {
+            assert.ok(levels[band] > levels[other], `${band} ${levels[band]} is not above ${other} ${levels[other]}`);
+        });
+        assert.ok(levels[band] > 0.01, `${band} level ${levels[band]}`);
+        assert.deepEqual(track.onsets, [], "a steady tone has no onsets");
+    });
+});
+
+test("the envelope follows the RMS level in dBFS", () => {
+    // RMS of a 0.5 sine is -9 dBFS, the envelope maps [-60, 0] dBFS to [0, 1]
+    const envelope = settled(analyzeBuffer(sine(440)), "envelope");
+    assert.ok(Math.abs(envelope - 51 / 60) < 0.02, `envelope ${envelope}`);
+    assert.ok(settled(analyzeBuffer(sine(440, 0.05)), "envelope") < envelope, "a quieter tone has a lower envelope");
+});
+
+test("impulses are detected as onsets", () => {
+    const clicks = [0.25, 0.75, 1.25];
+    const track = analyzeBuffer(createBuffer(1.5, (t, i) => clicks.some(click => i === Math.round(click * SAMPLE_RATE)) ? 1 : 0));
+    assert.equal(track.onsets.length, clicks.length, `onsets at ${track.onsets}`);
+    track.onsets.forEach((onset, i) => {
+        // the first frame whose window contains the click
+        assert.ok(onset >= clicks[i] && onset <= clicks[i] + 1 / track.frameRate, `onset ${onset} for the click at ${clicks[i]}`);
+    });
+    const pulse = track.frames[Math.round(track.onsets[0] * track.frameRate) - 1].onset;
+    assert.equal(pulse, 1);
+});
+
+test("silence gives zero signals", () => {
+    const track = analyzeBuffer(createBuffer(0.5, () => 0));
+    assert.deepEqual(track.onsets, []);
+    track.frames.forEach(frame => {
+        Object.values(frame).forEach(value => assert.equal(value, 0));
+    });
+});
@@ -0,0 +1,43 @@
+// Applying serialized settings (presets, snapshots) with assignValue, the way restoreConf writes them into conf.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignValue, ConfSettings } from "../src/confSettings.js";
+
+const apply = (settings, values) => Object.entries(values).forEach(([key, value]) => assignValue(settings, key, value));
+
+test("settings don't share objects with the preset they were applied from", () => {
+    const settings = new ConfSettings();
+    const preset = {
+        // same length: updated in place
+        colliders: structuredClone(settings.colliders).map(collider => ({ ...collider, enabled: true })),
+        // another length: replaced
+        forceFields: [{ name: "wind", type: "directional", enabled: true, strength: 0.5, radius: 0, falloff: "constant",
+            position: { x: 0.5, y: 0.5, z: 0.5 }, direction: { x: 1, y: 0, z: 0 }, device: false,
+            animation: "none", animationSpeed: 0.2, animationAmount: 0.5 }],
+        gridResolution: { x: 32, y: 32, z: 16 },
+    };
+    const original = structuredClone(preset);
+    apply(settings, preset);
+    assert.deepEqual(settings.forceFields, original.forceFields);
+    assert.equal(settings.colliders[0].enabled, true);
+
+    settings.colliders[0].position.x = 0.9;
+    settings.colliders[1].size.y = 0.9;
+    settings.forceFields[0].direction.y = 1;
+    settings.forceFields.push({ name: "extra" });
+    settings.gridResolution.x = 128;
+    assert.deepEqual(preset, original);
+});
+
+test("settings lists stay the objects the GUI is bound to", () => {
+    const settings = new ConfSettings();
+    const colliders = settings.colliders;
+    const sphere = settings.colliders[0];
+    const gridResolution = settings.gridResolution;
+    apply(settings, { colliders: structuredClone(colliders), gridResolution: { x: 32, y: 32, z: 16 } });
+    assert.equal(settings.colliders, colliders);
+    assert.equal(settings.colliders[0], sphere);
+    assert.equal(settings.gridResolution, gridResolution);
+    assert.deepEqual(gridResolution, { x: 32, y: 32, z: 16 });
+});
@@ -0,0 +1,145 @@
+// External control: the targets derived from the conf schema, and OSC test messages from `scripts/osc-bridge.js --loopback`
+// mapped onto conf values the way ExternalControl applies them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { randomBytes } from "node:crypto";
+import { request } from "node:http";
+import { decodeOsc } from "../src/common/osc.js";
+import { ConfSettings, RUNTIME_CONF_FIELDS, STARTUP_CONF_FIELDS, VIRTUAL_FIELDS } from "../src/confSettings.js";
+import { controlLeaf, controlTargets, learnedControlTarget, mapControlValue, oscInput } from "../src/controlMapping.js";
+
+const bridgePath = new URL("../scripts/osc-bridge.js", import.meta.url).pathname;
+
+// Starts the bridge on free ports and resolves with the process and its WebSocket port
+const startBridge = () => new Promise((resolve, reject) => {
+    const bridge = spawn(process.execPath, [bridgePath, "--loopback", "--udp", "0", "--ws", "0"]);
+    let output = "";
+    bridge.stdout.on("data", (chunk) => {
+        output += chunk;
+        const match = output.match(/ws:\/\/localhost:(\d+)/);
+        if (match) {
+            resolve({ bridge, port: parseInt(match[1]) });
+        }
+    });
+    bridge.on("error", reject);
+    bridge.on("exit", (code) => reject(new Error("bridge exited with " + code + ": " + output)));
+});
+
+// Opens a WebSocket and collects the binary messages (server frames are unmasked) for `duration` ms
+const receiveMessages = (port, duration) => new Promise((resolve, reject) => {
+    const upgrade = request({
+        port,
+        headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Version": "13", "Sec-WebSocket-Key": randomBytes(16).toString("base64") },
+    });
+    upgrade.on("error", reject);
+    upgrade.on("upgrade", (response, socket, head) => {
+        const messages = [];
+        let pending = head;
+        socket.on("data", (chunk) => {
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length >= 2) {
+                let length = pending[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    if (pending.length < 4) { break; }
+                    length = pending.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (pending.length < offset + length) { break; }
+                if ((pending[0] & 0x0f) === 0x2) {
+                    messages.push(...decodeOsc(new Uint8Array(pending.subarray(offset, offset + length))));
+                }
+                pending = pending.subarray(offset + length);
+            }
+        });
+        setTimeout(() => {
+            socket.destroy();
+            resolve(messages);
+        }, duration);
+    });
+    upgrade.end();
+});
+
+test("control targets are the numeric and boolean settings of the schema", () => {
+    const settings = new ConfSettings();
+    const targets = controlTargets(settings);
+    ["preset", ...Object.keys(VIRTUAL_FIELDS), "speed", "bloom", "vorticityConfinement", "forceFields.0.strength",
+        "forceFields.0.direction.y", "colliders.0.enabled", "brushes.push.radius", "emitters.0.rate", "palette.1.position"].forEach(target => {
+        assert.ok(targets.includes(target), `${target} is missing`);
+    });
+    targets.filter(target => target !== "preset" && !VIRTUAL_FIELDS[target]).forEach(target => {
+        const leaf = controlLeaf(settings, target);
+        assert.ok(leaf, `${target} doesn't resolve`);
+        assert.ok(["number", "boolean"].includes(typeof leaf.owner[leaf.key]), `${target} is not a number or boolean setting`);
+    });
+});
+
+test("control targets leave out runtime state, seeds and startup sizes", () => {
+    const targets = controlTargets(new ConfSettings());
+    [...RUNTIME_CONF_FIELDS, ...STARTUP_CONF_FIELDS, "seed", "noiseSeed", "actualSize", "restDensity"].forEach(field => {
+        assert.ok(!targets.some(target => target === field || target.startsWith(field + ".")), `${field} must not be a control target`);
+    });
+    targets.forEach(target => {
+        assert.doesNotMatch(target, /^(export|render)/, `${target} must not be a control target`);
+    });
+});
+
+test("targets follow settings lists and learning picks unique settings", () => {
+    const settings = new ConfSettings();
+    settings.forceFields.push({ name: "drag 6", type: "drag", enabled: true, strength: 0.123 });
+    assert.ok(controlTargets(settings).includes("forceFields.5.strength"));
+    assert.equal(learnedControlTarget(settings, "strength", 0.123), "forceFields.5.strength");
+    assert.equal(learnedControlTarget(settings, "speed", settings.speed), "speed");
+    settings.forceFields.pop();
+    assert.equal(controlLeaf(settings, "forceFields.5.strength"), undefined);
+});
+
+test("loopback OSC messages map onto conf values", async () => {
+    const { bridge, port } = await startBridge();
+    let messages;
+    try {
+        messages = await receiveMessages(port, 500);
+    } finally {
+        bridge.removeAllListeners("exit");
+        bridge.kill();
+    }
+
+    const byAddress = new Map();
+    messages.forEach(message => byAddress.set(message.address, [...(byAddress.get(message.address) || []), message]));
+    ["/loopback/sine", "/loopback/saw", "/loopback/toggle", "/loopback/step"].forEach(address => {
+        assert.ok(byAddress.has(address), `no ${address} message in ${messages.length}`);
+    });
+
+    const speed = { target: "speed", min: 0.5, max: 2, curve: "linear" };
+    byAddress.get("/loopback/sine").forEach(({ args }) => {
+        const input = oscInput(args);
+        assert.ok(input >= 0 && input <= 1, `sine input ${input}`);
+        const value = mapControlValue(speed, input, 1.5);
+        assert.ok(value >= speed.min && value <= speed.max, `speed ${value}`);
+    });
+
+    const bloom = { target: "bloom", min: 0, max: 1, curve: "linear" };
+    byAddress.get("/loopback/toggle").forEach(({ args }) => {
+        assert.equal(mapControlValue(bloom, oscInput(args), false), args[0]);
+    });
+
+    const particles = { target: "particles", min: 4096, max: 65536, curve: "linear" };
+    byAddress.get("/loopback/step").forEach(({ args }) => {
+        const value = mapControlValue(particles, oscInput(args), 32768);
+        assert.ok(Number.isInteger(value), `particles ${value}`);
+        assert.ok([4096, 24576, 45056, 65536].includes(value), `particles ${value} is not one of the four steps`);
+    });
+
+    const inverted = { target: "exposure", min: 0, max: 2, curve: "inverted" };
+    byAddress.get("/loopback/saw").forEach(({ args }) => {
+        assert.ok(Math.abs(mapControlValue(inverted, oscInput(args), 1) - 2 * (1 - args[0])) < 1e-6);
+    });
+});
+
+test("messages without a number or boolean argument are ignored", () => {
+    assert.equal(oscInput(["label"]), undefined);
+    assert.equal(oscInput(["label", 3]), 1);
+    assert.equal(oscInput([-0.5]), 0);
+});
@@ -0,0 +1,169 @@
+// Invariant and regression tests for the CPU reference of the simulation step (src/mls-mpm/cpuReference.js).
+// Run UPDATE_GOLDEN=1 npm test to rewrite test/golden/cpuReference.json after an intended change to the step.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import MlsMpmReference from "../src/mls-mpm/cpuReference.js";
+import { createRandom } from "../src/common/random.js";
+
+const goldenUrl = new URL("./golden/cpuReference.json", import.meta.url);
+
+// Fills the box [min, max) with one particle per `spacing` cube, jittered inside its cube
+const createBlock = (gridSize, min, max, seed, spacing = 1) => {
+    const random = createRandom(seed);
+    const points = [];
+    for (let x = min[0]; x < max[0]; x += spacing) {
+        for (let y = min[1]; y < max[1]; y += spacing) {
+            for (let z = min[2]; z < max[2]; z += spacing) {
+                points.push([x + random() * spacing, y + random() * spacing, z + random() * spacing]);
+            }
+        }
+    }
+    const sim = new MlsMpmReference(gridSize, points.length);
+    points.forEach((point, i) => sim.position.set(point, i * 3));
+    return sim;
+};
+
+const momentum = (sim) => {
+    const result = [0, 0, 0];
+    for (let i = 0; i < sim.numParticles; i++) {
+        for (let k = 0; k < 3; k++) {
+            result[k] += sim.mass[i] * sim.velocity[i * 3 + k];
+        }
+    }
+    return result;
+};
+
+const gridMass = (sim) => {
+    let mass = 0;
+    for (let ptr = 0; ptr < sim.cellCount; ptr++) {
+        mass += sim.decodeFixedPoint(sim.cells[ptr * 4 + 3]);
+    }
+    return mass;
+};
+
+const meanKineticEnergy = (sim) => {
+    let energy = 0;
+    for (let i = 0; i < sim.numParticles; i++) {
+        const [x, y, z] = sim.velocity.subarray(i * 3, i * 3 + 3);
+        energy += 0.5 * sim.mass[i] * (x * x + y * y + z * z);
+    }
+    return energy / sim.numParticles;
+};
+
+const meanComponent = (array, k) => {
+    let sum = 0;
+    for (let i = k; i < array.length; i += 3) { sum += array[i]; }
+    return sum / (array.length / 3);
+};
+
+test("p2g splats the whole particle mass onto the grid", () => {
+    const sim = createBlock({ x: 16, y: 16, z: 16 }, [5, 5, 5], [11, 11, 11], 1);
+    for (let step = 0; step < 20; step++) {
+        sim.step();
+        // every one of the 27 weights per particle is truncated to fixed point once
+        const tolerance = sim.numParticles * 27 / sim.fixedPointScale;
+        assert.ok(Math.abs(gridMass(sim) - sim.numParticles) <= tolerance, `grid mass ${gridMass(sim)} at step ${step}`);
+    }
+});
+
+test("the fixed point scale follows the grid peak", () => {
+    const sim = createBlock({ x: 16, y: 16, z: 16 }, [4, 4, 4], [12, 12, 12], 1);
+    const initial = sim.fixedPointScale;
+    for (let step = 0; step < 30; step++) {
+        sim.step();
+        assert.ok(sim.fixedPointPeak < 2 ** 31 / 4, `peak ${sim.fixedPointPeak} at scale ${sim.fixedPointScale}, step ${step}`);
+    }
+    // The initial scale leaves this block far below the range, it grows until the peak sits at 1/8 of it
+    assert.ok(sim.fixedPointScale > initial * 10, `scale ${sim.fixedPointScale}`);
+    const headroom = 2 ** 31 / sim.fixedPointPeak;
+    assert.ok(headroom > 7 && headroom < 9, `peak at 1/${headroom} of the int range`);
+});
+
+test("momentum is conserved without force fields", () => {
+    const sim = createBlock({ x: 16, y: 16, z: 16 }, [5, 5, 5], [11, 11, 11], 1);
+    sim.params.forceFields = [];
+    for (let i = 0; i < sim.numParticles; i++) {
+        sim.velocity.set([0.1, -0.05, 0], i * 3);
+    }
+    const initial = momentum(sim);
+    const tolerance = 1e-3 * Math.hypot(...initial);
+    // short enough that the block never reaches the walls, which absorb momentum
+    for (let step = 0; step < 20; step++) {
+        sim.step();
+    }
+    momentum(sim).forEach((value, k) => {
+        assert.ok(Math.abs(value - initial[k]) <= tolerance, `momentum[${k}] ${value}, started at ${initial[k]}`);
+    });
+});
+
+test("particles stay inside the domain", () => {
+    const sim = createBlock({ x: 16, y: 16, z: 16 }, [3, 3, 3], [13, 13, 13], 2);
+    sim.params.forceFields.push({ type: "point", strength: 0.5, radius: 0, falloff: "constant", position: [2, 14, 2], direction: [0, 0, 0] });
+    for (let i = 0; i < sim.velocity.length; i++) {
+        sim.velocity[i] = (i % 7 - 3) * 0.5;
+    }
+    for (let step = 0; step < 100; step++) {
+        sim.step();
+        for (let i = 0; i < sim.numParticles; i++) {
+            for (let k = 0; k < 3; k++) {
+                const p = sim.position[i * 3 + k];
+                assert.ok(p >= 2 && p <= sim.gridSize[k] - 2, `particle ${i} at ${p} on axis ${k}, step ${step}`);
+                assert.ok(Number.isFinite(sim.velocity[i * 3 + k]), `particle ${i} velocity is ${sim.velocity[i * 3 + k]}`);
+            }
+        }
+    }
+});
+
+test("a dam break spreads out and settles", () => {
+    const sim = createBlock({ x: 24, y: 24, z: 8 }, [3, 3, 3], [10, 16, 5], 3);
+    const startHeight = meanComponent(sim.position, 1);
+    const startWidth = meanComponent(sim.position, 0);
+    let peakEnergy = 0;
+    for (let step = 0; step < 400; step++) {
+        sim.step();
+        peakEnergy = Math.max(peakEnergy, meanKineticEnergy(sim));
+    }
+    assert.ok(meanComponent(sim.position, 1) < startHeight * 0.6, "the column collapsed");
+    assert.ok(meanComponent(sim.position, 0) > startWidth * 1.5, "the fluid spread along the floor");
+    assert.ok(meanKineticEnergy(sim) < peakEnergy * 0.2, `energy ${meanKineticEnergy(sim)} of peak ${peakEnergy}`);
+});
+
+// Gravity, a point attractor and the animated turbulence field, recorded every 10 steps
+const recordTrajectory = () => {
+    const sim = createBlock({ x: 16, y: 16, z: 16 }, [5, 6, 5], [10, 11, 10], 4);
+    sim.params.forceFields.push(
+        { type: "point", strength: 0.1, radius: 8, falloff: "smooth", position: [8, 4, 8], direction: [0, 0, 0] },
+        { type: "turbulence", strength: 0.3, radius: 0, falloff: "constant", position: [8, 8, 8], direction: [0, 0, 0], scale: 0.1, speed: 1 },
+    );
+    const round = (array) => Array.from(array, v => Math.round(v * 1e6) / 1e6);
+    const frames = [];
+    for (let step = 1; step <= 30; step++) {
+        sim.step(1 / 60);
+        if (step % 10 === 0) {
+            frames.push({ step, position: round(sim.position), velocity: round(sim.velocity) });
+        }
+    }
+    return { numParticles: sim.numParticles, frames };
+};
+
+test("trajectories match the golden run", () => {
+    const trajectory = recordTrajectory();
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(goldenUrl, JSON.stringify(trajectory) + "\n");
+    }
+    const golden = JSON.parse(readFileSync(goldenUrl, "utf8"));
+    assert.equal(trajectory.numParticles, golden.numParticles);
+    assert.equal(trajectory.frames.length, golden.frames.length);
+    trajectory.frames.forEach((frame, f) => {
+        const expected = golden.frames[f];
+        assert.equal(frame.step, expected.step);
+        ["position", "velocity"].forEach(key => {
+            frame[key].forEach((value, i) => {
+                assert.ok(Math.abs(value - expected[key][i]) <= 1e-4,
+                    `${key}[${i}] is ${value} at step ${frame.step}, golden run has ${expected[key][i]}`);
+            });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+// Layout tests for StructuredArray: member offsets and the array stride must match WGSL's std430-like rules
+// for storage buffers, or CPU writes land in the wrong place on the GPU.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StructuredArray } from "../src/mls-mpm/structuredArray.js";
+
+// Byte offsets of the members and the stride, as WGSL lays out `array<S>`
+const byteLayout = (layout) => {
+    const array = new StructuredArray(layout, 2, "layoutTest");
+    const offsets = Object.fromEntries(Object.entries(array.layout).map(([key, member]) => [key, member.offset * 4]));
+    return { offsets, stride: array.structSize * 4 };
+};
+
+const cases = [
+    {
+        name: "scalars pack tightly",
+        layout: { a: "float", b: "int", c: "uint" },
+        offsets: { a: 0, b: 4, c: 8 }, stride: 12,
+    },
+    {
+        name: "vec2 aligns to 8 bytes",
+        layout: { a: "float", b: "vec2", c: "float" },
+        offsets: { a: 0, b: 8, c: 16 }, stride: 24,
+    },
+    {
+        name: "vec3 aligns to 16 bytes and a scalar fills its padding",
+        layout: { a: "vec3", b: "float", c: "vec3" },
+        offsets: { a: 0, b: 12, c: 16 }, stride: 32,
+    },
+    {
+        name: "vec3 after a scalar",
+        layout: { a: "float", b: "vec3" },
+        offsets: { a: 0, b: 16 }, stride: 32,
+    },
+    {
+        name: "vec4 aligns to 16 bytes",
+        layout: { a: "float", b: "vec4", c: "vec2" },
+        offsets: { a: 0, b: 16, c: 32 }, stride: 48,
+    },
+    {
+        name: "mat3 is three padded columns",
+        layout: { a: "float", b: "mat3", c: "float" },
+        offsets: { a: 0, b: 16, c: 64 }, stride: 80,
+    },
+    {
+        name: "member objects follow the same rules as type strings",
+        layout: { a: { type: "int", atomic: true }, b: { type: "vec3" }, c: "float" },
+        offsets: { a: 0, b: 16, c: 28 }, stride: 32,
+    },
+    {
+        name: "the P2G grid cell",
+        layout: Object.fromEntries(["x", "y", "z", "mass", "r", "g", "b"].map(key => [key, { type: "int", atomic: true }])),
+        offsets: { x: 0, y: 4, z: 8, mass: 12, r: 16, g: 20, b: 24 }, stride: 28,
+    },
+];
+
+cases.forEach(({ name, layout, offsets, stride }) => {
+    test(name, () => {
+        assert.deepEqual(byteLayout(layout), { offsets, stride });
+    });
+});
+
+test("the buffer holds length strides", () => {
+    const array = new StructuredArray({ a: "vec3", b: "vec2" }, 5, "layoutTest");
+    assert.equal(array.structSize, 8);
+    assert.equal(array.floatArray.length, 40);
+});
+
+test("nested structs are rejected", () => {
+    assert.throws(() => new StructuredArray({ a: "float", inner: { b: "vec3", c: "float" } }, 1, "layoutTest"),
+        /member 'inner' is a nested struct/);
+});
+
+test("unknown types are rejected", () => {
+    assert.throws(() => new StructuredArray({ a: "vec5" }, 1, "layoutTest"), /unknown type 'vec5'/);
+});
+
+test("resize keeps the leading elements, rebuilds the users and frees the old buffer", () => {
+    const array = new StructuredArray({ a: "float", b: "int" }, 4, "layoutTest");
+    for (let i = 0; i < 4; i++) {
+        array.set(i, "a", i + 0.5);
+        array.set(i, "b", -i);
+    }
+    const node = array.buffer;
+    const old = node.value;
+    // The renderer and users as far as resize() touches them
+    const destroyed = [];
+    const renderer = { backend: { has: (attribute) => attribute === old, destroyAttribute: (attribute) => destroyed.push(attribute) } };
+    const kernel = { isComputeNode: true, disposed: 0, dispose() { this.disposed++; } };
+    const material = { isMaterial: true, needsUpdate: false };
+    array.addUsers(kernel, material);
+
+    array.resize(6, renderer);
+    assert.equal(array.length, 6);
+    assert.equal(array.buffer, node);
+    assert.notEqual(node.value, old);
+    assert.equal(node.value.array, array.floatArray);
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map(i => array.floatArray[i * array.structSize]), [0.5, 1.5, 2.5, 3.5, 0, 0]);
+    assert.deepEqual([0, 1, 2, 3].map(i => array.intArray[i * array.structSize + array.layout.b.offset]), [0, -1, -2, -3]);
+    assert.equal(kernel.disposed, 1);
+    assert.equal(material.needsUpdate, true);
+    assert.deepEqual(destroyed, [old]);
+
+    array.resize(2, renderer);
+    assert.equal(array.floatArray.length, 2 * array.structSize);
+    assert.equal(array.floatArray[array.structSize], 1.5);
+    assert.equal(kernel.disposed, 2);
+});